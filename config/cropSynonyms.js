@@ -0,0 +1,31 @@
+/**
+ * Crop and produce names that mean the same thing to buyers: English,
+ * Ghanaian English and Twi/Ga names. Searching for any entry also finds
+ * the others. Entries are matched after accents are stripped and ɛ/ɔ are
+ * folded to e/o, so "brodeɛ" and "brodee" are the same.
+ */
+module.exports = [
+  ['kontomire', 'cocoyam leaves', 'taro leaves'],
+  ['cocoyam', 'taro', 'mankani'],
+  ['garden egg', 'eggplant', 'aubergine', 'nyaadoa'],
+  ['okra', 'okro', 'nkruma'],
+  ['pepper', 'chili', 'chilli', 'mako', 'kpakpo shito'],
+  ['tomato', 'tomatoes', 'ntoos'],
+  ['cassava', 'manioc', 'bankye'],
+  ['yam', 'bayerɛ'],
+  ['plantain', 'brodeɛ', 'borodeɛ'],
+  ['maize', 'corn', 'aburo'],
+  ['groundnut', 'groundnuts', 'peanut', 'peanuts', 'nkatie'],
+  ['palm nut', 'palm fruit', 'abɛ'],
+  ['shea', 'shea butter', 'nkuto'],
+  ['cowpea', 'beans', 'black eyed peas', 'adua'],
+  ['onion', 'onions', 'gyeene'],
+  ['ginger', 'akakaduro'],
+  ['orange', 'oranges', 'ankaa'],
+  ['pineapple', 'aborɔbɛ'],
+  ['rice', 'emo'],
+  ['egg', 'eggs', 'kosua'],
+  ['chicken', 'fowl', 'akokɔ'],
+  ['sorghum', 'guinea corn'],
+  ['sweet potato', 'santom']
+];
@@ -22,12 +22,20 @@ const options = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
         },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'Okuafopa-api-key',
+        },
       },
     },
     security: [
       {
         bearerAuth: [],
       },
+      {
+        apiKeyAuth: [],
+      },
     ],
   },
   apis: ['./routes/*.js', './models/*.js'],
@@ -1,7 +1,324 @@
 const ProductListing = require('../models/ProductListing');
 const ProductItem = require('../models/ProductItem');
+const ProductCategory = require('../models/ProductCategory');
 const notificationService = require('../services/emailService');
 const withAudit = require('../utils/withAudit');
+const policy = require('../utils/policy');
+const User = require('../models/User');
+const Favourite = require('../models/Favourite');
+const ListingReport = require('../models/ListingReport');
+const searchService = require('../services/searchService');
+const { bestBeforeFor, freshnessFieldsError } = require('../services/listingExpiryService');
+const imageService = require('../services/imageService');
+const spreadsheetService = require('../services/listingSpreadsheetService');
+const inventoryService = require('../services/inventoryService');
+const categoryService = require('../services/categoryService');
+const moderationService = require('../services/moderationService');
+const listingScheduleService = require('../services/listingScheduleService');
+const { MOVEMENT_TYPES } = require('../models/StockMovement');
+const { UNITS, unitFieldsError } = require('../utils/units');
+const { priceTiersError } = require('../utils/pricing');
+
+// verificationStatus drives the "verified farmer" badge
+const FARMER_FIELDS = 'firstName lastName email verificationStatus farmerRating';
+
+// with HIDE_UNVERIFIED_FARMERS=true, browsing only shows verified farmers' listings
+const HIDE_UNVERIFIED_FARMERS = process.env.HIDE_UNVERIFIED_FARMERS === 'true';
+
+/**
+ * Filter matching listing :id, narrowed to the caller's own listings
+ * unless their role may touch any farmer's listing for `permission`.
+ */
+function ownedListingFilter(req, permission) {
+  const filter = { _id: req.params.id };
+  if (policy.scope(req.user, permission) !== 'any') filter.farmer = req.user.sub;
+  return filter;
+}
+
+const ownsListing = (user, listing) => {
+  const farmerId = listing.farmer && (listing.farmer._id || listing.farmer);
+  return !!user && String(farmerId) === String(user.sub);
+};
+
+/**
+ * May the caller (req.user, if signed in) see this listing? Buyers don't
+ * see ones held back by moderation; their farmer and moderators do.
+ */
+function listingVisibleTo(user, listing) {
+  return ownsListing(user, listing) || moderationService.isListed(listing) || policy.can(user, 'moderation:read');
+}
+
+/**
+ * Drafts, scheduled and archived listings are for their farmer and admins,
+ * as in buildListingFilter.
+ */
+const publishedFor = (user, listing) =>
+  listingScheduleService.isPublished(listing) || ownsListing(user, listing) ||
+  policy.scope(user, 'listing:update') === 'any';
+
+// a favourite may also be a scheduled listing (?upcoming=true), so its
+// followers hear when it goes live; drafts and archived ones may not
+const followableBy = (user, listing) =>
+  listingVisibleTo(user, listing) && (listing.status === 'scheduled' || publishedFor(user, listing));
+
+// kept up to date by the system, never taken from a request body
+const SYSTEM_FIELDS = [
+  'farmer', 'salesCount', 'farmerRating', 'farmerVerified', 'expiryWarnedAt', 'expiredAt', 'publishedAt', 'archivedAt',
+  'moderationStatus', 'moderationFlags', 'moderationNote', 'moderatedBy', 'moderatedAt'
+];
+
+const FRESHNESS_FIELDS = ['harvestDate', 'shelfLifeDays', 'bestBefore'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_LISTING_IMAGES = 10;
+
+const thresholdError = value =>
+  (value !== undefined && value !== null && !(Number(value) >= 0) ? 'lowStockThreshold must be >= 0' : null);
+
+const withoutSystemFields = body =>
+  Object.fromEntries(Object.entries(body || {}).filter(([k]) => !SYSTEM_FIELDS.includes(k)));
+
+/**
+ * Is `sku` already used by another of this farmer's listings?
+ */
+const skuTaken = (farmerId, sku, exceptId) =>
+  ProductListing.exists({ farmer: farmerId, externalSku: sku, ...(exceptId && { _id: { $ne: exceptId } }) });
+
+const LISTING_POPULATE = [
+  { path: 'productItem', populate: { path: 'category', select: 'categoryName path names' }, select: 'productName names aliases' },
+  { path: 'farmer', select: FARMER_FIELDS }
+];
+
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+/**
+ * Parse ?near=lng,lat&radiusKm= for "near me" searches.
+ * @returns {{ point: object, radiusKm: number }|{ error: string }|null} null if not asked for
+ */
+function parseNear({ near, radiusKm }) {
+  if (!near) return null;
+  const [lng, lat] = String(near).split(',').map(Number);
+  if (!Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+    return { error: 'near must be "lng,lat" with -180 <= lng <= 180 and -90 <= lat <= 90' };
+  }
+  const radius = radiusKm === undefined ? DEFAULT_RADIUS_KM : Number(radiusKm);
+  if (!(radius > 0) || radius > MAX_RADIUS_KM) {
+    return { error: `radiusKm must be > 0 and <= ${MAX_RADIUS_KM}` };
+  }
+  return { point: { type: 'Point', coordinates: [lng, lat] }, radiusKm: radius };
+}
+
+// ?sort= values; distance is the order $geoNear returns, so it has no stage
+const SORTS = {
+  newest: { createdAt: -1 },
+  price_asc: { price: 1, createdAt: -1 },
+  price_desc: { price: -1, createdAt: -1 },
+  rating: { farmerRating: -1, createdAt: -1 },
+  popularity: { salesCount: -1, createdAt: -1 },
+  freshness: { harvestDate: -1, createdAt: -1 },
+  going_live: { publishAt: 1, createdAt: -1 },
+  distance: null
+};
+
+const EARTH_RADIUS_KM = 6378.1;
+const PRICE_BUCKETS = 5;
+
+/**
+ * Listings within `radiusKm` of `point`, each with `distanceKm`, nearest
+ * first unless another `sort` is given. $geoNear must open the pipeline,
+ * so the filter is cast by hand and population happens afterwards.
+ * @returns {Promise<{ items: object[], total: number }>}
+ */
+async function findNear(filter, { point, radiusKm }, sort, page, limit) {
+  const [result] = await ProductListing.aggregate([
+    {
+      $geoNear: {
+        near: point,
+        distanceField: 'distanceKm',
+        distanceMultiplier: 0.001, // metres → km
+        maxDistance: radiusKm * 1000,
+        query: ProductListing.find(filter).cast(ProductListing),
+        spherical: true
+      }
+    },
+    ...(sort ? [{ $sort: sort }] : []),
+    {
+      $facet: {
+        items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const items = await ProductListing.populate(result.items, LISTING_POPULATE);
+  items.forEach(i => { i.distanceKm = Math.round(i.distanceKm * 100) / 100; });
+  return { items, total: result.total[0] ? result.total[0].count : 0 };
+}
+
+/**
+ * Counts for the buyer app's filter chips, over everything the current
+ * filters match: per category, price ranges, delivery option, stock,
+ * city and region.
+ */
+async function listingFacets(filter, near) {
+  const match = ProductListing.find(filter).cast(ProductListing);
+  if (near) {
+    match.location = {
+      $geoWithin: { $centerSphere: [near.point.coordinates, near.radiusKm / EARTH_RADIUS_KM] }
+    };
+  }
+  const countBy = (field, as) => [
+    { $match: { [field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $project: { _id: 0, [as]: '$_id', count: 1 } },
+    { $sort: { count: -1 } },
+    { $limit: 20 }
+  ];
+
+  const [facets] = await ProductListing.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        categories: [
+          { $lookup: { from: ProductItem.collection.name, localField: 'productItem', foreignField: '_id', as: 'item' } },
+          { $unwind: '$item' },
+          { $group: { _id: '$item.category', count: { $sum: 1 } } },
+          { $lookup: { from: ProductCategory.collection.name, localField: '_id', foreignField: '_id', as: 'category' } },
+          { $unwind: '$category' },
+          { $project: { _id: 0, category: '$_id', categoryName: '$category.categoryName', path: '$category.path', names: '$category.names', count: 1 } },
+          { $sort: { count: -1 } }
+        ],
+        priceRanges: [
+          { $bucketAuto: { groupBy: '$price', buckets: PRICE_BUCKETS } },
+          { $project: { _id: 0, min: '$_id.min', max: '$_id.max', count: 1 } }
+        ],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              pickup: { $sum: { $cond: ['$deliveryOptions.pickup', 1, 0] } },
+              thirdParty: { $sum: { $cond: ['$deliveryOptions.thirdParty', 1, 0] } },
+              inStock: { $sum: { $cond: [{ $gt: ['$quantity', 0] }, 1, 0] } },
+              outOfStock: { $sum: { $cond: [{ $gt: ['$quantity', 0] }, 0, 1] } }
+            }
+          }
+        ],
+        cities: countBy('city', 'city'),
+        regions: countBy('region', 'region')
+      }
+    }
+  ]);
+
+  const totals = facets.totals[0] || { pickup: 0, thirdParty: 0, inStock: 0, outOfStock: 0 };
+  return {
+    categories: facets.categories,
+    priceRanges: facets.priceRanges,
+    delivery: { pickup: totals.pickup, thirdParty: totals.thirdParty },
+    stock: { inStock: totals.inStock, outOfStock: totals.outOfStock },
+    cities: facets.cities,
+    regions: facets.regions
+  };
+}
+
+const escapeRegex = s => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * ?attr.<key>=value conditions on listing attributes. Query values are
+ * strings, so numbers and booleans are matched in their stored form too.
+ */
+function attributeFilter(query) {
+  const filter = {};
+  for (const [param, raw] of Object.entries(query)) {
+    const key = param.startsWith('attr.') && param.slice(5);
+    if (!key || !categoryService.ATTRIBUTE_KEY.test(key) || typeof raw !== 'string') continue;
+    const values = [raw];
+    if (raw.trim() !== '' && Number.isFinite(Number(raw))) values.push(Number(raw));
+    if (raw === 'true' || raw === 'false') values.push(raw === 'true');
+    filter[`attributes.${key}`] = { $in: values };
+  }
+  return filter;
+}
+
+/**
+ * Conditions shared by browsing and search: whose listings (?farmer),
+ * visibility, lifecycle (?status, ?upcoming), ?category (with its
+ * subcategories), ?minPrice/?maxPrice, ?delivery, ?inStock, ?city, ?region
+ * and ?attr.<key>.
+ */
+async function buildListingFilter(req) {
+  const {
+    category, minPrice, maxPrice, farmer, delivery, inStock, city, region,
+    harvestedWithinDays, freshForDays, status, upcoming
+  } = req.query;
+  const filter = {};
+
+  // Farmer filter
+  if (farmer === 'me') {
+    filter.farmer = req.user.sub;
+  } else if (farmer) {
+    filter.farmer = farmer;
+  }
+  // public view, a farmer's shop included: only their farmer and admins see
+  // inactive, expired and sold-out listings
+  const ownListings = farmer === 'me' || (!!farmer && !!req.user && String(farmer) === String(req.user.sub));
+  if (!ownListings && policy.scope(req.user, 'listing:update') !== 'any') {
+    filter.isActive = true;
+    // past best-before, even if the expiry job hasn't got to it yet
+    filter.bestBefore = { $not: { $lt: new Date() } };
+    // sold out; shows again once restocked (upcoming ones may not be stocked yet)
+    if (upcoming !== 'true') filter.quantity = { $gt: 0 };
+  }
+  // held, rejected or taken down: only the farmer and reviewers see those
+  if (farmer !== 'me' && !policy.can(req.user, 'moderation:read')) {
+    filter.moderationStatus = { $in: moderationService.LISTED_STATUSES };
+  }
+  // drafts and archived listings are for their farmer (and admins) to pick
+  // with ?status=; ?upcoming=true shows scheduled ones, so buyers can follow
+  // them before they go live
+  if (status && (farmer === 'me' || policy.scope(req.user, 'listing:update') === 'any')) {
+    filter.status = status === 'published' ? { $in: listingScheduleService.LIVE_STATUSES } : status;
+  } else if (upcoming === 'true') {
+    filter.status = 'scheduled';
+  } else if (farmer !== 'me') {
+    filter.status = { $in: listingScheduleService.LIVE_STATUSES };
+  }
+
+  // reviewers still see everything, so they can check what is being held back
+  if (HIDE_UNVERIFIED_FARMERS && farmer !== 'me' && !policy.can(req.user, 'verification:read')) {
+    filter.farmerVerified = true;
+  }
+
+  // Category filter (via productItem → category), subcategories included
+  if (category) {
+    const categories = await categoryService.subtreeIds(category);
+    const itemsInCategory = await ProductItem.find({ category: { $in: categories } }).select('_id');
+    filter.productItem = { $in: itemsInCategory.map(i => i._id) };
+  }
+
+  // Price filters
+  if (minPrice) filter.price = { ...filter.price, $gte: Number(minPrice) };
+  if (maxPrice) filter.price = { ...filter.price, $lte: Number(maxPrice) };
+
+  // Delivery option, stock and place
+  if (delivery === 'pickup' || delivery === 'thirdParty') filter[`deliveryOptions.${delivery}`] = true;
+  if (inStock === 'true') filter.quantity = { $gt: 0 };
+  if (city) filter.city = new RegExp(`^${escapeRegex(city)}$`, 'i');
+  if (region) filter.region = new RegExp(`^${escapeRegex(region)}$`, 'i');
+
+  // Freshness: harvested recently, and/or good for at least N more days
+  // (listings without a best-before date don't perish, so they always pass)
+  if (Number(harvestedWithinDays) > 0) {
+    filter.harvestDate = { $gte: new Date(Date.now() - Number(harvestedWithinDays) * DAY_MS) };
+  }
+  if (Number(freshForDays) > 0) {
+    filter.bestBefore = { $not: { $lt: new Date(Date.now() + Number(freshForDays) * DAY_MS) } };
+  }
+
+  Object.assign(filter, attributeFilter(req.query));
+
+  return filter;
+}
 
 /**
  * CREATE → audit CREATE
@@ -21,29 +338,76 @@ exports.createProductListing = withAudit('ProductListing', 'CREATE', async (req,
     if (price <= 0 || quantity < 0) {
       return res.status(400).json({ message: 'Price must be > 0 and quantity >= 0' });
     }
+    const unitError = unitFieldsError(req.body);
+    if (unitError) {
+      return res.status(400).json({ message: unitError });
+    }
+    if (req.body.priceTiers !== undefined) {
+      const tierError = priceTiersError(req.body.priceTiers, price);
+      if (tierError) {
+        return res.status(400).json({ message: tierError });
+      }
+    }
+    const freshnessError = freshnessFieldsError(req.body);
+    if (freshnessError) {
+      return res.status(400).json({ message: freshnessError });
+    }
+    const lowStockError = thresholdError(req.body.lowStockThreshold);
+    if (lowStockError) {
+      return res.status(400).json({ message: lowStockError });
+    }
+    // draft, scheduled for publishAt, or live straight away
+    const schedule = listingScheduleService.scheduleUpdate(req.body, null);
+    if (schedule.error) {
+      return res.status(400).json({ message: schedule.error });
+    }
+    // grade, variety… as the product's category defines them
+    const attributes = await categoryService.listingAttributes(item.category && item.category._id, req.body.attributes);
+    if (attributes.error) {
+      return res.status(400).json({ message: attributes.error });
+    }
+
+    if (req.body.externalSku && await skuTaken(req.user.sub, req.body.externalSku)) {
+      return res.status(409).json({ message: `You already have a listing with externalSku ${req.body.externalSku}` });
+    }
 
     const data = {
-      ...req.body,
+      ...withoutSystemFields(req.body),
+      ...schedule.values,
+      attributes: attributes.values,
       farmer: req.user.sub,
       lastUpdatedBy: req.user.sub
     };
+    data.bestBefore = bestBeforeFor(data);
+    // banned words or an unusual price hold it for review
+    Object.assign(data, await moderationService.screen(data, null));
+    // the farmer's rating and verification are copied on for sorting and
+    // filtering (ratingService and verificationService keep them current)
+    const farmer = await User.findById(req.user.sub).select('city farmerRating verificationStatus').lean();
+    data.farmerRating = (farmer && farmer.farmerRating && farmer.farmerRating.average) || 0;
+    data.farmerVerified = !!farmer && farmer.verificationStatus === 'verified';
+    if (!data.city) data.city = farmer && farmer.city;
 
     let prod = await ProductListing.create(data);
-    prod = await prod.populate([
-      { path: 'productItem', populate: { path: 'category', select: 'categoryName' }, select: 'productName' },
-      { path: 'farmer', select: 'firstName lastName email' }
-    ]);
+    await inventoryService.recordOpeningStock(prod, req.user.sub);
+    prod = await prod.populate(LISTING_POPULATE);
 
     // Audit
     res.locals.created = prod;
     res.locals.auditUser = req.user.sub;
 
     // Notify the farmer
-    await notificationService.sendProductListingNotification(
-      'created',
-      prod,
-      { email: req.user.email, firstName: req.user.firstName, lastName: req.user.lastName }
-    );
+    if (prod.moderationStatus === 'pending') {
+      await moderationService.notifyFarmer('underReview', prod._id);
+    } else if (prod.status === 'scheduled') {
+      await listingScheduleService.notifyFarmer('scheduled', prod._id);
+    } else if (prod.status === 'published') {
+      await notificationService.sendProductListingNotification(
+        'created',
+        prod,
+        { email: req.user.email, firstName: req.user.firstName, lastName: req.user.lastName }
+      );
+    }
 
     res.status(201).json(prod);
   } catch (err) {
@@ -59,13 +423,13 @@ exports.getProductListing = async (req, res, next) => {
     const prod = await ProductListing.findById(req.params.id)
       .populate({
         path: 'productItem',
-        populate: { path: 'category', select: 'categoryName' },
-        select: 'productName'
+        populate: { path: 'category', select: 'categoryName path names' },
+        select: 'productName names aliases'
       })
-      .populate('farmer', 'firstName lastName email')
+      .populate('farmer', FARMER_FIELDS)
       .lean();
 
-    if (!prod) {
+    if (!prod || !listingVisibleTo(req.user, prod) || !publishedFor(req.user, prod)) {
       return res.status(404).json({ message: 'ProductListing not found' });
     }
     res.json(prod);
@@ -83,9 +447,10 @@ exports.updateProductListing = withAudit('ProductListing', 'UPDATE', async (req,
     const { productItem, price, quantity } = req.body;
 
     // Optional: validate new productItem
+    let newItem = null;
     if (productItem) {
-      const item = await ProductItem.findById(productItem);
-      if (!item) {
+      newItem = await ProductItem.findById(productItem).select('category').lean();
+      if (!newItem) {
         return res.status(400).json({ message: 'Invalid productItem ID' });
       }
     }
@@ -98,30 +463,131 @@ exports.updateProductListing = withAudit('ProductListing', 'UPDATE', async (req,
       return res.status(400).json({ message: 'Quantity must be >= 0' });
     }
 
-    const updates = { ...req.body, lastUpdatedBy: req.user.sub };
+    const lowStockError = thresholdError(req.body.lowStockThreshold);
+    if (lowStockError) {
+      return res.status(400).json({ message: lowStockError });
+    }
+
+    // checks that depend on fields the request leaves as they are
+    const unitChanged = ['unit', 'unitLabel', 'minOrderQty', 'orderIncrement'].some(f => req.body[f] !== undefined);
+    const pricingChanged = req.body.priceTiers !== undefined || price !== undefined;
+    const freshnessChanged = FRESHNESS_FIELDS.some(f => req.body[f] !== undefined);
+    const skuChanged = !!req.body.externalSku;
+    // another product can mean another category, with other attributes
+    const attributesChanged = req.body.attributes !== undefined || !!productItem;
+    const screenedChanged = ['description', 'unit', 'unitLabel'].some(f => req.body[f] !== undefined);
+    const scheduleChanged = ['status', 'publishAt', 'unpublishAt'].some(f => req.body[f] !== undefined);
+    let current = null;
+    let attributeValues;
+    let schedule = { values: {} };
+    if (unitChanged || pricingChanged || freshnessChanged || skuChanged || attributesChanged || screenedChanged || scheduleChanged) {
+      current = await ProductListing.findOne(ownedListingFilter(req, 'listing:update'))
+        .select(
+          `farmer productItem description attributes unit unitLabel minOrderQty orderIncrement price priceTiers ${FRESHNESS_FIELDS.join(' ')} ` +
+          'moderationStatus moderationFlags status publishAt unpublishAt'
+        )
+        .lean();
+      if (current && skuChanged && await skuTaken(current.farmer, req.body.externalSku, current._id)) {
+        return res.status(409).json({ message: `This farmer already has a listing with externalSku ${req.body.externalSku}` });
+      }
+      const unitError = current && unitChanged && unitFieldsError(req.body, current);
+      if (unitError) {
+        return res.status(400).json({ message: unitError });
+      }
+      // a lower base price must not leave tiers at or above it
+      const tierError = current && pricingChanged && priceTiersError(
+        req.body.priceTiers !== undefined ? req.body.priceTiers : current.priceTiers || [],
+        price !== undefined ? price : current.price
+      );
+      if (tierError) {
+        return res.status(400).json({ message: tierError });
+      }
+      const freshnessError = current && freshnessChanged && freshnessFieldsError(req.body, current);
+      if (freshnessError) {
+        return res.status(400).json({ message: freshnessError });
+      }
+      if (current && attributesChanged) {
+        const item = newItem || await ProductItem.findById(current.productItem).select('category').lean();
+        const checked = await categoryService.listingAttributes(
+          item && item.category,
+          req.body.attributes !== undefined ? req.body.attributes : current.attributes
+        );
+        if (checked.error) {
+          return res.status(400).json({ message: checked.error });
+        }
+        attributeValues = checked.values;
+      }
+      if (current && scheduleChanged) {
+        schedule = listingScheduleService.scheduleUpdate(req.body, current);
+        if (schedule.error) {
+          return res.status(400).json({ message: schedule.error });
+        }
+      }
+    }
+
+    const updates = { ...withoutSystemFields(req.body), lastUpdatedBy: req.user.sub };
+    // stock only changes through the ledger, below
+    delete updates.quantity;
+    if (attributeValues) updates.attributes = attributeValues;
+    // status and dates as the lifecycle settles them
+    delete updates.status;
+    Object.assign(updates, schedule.values);
+    if (current && freshnessChanged) {
+      // a new harvest date or shelf life moves best-before unless it is given
+      const merged = { ...current, ...req.body };
+      if (req.body.bestBefore === undefined && (req.body.harvestDate !== undefined || req.body.shelfLifeDays !== undefined)) {
+        delete merged.bestBefore;
+      }
+      updates.bestBefore = bestBeforeFor(merged) || null;
+      // and the expiry job starts over for it
+      updates.expiryWarnedAt = null;
+      updates.expiredAt = null;
+    }
+    // edits are screened like new listings
+    const review = current
+      ? await moderationService.screen({ ...current, ...updates }, current, Object.keys(req.body))
+      : {};
+    Object.assign(updates, review);
 
     let prod = await ProductListing.findOneAndUpdate(
-      { _id: req.params.id, farmer: req.user.sub },
+      ownedListingFilter(req, 'listing:update'),
       { $set: updates },
       { new: true, runValidators: true }
-    ).populate([
-      { path: 'productItem', populate: { path: 'category', select: 'categoryName' }, select: 'productName' },
-      { path: 'farmer', select: 'firstName lastName email' }
-    ]);
+    ).populate(LISTING_POPULATE);
 
     if (!prod) {
       return res.status(404).json({ message: 'ProductListing not found or unauthorized' });
     }
 
+    // a new quantity is a manual adjustment to that level
+    if (quantity !== undefined) {
+      const stocked = await inventoryService.setLevel({
+        listing: prod._id,
+        quantity: Number(quantity),
+        note: req.body.stockNote || 'Quantity edited on the listing',
+        actor: req.user.sub
+      });
+      if (stocked) prod.quantity = stocked.quantity;
+    }
+
+    // uploaded images edited out of the listing are deleted from storage
+    if (req.body.images !== undefined) {
+      await imageService.releaseUnused('ProductListing', prod._id, prod.images);
+    }
+
+    // published early, or again: tell the buyers following it
+    if (schedule.wentLive) await listingScheduleService.notifyFollowers(prod._id);
+
     // Audit
     res.locals.updated = prod;
     res.locals.auditUser = req.user.sub;
 
-    await notificationService.sendProductListingNotification(
-      'updated',
-      prod,
-      { email: req.user.email, firstName: req.user.firstName, lastName: req.user.lastName }
-    );
+    // notify the listing's farmer (who may not be the editor, e.g. an admin)
+    if (review.moderationStatus === 'pending' && current.moderationStatus !== 'pending') {
+      await moderationService.notifyFarmer('underReview', prod._id);
+    } else {
+      await notificationService.sendProductListingNotification('updated', prod, prod.farmer);
+    }
 
     res.json(prod);
   } catch (err) {
@@ -135,23 +601,18 @@ exports.updateProductListing = withAudit('ProductListing', 'UPDATE', async (req,
  */
 exports.deleteProductListing = withAudit('ProductListing', 'DELETE', async (req, res, next) => {
   try {
-    const prod = await ProductListing.findOneAndDelete({
-      _id: req.params.id,
-      farmer: req.user.sub
-    }).populate([
-      { path: 'productItem', populate: { path: 'category', select: 'categoryName' }, select: 'productName' },
-      { path: 'farmer', select: 'firstName lastName email' }
-    ]);
+    const prod = await ProductListing.findOneAndDelete(
+      ownedListingFilter(req, 'listing:delete')
+    ).populate(LISTING_POPULATE);
 
     if (!prod) {
       return res.status(404).json({ message: 'ProductListing not found or unauthorized' });
     }
 
-    await notificationService.sendProductListingNotification(
-      'deleted',
-      prod,
-      { email: req.user.email, firstName: req.user.firstName, lastName: req.user.lastName }
-    );
+    await imageService.releaseUnused('ProductListing', prod._id);
+    await Favourite.deleteMany({ listing: prod._id });
+    await ListingReport.deleteMany({ listing: prod._id });
+    await notificationService.sendProductListingNotification('deleted', prod, prod.farmer);
 
     // Audit
     res.locals.auditUser = req.user.sub;
@@ -163,49 +624,368 @@ exports.deleteProductListing = withAudit('ProductListing', 'DELETE', async (req,
 });
 
 /**
- * LIST /api/product-listings
+ * POST /api/product-listings/:id/images
+ * Multipart field `images`; each is re-encoded (EXIF stripped), given a
+ * thumbnail and appended to the listing's images.
  */
-exports.listProductListings = async (req, res, next) => {
+exports.uploadListingImages = withAudit('ProductListing', 'UPDATE', async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, category, minPrice, maxPrice, farmer } = req.query;
-    const filter = {};
-
-    // Farmer filter
-    if (farmer === 'me') {
-      filter.farmer = req.user.sub;
-    } else if (farmer) {
-      filter.farmer = farmer;
-    } else {
-      filter.isActive = true; // public view
+    const files = req.files || [];
+    if (!files.length) {
+      return res.status(400).json({ message: 'No images uploaded (multipart field "images")' });
+    }
+
+    const listing = await ProductListing.findOne(ownedListingFilter(req, 'listing:update')).select('images farmer').lean();
+    if (!listing) {
+      return res.status(404).json({ message: 'ProductListing not found or unauthorized' });
+    }
+    if ((listing.images || []).length + files.length > MAX_LISTING_IMAGES) {
+      return res.status(400).json({ message: `A listing can have at most ${MAX_LISTING_IMAGES} images` });
     }
 
-    // Category filter (via productItem → category)
-    if (category) {
-      const itemsInCategory = await ProductItem.find({ category }).select('_id');
-      filter.productItem = { $in: itemsInCategory.map(i => i._id) };
+    const uploads = [];
+    for (const file of files) {
+      const upload = await imageService.storeImage(file, { owner: req.user.sub, kind: 'ProductListing', id: listing._id });
+      if (!upload) {
+        // the ones already stored will never be attached; drop them now
+        await imageService.discardUploads(uploads);
+        return res.status(400).json({ message: `${file.originalname} is not a valid JPEG, PNG or WebP image` });
+      }
+      uploads.push(upload);
     }
 
-    // Price filters
-    if (minPrice) filter.price = { ...filter.price, $gte: Number(minPrice) };
-    if (maxPrice) filter.price = { ...filter.price, $lte: Number(maxPrice) };
+    const prod = await ProductListing.findOneAndUpdate(
+      { _id: listing._id },
+      { $push: { images: { $each: uploads.map(u => u.url) } }, $set: { lastUpdatedBy: req.user.sub } },
+      { new: true }
+    ).populate(LISTING_POPULATE);
+
+    res.locals.updated = prod;
+    res.locals.auditUser = req.user.sub;
+
+    res.status(201).json({
+      images: uploads.map(u => ({ url: u.url, thumbnailUrl: u.thumbnailUrl, width: u.width, height: u.height })),
+      listing: prod
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// movements a farmer can record; sales and cancellation returns come from orders
+const MANUAL_MOVEMENTS = {
+  restock: 1,    // quantity added
+  spoilage: -1,  // quantity lost
+  adjustment: 0  // signed correction
+};
 
-    const [items, total] = await Promise.all([
-      ProductListing.find(filter)
-        .sort('-createdAt')
+/**
+ * GET /api/product-listings/:id/stock-movements
+ */
+exports.listStockMovements = async (req, res, next) => {
+  try {
+    const { type, from, to } = req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    if (type && !MOVEMENT_TYPES.includes(type)) {
+      return res.status(400).json({ message: `type must be one of: ${MOVEMENT_TYPES.join(', ')}` });
+    }
+    if ([from, to].some(d => d !== undefined && isNaN(new Date(d)))) {
+      return res.status(400).json({ message: 'from and to must be dates' });
+    }
+
+    const listing = await ProductListing.findOne(ownedListingFilter(req, 'listing:update'))
+      .select('quantity unit unitLabel unitConversion')
+      .lean();
+    if (!listing) {
+      return res.status(404).json({ message: 'ProductListing not found or unauthorized' });
+    }
+
+    const { items, total } = await inventoryService.history(listing._id, { type, from, to, page, limit });
+    res.json({ page, limit, total, quantity: listing.quantity, data: items });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/product-listings/:id/stock-movements
+ * Body: { type: restock|spoilage|adjustment, quantity, note }
+ */
+exports.recordStockMovement = withAudit('ProductListing', 'UPDATE', async (req, res, next) => {
+  try {
+    const { type, note } = req.body;
+    const quantity = Number(req.body.quantity);
+    if (!(type in MANUAL_MOVEMENTS)) {
+      return res.status(400).json({ message: `type must be one of: ${Object.keys(MANUAL_MOVEMENTS).join(', ')}` });
+    }
+    if (!Number.isFinite(quantity) || quantity === 0 || (MANUAL_MOVEMENTS[type] && quantity < 0)) {
+      return res.status(400).json({
+        message: type === 'adjustment'
+          ? 'quantity must be a non-zero number (negative to remove stock)'
+          : 'quantity must be > 0'
+      });
+    }
+
+    const listing = await ProductListing.findOne(ownedListingFilter(req, 'listing:update')).select('unit').lean();
+    if (!listing) {
+      return res.status(404).json({ message: 'ProductListing not found or unauthorized' });
+    }
+    if (!(UNITS[listing.unit] || UNITS.piece).divisible && !Number.isInteger(quantity)) {
+      return res.status(400).json({ message: `quantity must be a whole number for unit ${listing.unit}` });
+    }
+
+    const delta = MANUAL_MOVEMENTS[type] ? MANUAL_MOVEMENTS[type] * quantity : quantity;
+    const updated = await inventoryService.move({ listing: listing._id, type, quantity: delta, note, actor: req.user.sub });
+    if (!updated) {
+      return res.status(409).json({ message: 'Not enough stock for this movement' });
+    }
+
+    const prod = await ProductListing.findById(listing._id).populate(LISTING_POPULATE);
+    res.locals.updated = prod;
+    res.locals.auditUser = req.user.sub;
+    res.status(201).json(prod);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/product-listings/favourites
+ * The caller's favourites, most recently added first, sold-out ones included.
+ */
+exports.listFavourites = async (req, res, next) => {
+  try {
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const filter = { user: req.user.sub };
+
+    const [favourites, total] = await Promise.all([
+      Favourite.find(filter)
+        .sort({ createdAt: -1 })
         .skip((page - 1) * limit)
-        .limit(Number(limit))
-        .populate([
-          { path: 'productItem', populate: { path: 'category', select: 'categoryName' }, select: 'productName' },
-          { path: 'farmer', select: 'firstName lastName email' }
-        ])
+        .limit(limit)
+        .populate({ path: 'listing', populate: LISTING_POPULATE })
         .lean(),
-      ProductListing.countDocuments(filter)
+      Favourite.countDocuments(filter)
+    ]);
+
+    res.json({
+      page,
+      limit,
+      total,
+      // ones taken down, unpublished or archived since are left out
+      data: favourites.filter(f => f.listing && followableBy(req.user, f.listing)).map(f => ({ ...f.listing, favouritedAt: f.createdAt }))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/product-listings/:id/favourite
+ * 201 when added, 200 when it already was a favourite.
+ */
+exports.favouriteListing = async (req, res, next) => {
+  try {
+    const listing = await ProductListing.findById(req.params.id).select('farmer status moderationStatus').lean();
+    if (!listing || !followableBy(req.user, listing)) {
+      return res.status(404).json({ message: 'ProductListing not found' });
+    }
+
+    const result = await Favourite.updateOne(
+      { user: req.user.sub, listing: listing._id },
+      { $setOnInsert: { user: req.user.sub, listing: listing._id } },
+      { upsert: true }
+    );
+    res.status(result.upsertedCount ? 201 : 200).json({ listing: listing._id, favourite: true });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/product-listings/:id/favourite
+ */
+exports.unfavouriteListing = async (req, res, next) => {
+  try {
+    await Favourite.deleteOne({ user: req.user.sub, listing: req.params.id });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Whose listings a bulk import/export is for: the caller's own, or with
+ * ?farmer=<id> any farmer's, for roles that may manage every listing.
+ * @returns {Promise<{ id: string }|{ status: number, message: string }>}
+ */
+async function spreadsheetFarmer(req) {
+  const { farmer } = req.query;
+  if (!farmer || farmer === 'me' || farmer === req.user.sub) return { id: req.user.sub };
+  if (policy.scope(req.user, 'listing:update') !== 'any') {
+    return { status: 403, message: 'You can only import or export your own listings' };
+  }
+  const user = await User.findOne({ _id: farmer, role: 'farmer' }).select('_id').lean();
+  if (!user) return { status: 404, message: 'Farmer not found' };
+  return { id: String(user._id) };
+}
+
+const importListings = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded (multipart field "file")' });
+    }
+    const farmer = await spreadsheetFarmer(req);
+    if (farmer.status) {
+      return res.status(farmer.status).json({ message: farmer.message });
+    }
+    const sheet = await spreadsheetService.readSheet(req.file);
+    if (sheet.error) {
+      return res.status(400).json({ message: sheet.error });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const result = await spreadsheetService.importListings({
+      header: sheet.header,
+      rows: sheet.rows,
+      farmerId: farmer.id,
+      actorId: req.user.sub,
+      dryRun
+    });
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    res.locals.auditUser = req.user.sub;
+    res.locals.auditMetadata = {
+      import: {
+        file: req.file.originalname,
+        farmer: farmer.id,
+        created: result.rows.filter(r => r.id && r.action === 'create').map(r => r.id),
+        updated: result.rows.filter(r => r.id && r.action === 'update').map(r => r.id),
+        failed: result.failed
+      }
+    };
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+const auditedImport = withAudit('ProductListing', 'CREATE', importListings);
+
+/**
+ * POST /api/product-listings/import
+ * CSV/XLSX bulk create/update; ?dryRun=true validates only (and isn't audited).
+ */
+exports.importProductListings = (req, res, next) =>
+  (req.query.dryRun === 'true' ? importListings : auditedImport)(req, res, next);
+
+/**
+ * GET /api/product-listings/export
+ */
+exports.exportProductListings = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ message: 'format must be csv or xlsx' });
+    }
+    const farmer = await spreadsheetFarmer(req);
+    if (farmer.status) {
+      return res.status(farmer.status).json({ message: farmer.message });
+    }
+
+    const file = await spreadsheetService.exportListings(farmer.id, format);
+    res.set('Content-Type', format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8');
+    res.attachment(`listings-${new Date().toISOString().slice(0, 10)}.${format}`);
+    res.send(file);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * LIST /api/product-listings
+ */
+exports.listProductListings = async (req, res, next) => {
+  try {
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+
+    // "near me": only listings within radiusKm, each with distanceKm
+    const near = parseNear(req.query);
+    if (near && near.error) {
+      return res.status(400).json({ message: near.error });
+    }
+    const sort = req.query.sort || (near ? 'distance' : req.query.upcoming === 'true' ? 'going_live' : 'newest');
+    if (!(sort in SORTS)) {
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(SORTS).join(', ')}` });
+    }
+    if (sort === 'distance' && !near) {
+      return res.status(400).json({ message: 'sort=distance needs near=lng,lat' });
+    }
+
+    const filter = await buildListingFilter(req);
+    const [[items, total], facets] = await Promise.all([
+      near
+        ? findNear(filter, near, SORTS[sort], page, limit).then(r => [r.items, r.total])
+        : Promise.all([
+          ProductListing.find(filter)
+            .sort(SORTS[sort])
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate(LISTING_POPULATE)
+            .lean(),
+          ProductListing.countDocuments(filter)
+        ]),
+      req.query.facets === 'false' ? undefined : listingFacets(filter, near)
     ]);
 
     res.json({
-      page: Number(page),
-      limit: Number(limit),
+      page,
+      limit,
+      total,
+      facets,
+      data: items
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * SEARCH /api/product-listings/search?q=
+ * Ranked by relevance; accepts the same filters as the list.
+ */
+exports.searchProductListings = async (req, res, next) => {
+  try {
+    const { q } = req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({ message: 'q is required' });
+    }
+
+    const filter = await buildListingFilter(req);
+    const { items, total, truncated, terms } = await searchService.searchListings({
+      q,
+      filter,
+      populate: LISTING_POPULATE,
+      page,
+      limit
+    });
+
+    res.json({
+      page,
+      limit,
       total,
+      // too many matches to rank them all; total counts the ranked ones
+      truncated,
+      // what the query was expanded to (synonyms, typo corrections)
+      terms: terms.map(t => t.term),
       data: items
     });
   } catch (err) {
@@ -3,6 +3,7 @@ const User        = require('../models/User');
 const Product     = require('../models/Product');
 const Order       = require('../models/Order');
 const Feedback    = require('../models/Feedback');
+const tokenService = require('../services/tokenService');
 
 exports.getDashboardMetrics = async (req, res, next) => {
   try {
@@ -96,3 +97,36 @@ exports.getDashboardMetrics = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * POST /api/admin/impersonate/:userId
+ * Short-lived token to see the platform as this user does.
+ */
+exports.impersonateUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    if (String(userId) === String(req.user.sub)) {
+      return res.status(400).json({ message: 'You cannot impersonate yourself' });
+    }
+    const user = await User.findById(userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.isAdmin || user.role === 'admin') {
+      return res.status(403).json({ message: 'Admins cannot be impersonated' });
+    }
+    if (!user.isActive) {
+      return res.status(400).json({ message: 'User is deactivated' });
+    }
+
+    const token = tokenService.generateImpersonationToken(user, req.user);
+
+    res.locals.auditEntityId = user._id;
+    res.json({
+      token,
+      impersonation: true,
+      expiresIn: tokenService.IMPERSONATION_TTL,
+      user: user.toJSON()
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,113 @@
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const apiKeyService = require('../services/apiKeyService');
+const { API_KEY_SCOPES } = require('../utils/policy');
+const withAudit = require('../utils/withAudit');
+
+const invalidScopes = scopes =>
+  !Array.isArray(scopes) || !scopes.length || scopes.some(s => !API_KEY_SCOPES[s]);
+
+/**
+ * CREATE → audit CREATE
+ * POST /api/api-keys
+ * The plain key is in the response only this once.
+ */
+exports.createApiKey = withAudit('ApiKey', 'CREATE', async (req, res, next) => {
+  try {
+    const { name, userId, scopes, expiresAt } = req.body;
+    if (!name || !userId) {
+      return res.status(400).json({ message: 'name and userId are required' });
+    }
+    if (invalidScopes(scopes)) {
+      return res.status(400).json({ message: `scopes must be a non-empty subset of: ${Object.keys(API_KEY_SCOPES).join(', ')}` });
+    }
+    if (expiresAt && !(new Date(expiresAt) > Date.now())) {
+      return res.status(400).json({ message: 'expiresAt must be a future date' });
+    }
+    if (!await User.exists({ _id: userId, isActive: true })) {
+      return res.status(404).json({ message: 'User not found or inactive' });
+    }
+
+    const { apiKey, key } = await apiKeyService.createKey({
+      name,
+      user: userId,
+      scopes,
+      expiresAt,
+      createdBy: req.user.sub
+    });
+
+    res.locals.created = apiKey;
+    res.status(201).json({ ...apiKey.toJSON(), key });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET ALL
+ * GET /api/api-keys?user=
+ */
+exports.listApiKeys = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.user) filter.user = req.query.user;
+
+    const keys = await ApiKey.find(filter)
+      .sort('-createdAt')
+      .populate('user', 'firstName lastName email role')
+      .populate('createdBy', 'firstName lastName email');
+
+    res.json(keys.map(k => k.toJSON()));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * UPDATE → audit UPDATE
+ * PATCH /api/api-keys/:id
+ */
+exports.updateApiKey = withAudit('ApiKey', 'UPDATE', async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    if (scopes !== undefined && invalidScopes(scopes)) {
+      return res.status(400).json({ message: `scopes must be a non-empty subset of: ${Object.keys(API_KEY_SCOPES).join(', ')}` });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) return res.status(404).json({ message: 'API key not found' });
+    if (apiKey.revokedAt) return res.status(400).json({ message: 'API key has been revoked' });
+
+    if (name !== undefined) apiKey.name = name;
+    if (scopes !== undefined) apiKey.scopes = scopes;
+    if (expiresAt !== undefined) apiKey.expiresAt = expiresAt || undefined;
+    apiKey.lastUpdatedBy = req.user.sub;
+    await apiKey.save();
+
+    res.locals.updated = apiKey;
+    res.json(apiKey.toJSON());
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE → audit DELETE
+ * DELETE /api/api-keys/:id
+ * Revokes the key; the record stays for the audit trail.
+ */
+exports.revokeApiKey = withAudit('ApiKey', 'DELETE', async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { $set: { revokedAt: new Date(), lastUpdatedBy: req.user.sub } },
+      { new: true }
+    );
+    if (!apiKey) return res.status(404).json({ message: 'API key not found' });
+
+    res.locals.updated = apiKey;
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
@@ -1,6 +1,47 @@
 const User         = require('../models/User');
+const Session      = require('../models/Session');
 const emailService = require('../services/emailService');
+const smsService   = require('../services/smsService');
 const tokenService = require('../services/tokenService');
+const userCache    = require('../services/userCache');
+const twoFactorService = require('../services/twoFactorService');
+const { rejectIfLocked, recordFailedAttempt } = require('../services/lockoutService');
+
+// staff roles (admin, support, logistics) are only ever granted by an admin
+const SELF_SERVICE_ROLES = ['farmer', 'buyer'];
+
+const OTP_LABELS = {
+  emailVerification: 'Email Verification',
+  passwordReset: 'Password Reset',
+  phoneVerification: 'Phone Verification',
+  phoneLogin: 'Login'
+};
+
+/**
+ * Deliver an OTP over the channel its purpose belongs to (SMS or email).
+ */
+async function deliverOTP(user, otp, purpose) {
+  if (User.PHONE_OTP_PURPOSES.includes(purpose)) {
+    await smsService.sendOTP(user.phoneNumber, otp, OTP_LABELS[purpose]);
+  } else {
+    await emailService.sendOTP(user.email, otp, OTP_LABELS[purpose]);
+  }
+}
+
+/**
+ * Finish a first-factor login: issue tokens or, when the user has 2FA on,
+ * a challenge to redeem at POST /api/auth/2fa/verify instead.
+ * @returns {Promise<object>} fields for the response body
+ */
+async function loginResult(user, req) {
+  if (user.twoFactorEnabled) {
+    return { twoFactorRequired: true, challengeToken: await twoFactorService.createChallenge(user) };
+  }
+  const { token, refreshToken } = await tokenService.issueTokens(user, req);
+  const body = { token, refreshToken, user: user.toJSON() };
+  if (twoFactorService.ADMIN_2FA_REQUIRED && user.isAdmin) body.twoFactorSetupRequired = true;
+  return body;
+}
 
 /**
  * POST /api/auth/signup
@@ -9,9 +50,15 @@ exports.signup = async (req, res, next) => {
   try {
     const {
       firstName, lastName, email, password,
-      phoneNumber, role, country, city, profileImage
+      phoneNumber, role, country, city, profileImage, verifyVia = 'email'
     } = req.body;
 
+    if (!['email', 'phone'].includes(verifyVia)) {
+      return res.status(400).json({ message: 'verifyVia must be "email" or "phone"' });
+    }
+    if (role !== undefined && !SELF_SERVICE_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${SELF_SERVICE_ROLES.join(', ')}` });
+    }
     if (await User.exists({ email })) {
       return res.status(409).json({ message: 'Email already registered' });
     }
@@ -24,17 +71,21 @@ exports.signup = async (req, res, next) => {
       phoneNumber, role, country, city, profileImage
     });
 
-    const otp = user.generateOTP('emailVerification');
+    const purpose = verifyVia === 'phone' ? 'phoneVerification' : 'emailVerification';
+    const otp = user.generateOTP(purpose);
     await user.save();
-    await emailService.sendOTP(email, otp, 'Email Verification');
+    await deliverOTP(user, otp, purpose);
 
     // tell withAudit who created
     res.locals.created    = user;
     res.locals.auditUser  = user._id;
 
     res.status(201).json({
-      message: 'Signup successful—OTP sent for email verification.',
-      email: user.email
+      message: verifyVia === 'phone'
+        ? 'Signup successful—OTP sent by SMS for phone verification.'
+        : 'Signup successful—OTP sent for email verification.',
+      email: user.email,
+      phoneNumber: user.phoneNumber
     });
   } catch (err) {
     next(err);
@@ -50,21 +101,25 @@ exports.verifyEmail = async (req, res, next) => {
     const user = await User.findOne({ email })
       .select('+otp +otpExpiry +otpPurpose');
 
+    if (rejectIfLocked(user, res)) return;
     if (!user || !user.verifyOTP(otp, 'emailVerification')) {
+      if (user) await recordFailedAttempt(user, req, 'emailVerification');
       return res.status(400).json({ message: 'Invalid or expired OTP' });
     }
 
     user.emailVerified = true;
     user.clearOTP();
+    user.resetFailedAttempts();
     await user.save();
+    userCache.invalidate(user._id);
 
-    const token = tokenService.generateAccessToken(user);
+    const result = await loginResult(user, req);
 
     // audit this update
     res.locals.updated    = user;
     res.locals.auditUser  = user._id;
 
-    res.json({ message: 'Email verified', token, user: user.toJSON() });
+    res.json({ message: 'Email verified', ...result });
   } catch (err) {
     next(err);
   }
@@ -78,20 +133,31 @@ exports.login = async (req, res, next) => {
     const { email, password } = req.body;
     const user = await User.findOne({ email }).select('+password');
 
+    if (rejectIfLocked(user, res)) return;
     if (!user || !(await user.verifyPassword(password))) {
+      if (user) await recordFailedAttempt(user, req, 'password');
       return res.status(401).json({ message: 'Invalid credentials' });
     }
-    if (!user.emailVerified) {
-      return res.status(403).json({ message: 'Email not verified' });
+    if (user.failedAttempts || user.lockCount) {
+      user.resetFailedAttempts();
+      await user.save();
+    }
+    if (!user.isVerified) {
+      return res.status(403).json({ message: 'Email or phone number not verified' });
+    }
+    if (!user.isActive) {
+      return res.status(403).json({ message: 'Account is deactivated' });
     }
 
-    const token = tokenService.generateAccessToken(user);
+    const result = await loginResult(user, req);
 
-    // audit the login event
-    res.locals.updated    = user;
-    res.locals.auditUser  = user._id;
+    // audit the login event (only once fully logged in)
+    if (!result.twoFactorRequired) {
+      res.locals.updated    = user;
+      res.locals.auditUser  = user._id;
+    }
 
-    res.json({ token, user: user.toJSON() });
+    res.json(result);
   } catch (err) {
     next(err);
   }
@@ -107,6 +173,7 @@ exports.forgotPassword = async (req, res, next) => {
     if (!user) {
       return res.status(404).json({ message: 'Email is not registered.' });
     }
+    if (rejectIfLocked(user, res)) return;
 
     const otp = user.generateOTP('passwordReset');
     await user.save();
@@ -131,14 +198,20 @@ exports.resetPassword = async (req, res, next) => {
     const user = await User.findOne({ email })
       .select('+password +otp +otpExpiry +otpPurpose');
 
+    if (rejectIfLocked(user, res)) return;
     if (!user || !user.verifyOTP(otp, 'passwordReset')) {
+      if (user) await recordFailedAttempt(user, req, 'passwordReset');
       return res.status(400).json({ message: 'Invalid or expired OTP' });
     }
 
     user.password = newPassword;
     user.clearOTP();
+    user.resetFailedAttempts();
     await user.save();
 
+    // a reset means the old password may be compromised: drop every device
+    await tokenService.revokeAllTokens(user._id, 'passwordChange');
+
     // audit the password reset
     res.locals.updated    = user;
     res.locals.auditUser  = user._id;
@@ -160,10 +233,11 @@ exports.resendOTP = async (req, res, next) => {
     }
 
     const user = await User.findOne({ email })
-      .select('+otp +otpExpiry +otpPurpose +emailVerified');
+      .select('+otp +otpExpiry +otpPurpose');
     if (!user) {
       return res.status(404).json({ message: 'Account does not exist!' });
     }
+    if (rejectIfLocked(user, res)) return;
 
     if (user.otp && user.otpExpiry > Date.now()) {
       return res.status(400).json({ message: 'A valid code has already been sent.' });
@@ -171,11 +245,13 @@ exports.resendOTP = async (req, res, next) => {
     if (purpose === 'emailVerification' && user.emailVerified) {
       return res.status(400).json({ message: 'Email is already verified.' });
     }
+    if (purpose === 'phoneVerification' && user.phoneVerified) {
+      return res.status(400).json({ message: 'Phone number is already verified.' });
+    }
 
     const otp = user.generateOTP(purpose);
-    const label = purpose === 'emailVerification' ? 'Email Verification' : 'Password Reset';
     await user.save();
-    await emailService.sendOTP(email, otp, label);
+    await deliverOTP(user, otp, purpose);
 
     // audit OTP resend
     res.locals.updated    = user;
@@ -186,3 +262,239 @@ exports.resendOTP = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * POST /api/auth/phone/send-otp
+ * Body: { phoneNumber, purpose: 'phoneVerification'|'phoneLogin' }
+ */
+exports.sendPhoneOTP = async (req, res, next) => {
+  try {
+    const { phoneNumber, purpose } = req.body;
+    if (!User.PHONE_OTP_PURPOSES.includes(purpose)) {
+      return res.status(400).json({ message: 'Invalid purpose' });
+    }
+
+    const user = await User.findOne({ phoneNumber })
+      .select('+otp +otpExpiry +otpPurpose');
+    if (!user) {
+      return res.status(404).json({ message: 'Phone number is not registered.' });
+    }
+    if (rejectIfLocked(user, res)) return;
+    if (purpose === 'phoneVerification' && user.phoneVerified) {
+      return res.status(400).json({ message: 'Phone number is already verified.' });
+    }
+    if (user.otp && user.otpPurpose === purpose && user.otpExpiry > Date.now()) {
+      return res.status(400).json({ message: 'A valid code has already been sent.' });
+    }
+
+    const otp = user.generateOTP(purpose);
+    await user.save();
+    // the number on the account, not whatever the request spelled
+    await smsService.sendOTP(user.phoneNumber, otp, OTP_LABELS[purpose]);
+
+    // audit OTP generation
+    res.locals.updated    = user;
+    res.locals.auditUser  = user._id;
+
+    res.json({ message: 'OTP sent by SMS.' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/auth/phone/verify
+ */
+exports.verifyPhone = async (req, res, next) => {
+  try {
+    const { phoneNumber, otp } = req.body;
+    const user = await User.findOne({ phoneNumber })
+      .select('+otp +otpExpiry +otpPurpose');
+
+    if (rejectIfLocked(user, res)) return;
+    if (!user || !user.verifyOTP(otp, 'phoneVerification')) {
+      if (user) await recordFailedAttempt(user, req, 'phoneVerification');
+      return res.status(400).json({ message: 'Invalid or expired OTP' });
+    }
+
+    user.phoneVerified = true;
+    user.clearOTP();
+    user.resetFailedAttempts();
+    await user.save();
+    userCache.invalidate(user._id);
+
+    const result = await loginResult(user, req);
+
+    // audit this update
+    res.locals.updated    = user;
+    res.locals.auditUser  = user._id;
+
+    res.json({ message: 'Phone number verified', ...result });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/auth/phone/login
+ * Passwordless login with a code sent by SMS. A successful login also
+ * proves the phone number, so it is marked verified.
+ */
+exports.phoneLogin = async (req, res, next) => {
+  try {
+    const { phoneNumber, otp } = req.body;
+    const user = await User.findOne({ phoneNumber })
+      .select('+otp +otpExpiry +otpPurpose');
+
+    if (rejectIfLocked(user, res)) return;
+    if (!user || !user.verifyOTP(otp, 'phoneLogin')) {
+      if (user) await recordFailedAttempt(user, req, 'phoneLogin');
+      return res.status(401).json({ message: 'Invalid or expired OTP' });
+    }
+    if (!user.isActive) {
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
+    user.phoneVerified = true;
+    user.clearOTP();
+    user.resetFailedAttempts();
+    await user.save();
+    userCache.invalidate(user._id);
+
+    const result = await loginResult(user, req);
+
+    // audit the login event (only once fully logged in)
+    if (!result.twoFactorRequired) {
+      res.locals.updated    = user;
+      res.locals.auditUser  = user._id;
+    }
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/auth/2fa/verify
+ * Second login step: the challenge from login plus an authenticator code
+ * or one of the recovery codes.
+ */
+exports.verifyTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const challenge = twoFactorService.verifyChallenge(challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ message: 'Invalid or expired challenge, log in again' });
+    }
+
+    const user = await User.findById(challenge.sub)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Invalid or expired challenge, log in again' });
+    }
+    if (rejectIfLocked(user, res)) return;
+    if (!user.isActive) {
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
+    const ok = code
+      ? await twoFactorService.useCode(user, user.twoFactorSecret, code)
+      : twoFactorService.useRecoveryCode(user, recoveryCode);
+    if (!ok) {
+      await recordFailedAttempt(user, req, 'twoFactor');
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+    // each challenge completes one login
+    if (!await twoFactorService.redeemChallenge(challenge)) {
+      return res.status(401).json({ message: 'Invalid or expired challenge, log in again' });
+    }
+
+    user.resetFailedAttempts();
+    await user.save();
+
+    const { token, refreshToken } = await tokenService.issueTokens(user, req);
+
+    // audit the login event
+    res.locals.updated    = user;
+    res.locals.auditUser  = user._id;
+
+    res.json({
+      token,
+      refreshToken,
+      user: user.toJSON(),
+      recoveryCodesLeft: user.twoFactorRecoveryCodes.length
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/auth/refresh
+ */
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'refreshToken is required' });
+    }
+
+    const rotated = await tokenService.rotateRefreshToken(refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(rotated.session.user);
+    if (!user || !user.isActive || !user.isVerified) {
+      await Session.revokeAllForUser(rotated.session.user, 'accountChange');
+      return res.status(401).json({ message: 'Account is no longer active' });
+    }
+
+    const token = tokenService.generateAccessToken(user, rotated.session._id);
+    res.json({ token, refreshToken: rotated.refreshToken });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/auth/logout
+ * Revokes the session the refresh token belongs to. Works with an expired access token.
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'refreshToken is required' });
+    }
+
+    const session = await Session.findOne({
+      refreshTokenHash: tokenService.hashToken(refreshToken)
+    });
+    if (session && !session.revokedAt) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'logout';
+      await session.save();
+
+      res.locals.auditUser = session.user;
+    }
+
+    // same answer whether or not the token was known
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/auth/logout-all
+ */
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const { modifiedCount } = await Session.revokeAllForUser(req.user.sub, 'logoutAll');
+    res.json({ message: 'Logged out of all devices', revoked: modifiedCount });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,167 @@
+const FarmerVerification = require('../models/FarmerVerification');
+const notificationService = require('../services/emailService');
+const smsService = require('../services/smsService');
+const verificationService = require('../services/verificationService');
+const withAudit = require('../utils/withAudit');
+
+const SUBMITTED_FIELDS = [
+  'farmName', 'farmAddress', 'region', 'district', 'farmSizeAcres', 'produce', 'idType', 'idNumber', 'documents'
+];
+
+// review action → FarmerVerification.status and the matching User.verificationStatus
+const REVIEW_OUTCOMES = {
+  approve: { status: 'approved', userStatus: 'verified' },
+  reject: { status: 'rejected', userStatus: 'rejected' },
+  'request-info': { status: 'more_info_required', userStatus: 'more_info_required' }
+};
+
+/**
+ * SUBMIT → audit CREATE
+ * POST /api/farmer-verifications
+ * First submission, or a resubmission after a rejection or a request for more info.
+ */
+exports.submitVerification = withAudit('FarmerVerification', 'CREATE', async (req, res, next) => {
+  try {
+    const existing = await FarmerVerification.findOne({ farmer: req.user.sub });
+    if (existing && ['pending', 'approved'].includes(existing.status)) {
+      return res.status(409).json({ message: `Verification is already ${existing.status}` });
+    }
+
+    const details = {};
+    SUBMITTED_FIELDS.forEach(f => {
+      if (req.body[f] !== undefined) details[f] = req.body[f];
+    });
+
+    const verification = existing || new FarmerVerification({ farmer: req.user.sub });
+    verification.set({
+      ...details,
+      status: 'pending',
+      submittedAt: new Date(),
+      lastUpdatedBy: req.user.sub
+    });
+    verification.history.push({ status: 'pending', by: req.user.sub });
+    try {
+      await verification.save();
+    } catch (err) {
+      // a first submission sent twice at once: the other one was saved
+      if (err.code === 11000) {
+        return res.status(409).json({ message: 'Verification is already pending' });
+      }
+      throw err;
+    }
+
+    await verificationService.setFarmerStatus(req.user.sub, 'pending', req.user.sub);
+
+    res.locals.created = verification;
+    res.status(existing ? 200 : 201).json(verification);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/farmer-verifications/me
+ */
+exports.getMyVerification = async (req, res, next) => {
+  try {
+    const verification = await FarmerVerification.findOne({ farmer: req.user.sub }).lean();
+    if (!verification) {
+      return res.status(404).json({ message: 'No verification request submitted yet' });
+    }
+    res.json(verification);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Review queue, oldest submission first
+ * GET /api/farmer-verifications?status=pending
+ */
+exports.listVerifications = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+    const filter = status === 'all' ? {} : { status };
+
+    const [items, total] = await Promise.all([
+      FarmerVerification.find(filter)
+        .sort('submittedAt')
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+        .populate('farmer', 'firstName lastName email phoneNumber city country')
+        .lean(),
+      FarmerVerification.countDocuments(filter)
+    ]);
+
+    res.json({ page: Number(page), limit: Number(limit), total, data: items });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/farmer-verifications/:id
+ */
+exports.getVerification = async (req, res, next) => {
+  try {
+    const verification = await FarmerVerification.findById(req.params.id)
+      .populate('farmer', 'firstName lastName email phoneNumber city country')
+      .populate('reviewedBy', 'firstName lastName email')
+      .populate('history.by', 'firstName lastName')
+      .lean();
+    if (!verification) {
+      return res.status(404).json({ message: 'Verification request not found' });
+    }
+    res.json(verification);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * REVIEW → audit UPDATE
+ * POST /api/farmer-verifications/:id/approve | reject | request-info
+ * @param {'approve'|'reject'|'request-info'} action
+ */
+exports.reviewVerification = action => withAudit('FarmerVerification', 'UPDATE', async (req, res, next) => {
+  try {
+    const { status, userStatus } = REVIEW_OUTCOMES[action];
+    const note = req.body.note;
+    if (action !== 'approve' && !note) {
+      return res.status(400).json({ message: 'A note explaining the decision is required' });
+    }
+
+    const verification = await FarmerVerification.findById(req.params.id).populate('farmer');
+    if (!verification) {
+      return res.status(404).json({ message: 'Verification request not found' });
+    }
+    if (verification.status !== 'pending') {
+      return res.status(409).json({ message: `Verification is ${verification.status}, not pending` });
+    }
+
+    verification.set({
+      status,
+      reviewNotes: note,
+      reviewedBy: req.user.sub,
+      reviewedAt: new Date(),
+      lastUpdatedBy: req.user.sub
+    });
+    verification.history.push({ status, note, by: req.user.sub });
+    await verification.save();
+
+    const farmer = verification.farmer;
+    await verificationService.setFarmerStatus(farmer._id, userStatus, req.user.sub);
+
+    try {
+      await notificationService.sendFarmerVerificationNotification(status, verification, farmer);
+    } catch (e) {
+      console.error('Verification email failed', e);
+    }
+    await smsService.notify(farmer, `Your farmer verification is now: ${status.replace(/_/g, ' ')}.`);
+
+    res.locals.updated = verification;
+    res.json(verification);
+  } catch (err) {
+    next(err);
+  }
+});
@@ -2,7 +2,9 @@ const Feedback = require('../models/Feedback');
 const Order    = require('../models/Order');
 const User     = require('../models/User');
 const withAudit = require('../utils/withAudit');
+const policy = require('../utils/policy');
 const notificationService = require('../services/emailService');
+const ratingService = require('../services/ratingService');
 
 /**
  * CREATE → audit CREATE
@@ -39,6 +41,8 @@ exports.createFeedback = withAudit('Feedback', 'CREATE', async (req, res, next)
     res.locals.created   = fb;
     res.locals.auditUser = userId;
 
+    await ratingService.refreshForOrder(orderId);
+
     // 5) Notify the farmer
     const farmer = await User.findById(order.farmer).select('email firstName lastName');
     if (farmer) {
@@ -98,21 +102,22 @@ exports.updateFeedback = withAudit('Feedback', 'UPDATE', async (req, res, next)
     if (!fb) return res.status(404).json({ message: 'Feedback not found' });
 
     const userId = req.user.sub;
-    const isAuthor = fb.author.toString() === userId;
-    const isAdmin  = req.user.isAdmin;
-    // Optionally check if farmer:
-    const order = await Order.findById(fb.order).select('farmer').lean();
-    const isFarmer = order && order.farmer.toString() === userId;
+    const order = await Order.findById(fb.order).select('buyer subOrders.farmer').lean();
+    const canEdit    = policy.can(req.user, 'feedback:update', fb);
+    const canRespond = !!order && policy.can(req.user, 'feedback:respond', order);
+    if (!canEdit && !canRespond) {
+      return res.status(403).json({ message: 'Not authorized to update this feedback' });
+    }
 
     let didRespond = false;
 
     // Buyers can update their own rating/comment
-    if (isAuthor) {
+    if (canEdit) {
       if (req.body.rating !== undefined) fb.rating = req.body.rating;
       if (req.body.comment !== undefined) fb.comment = req.body.comment;
     }
     // Farmers or admins can add a response
-    if ((isFarmer || isAdmin) && req.body.responseText) {
+    if (canRespond && req.body.responseText) {
       fb.response = {
         text: req.body.responseText,
         respondedBy: userId,
@@ -123,6 +128,9 @@ exports.updateFeedback = withAudit('Feedback', 'UPDATE', async (req, res, next)
 
     fb.lastUpdatedBy = userId;
     const updated = await fb.save();
+    if (canEdit && req.body.rating !== undefined) {
+      await ratingService.refreshForOrder(fb.order);
+    }
 
     // Audit metadata
     res.locals.updated   = updated;
@@ -153,13 +161,12 @@ exports.deleteFeedback = withAudit('Feedback', 'DELETE', async (req, res, next)
     if (!fb) return res.status(404).json({ message: 'Feedback not found' });
 
     const userId = req.user.sub;
-    const isAuthor = fb.author.toString() === userId;
-    const isAdmin  = req.user.isAdmin;
-    if (!isAuthor && !isAdmin) {
+    if (!policy.can(req.user, 'feedback:delete', fb)) {
       return res.status(403).json({ message: 'Not authorized to delete this feedback' });
     }
 
-    await fb.remove();
+    await fb.deleteOne();
+    await ratingService.refreshForOrder(fb.order);
     res.locals.auditUser = userId;
     res.status(204).end();
   } catch (err) {
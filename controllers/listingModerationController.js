@@ -0,0 +1,214 @@
+const ProductListing = require('../models/ProductListing');
+const ListingReport = require('../models/ListingReport');
+const moderationService = require('../services/moderationService');
+const withAudit = require('../utils/withAudit');
+
+const { MODERATION_STATUSES } = ProductListing;
+const { REPORT_REASONS } = ListingReport;
+
+const MAX_DETAILS_LENGTH = 1000;
+
+// review action → the listing's new status, the statuses it may be taken
+// from, what happens to its open reports and the farmer's notification
+const REVIEW_OUTCOMES = {
+  approve: { status: 'approved', from: ['pending', 'rejected', 'taken_down'], reports: 'dismissed', notice: 'approved' },
+  reject: { status: 'rejected', from: ['pending'], reports: 'actioned', notice: 'rejected' },
+  'take-down': { status: 'taken_down', from: ['approved', 'pending'], reports: 'actioned', notice: 'takenDown' }
+};
+
+const QUEUE_POPULATE = [
+  { path: 'productItem', select: 'productName', populate: { path: 'category', select: 'categoryName path' } },
+  { path: 'farmer', select: 'firstName lastName email verificationStatus' },
+  { path: 'moderatedBy', select: 'firstName lastName' }
+];
+
+/**
+ * REPORT → audit CREATE
+ * POST /api/product-listings/:id/report
+ */
+exports.reportListing = withAudit('ListingReport', 'CREATE', async (req, res, next) => {
+  try {
+    const { reason, details } = req.body;
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ message: `reason must be one of: ${REPORT_REASONS.join(', ')}` });
+    }
+    if (details !== undefined && (typeof details !== 'string' || details.length > MAX_DETAILS_LENGTH)) {
+      return res.status(400).json({ message: `details must be text of at most ${MAX_DETAILS_LENGTH} characters` });
+    }
+    if (reason === 'other' && !(details && details.trim())) {
+      return res.status(400).json({ message: 'Please describe the problem in details' });
+    }
+
+    const listing = await ProductListing.findById(req.params.id).select('farmer').lean();
+    if (!listing) {
+      return res.status(404).json({ message: 'ProductListing not found' });
+    }
+    if (String(listing.farmer) === String(req.user.sub)) {
+      return res.status(400).json({ message: 'You cannot report your own listing' });
+    }
+    if (await ListingReport.exists({ listing: listing._id, reporter: req.user.sub, status: 'open' })) {
+      return res.status(409).json({ message: 'You have already reported this listing' });
+    }
+
+    const report = await ListingReport.create({
+      listing: listing._id,
+      reporter: req.user.sub,
+      reason,
+      details
+    });
+    await moderationService.reportFiled(listing._id);
+
+    res.locals.created = report;
+    res.locals.auditUser = req.user.sub;
+    res.status(201).json(report);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * Review queue, oldest change first
+ * GET /api/moderation/listings?status=pending
+ * status=reported lists listings with open reports, whatever their status.
+ */
+exports.listModerationQueue = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+    if (status !== 'reported' && !MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be reported or one of: ${MODERATION_STATUSES.join(', ')}` });
+    }
+    const filter = status === 'reported'
+      ? { _id: { $in: await ListingReport.distinct('listing', { status: 'open' }) } }
+      : { moderationStatus: status };
+
+    const [items, total] = await Promise.all([
+      ProductListing.find(filter)
+        .sort('updatedAt')
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+        .populate(QUEUE_POPULATE)
+        .lean(),
+      ProductListing.countDocuments(filter)
+    ]);
+
+    // how many open reports each one has
+    const counts = await ListingReport.aggregate([
+      { $match: { listing: { $in: items.map(i => i._id) }, status: 'open' } },
+      { $group: { _id: '$listing', count: { $sum: 1 } } }
+    ]);
+    const openReports = new Map(counts.map(c => [String(c._id), c.count]));
+
+    res.json({
+      page: Number(page),
+      limit: Number(limit),
+      total,
+      data: items.map(i => ({ ...i, openReports: openReports.get(String(i._id)) || 0 }))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * REVIEW → audit UPDATE
+ * POST /api/moderation/listings/:id/approve | reject | take-down
+ * @param {'approve'|'reject'|'take-down'} action
+ */
+exports.reviewListing = action => withAudit('ProductListing', 'UPDATE', async (req, res, next) => {
+  try {
+    const { status, from, reports, notice } = REVIEW_OUTCOMES[action];
+    const note = req.body.note;
+    if (action !== 'approve' && !(note && String(note).trim())) {
+      return res.status(400).json({ message: 'A note explaining the decision is required' });
+    }
+
+    const listing = await ProductListing.findById(req.params.id);
+    if (!listing) {
+      return res.status(404).json({ message: 'ProductListing not found' });
+    }
+    const current = listing.moderationStatus || 'approved';
+    if (!from.includes(current)) {
+      return res.status(409).json({ message: `Listing is ${current}; it can't be ${status.replace(/_/g, ' ')} from there` });
+    }
+
+    listing.set({
+      moderationStatus: status,
+      moderationNote: note,
+      moderatedBy: req.user.sub,
+      moderatedAt: new Date(),
+      lastUpdatedBy: req.user.sub
+    });
+    // an approval settles what was flagged; a rejection keeps it on record
+    if (action === 'approve') listing.moderationFlags = [];
+    await listing.save();
+
+    const resolved = await moderationService.resolveReports(listing._id, reports, req.user.sub, note);
+    await moderationService.notifyFarmer(notice, listing._id);
+
+    const populated = await listing.populate(QUEUE_POPULATE);
+    res.locals.updated = populated;
+    res.locals.auditUser = req.user.sub;
+    res.locals.auditMetadata = { moderation: { action, reportsResolved: resolved } };
+    res.json(populated);
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/moderation/reports?status=open&listing=<id>
+ */
+exports.listReports = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status = 'open', listing } = req.query;
+    const filter = status === 'all' ? {} : { status };
+    if (listing) filter.listing = listing;
+
+    const [items, total] = await Promise.all([
+      ListingReport.find(filter)
+        .sort('createdAt')
+        .skip((page - 1) * limit)
+        .limit(Number(limit))
+        .populate({ path: 'listing', select: 'productItem farmer description images price unit moderationStatus', populate: QUEUE_POPULATE.slice(0, 2) })
+        .populate('reporter', 'firstName lastName email')
+        .populate('resolvedBy', 'firstName lastName')
+        .lean(),
+      ListingReport.countDocuments(filter)
+    ]);
+
+    res.json({ page: Number(page), limit: Number(limit), total, data: items });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DISMISS → audit UPDATE
+ * POST /api/moderation/reports/:id/dismiss
+ * For a report that needs no action; the listing stays as it is.
+ */
+exports.dismissReport = withAudit('ListingReport', 'UPDATE', async (req, res, next) => {
+  try {
+    const report = await ListingReport.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    if (report.status !== 'open') {
+      return res.status(409).json({ message: `Report is already ${report.status}` });
+    }
+
+    report.set({
+      status: 'dismissed',
+      resolutionNote: req.body.note,
+      resolvedBy: req.user.sub,
+      resolvedAt: new Date()
+    });
+    await report.save();
+
+    res.locals.updated = report;
+    res.locals.auditUser = req.user.sub;
+    res.json(report);
+  } catch (err) {
+    next(err);
+  }
+});
@@ -3,6 +3,7 @@ const Message = require('../models/Message');
 const Order   = require('../models/Order');
 const User    = require('../models/User');
 const withAudit = require('../utils/withAudit');
+const policy = require('../utils/policy');
 const notificationService = require('../services/emailService');
 
 /**
@@ -15,6 +16,12 @@ exports.createMessage = withAudit('Message', 'CREATE', async (req, res, next) =>
     const { order: orderId, text } = req.body;
     const senderId = req.user.sub;
 
+    const order = await Order.findById(orderId).select('buyer subOrders.farmer').lean();
+    if (!order) return res.status(400).json({ message: 'Order not found' });
+    if (!policy.can(req.user, 'message:create', order)) {
+      return res.status(403).json({ message: 'Not a participant of this order' });
+    }
+
     // 1) Create the message
     const msg = await Message.create({
       order:       orderId,
@@ -27,23 +34,22 @@ exports.createMessage = withAudit('Message', 'CREATE', async (req, res, next) =>
     res.locals.created   = msg;
     res.locals.auditUser = senderId;
 
-    // 3) Identify the other participant(s)
-    const order = await Order.findById(orderId).select('buyer farmer').lean();
-    if (order) {
-      // collect unique recipient IDs, excluding the sender
-      const recipientIds = new Set([ order.buyer.toString(), order.farmer.toString() ]);
-      recipientIds.delete(senderId);
-
-      // fetch each recipient’s email/name
-      const recipients = await User.find({
-        _id: { $in: Array.from(recipientIds) }
-      }).select('email firstName lastName').lean();
-
-      // 4) Send notification to each
-      await Promise.all(recipients.map(r =>
-        notificationService.sendMessageNotification(msg, r)
-      ));
-    }
+    // 3) Identify the other participant(s): buyer and every farmer, excluding the sender
+    const recipientIds = new Set([
+      order.buyer.toString(),
+      ...order.subOrders.map(so => so.farmer.toString())
+    ]);
+    recipientIds.delete(senderId);
+
+    // fetch each recipient’s email/name
+    const recipients = await User.find({
+      _id: { $in: Array.from(recipientIds) }
+    }).select('email firstName lastName').lean();
+
+    // 4) Send notification to each
+    await Promise.all(recipients.map(r =>
+      notificationService.sendMessageNotification(msg, r)
+    ));
 
     // 5) Return the newly created message
     res.status(201).json(msg);
@@ -63,6 +69,15 @@ exports.listMessages = async (req, res, next) => {
     const filter = {};
     if (req.query.order) filter.order = req.query.order;
 
+    // participants may only read the chats of their own orders
+    if (policy.scope(req.user, 'message:list') === 'own') {
+      const order = req.query.order &&
+        await Order.findById(req.query.order).select('buyer subOrders.farmer').lean();
+      if (!order || !policy.can(req.user, 'message:list', order)) {
+        return res.status(403).json({ message: 'An order you take part in is required' });
+      }
+    }
+
     const msgs = await Message.find(filter)
       .populate('sender', 'firstName lastName email')
       .sort('createdAt')
@@ -81,9 +96,13 @@ exports.getMessage = async (req, res, next) => {
   try {
     const msg = await Message.findById(req.params.id)
       .populate('sender', 'firstName lastName email')
+      .populate('order', 'buyer subOrders.farmer')
       .lean();
     if (!msg) return res.status(404).json({ message: 'Message not found' });
-    res.json(msg);
+    if (!policy.can(req.user, 'message:read', msg)) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+    res.json({ ...msg, order: msg.order?._id || msg.order });
   } catch (err) {
     next(err);
   }
@@ -6,7 +6,15 @@ const ProductListing = require('../models/ProductListing');
 const User = require('../models/User');
 const notificationService = require('../services/emailService');
 const withAudit = require('../utils/withAudit');
+const policy = require('../utils/policy');
 const socketService = require('../services/socket'); // socket helper
+const smsService = require('../services/smsService');
+const inventoryService = require('../services/inventoryService');
+const stockAlertService = require('../services/stockAlertService');
+const moderationService = require('../services/moderationService');
+const listingScheduleService = require('../services/listingScheduleService');
+const { unitName, checkOrderQuantity } = require('../utils/units');
+const { resolvePrice } = require('../utils/pricing');
 
 /* ===== Validation (Joi) ===== */
 const orderSchema = Joi.object({
@@ -37,7 +45,8 @@ const orderSchema = Joi.object({
       items: Joi.array().min(1).items(
         Joi.object({
           product: Joi.string().hex().length(24).required(),
-          qty: Joi.number().integer().min(1).required()
+          // whole or fractional depending on the listing's unit (checked in createOrder)
+          qty: Joi.number().positive().required()
         })
       ).required()
     })
@@ -71,15 +80,137 @@ function deriveOrderStatus(subOrders) {
   return 'in_progress';
 }
 
+/* ===== Permissions: who may move a subOrder (or its items) to a status =====
+   the subOrder's farmer or an admin for any status; logistics only through delivery */
+const DELIVERY_STATUSES = ['in_transit', 'delivered'];
+
+function canUpdateSubOrder(user, subOrder, status) {
+  if (policy.can(user, 'suborder:update-status', subOrder)) return true;
+  return DELIVERY_STATUSES.includes(status) && policy.can(user, 'suborder:update-delivery', subOrder);
+}
+
+/* ===== Stock: rejected/cancelled items give back what createOrder reserved =====
+   An item's stock is released once (stockReleasedAt marks it) when the item, its
+   subOrder or the whole order is rejected/cancelled, and reserved again if it is
+   reopened. Delivered items keep theirs: that produce has left the farm. Runs
+   inside the transaction that saves the order. */
+const RELEASING_STATUSES = ['rejected', 'cancelled'];
+
+const releaseReason = (so, it) =>
+  (RELEASING_STATUSES.includes(it.itemStatus) && `Item ${it.itemStatus}`) ||
+  (RELEASING_STATUSES.includes(so.status) && `Sub-order ${so.status}`) ||
+  'Order cancelled';
+
+const delivered = (so, it) => it.itemStatus === 'delivered' || so.status === 'delivered';
+
+/**
+ * @param {Array} changes – collects [listing, delta] for the stock alerts
+ * @returns {Promise<object|null>} the item that could not be reserved again, if any
+ */
+async function settleItemStock(order, actor, session, changes) {
+  for (const so of order.subOrders) {
+    for (const it of so.items) {
+      const released = !delivered(so, it) && (
+        order.status === 'cancelled' ||
+        RELEASING_STATUSES.includes(so.status) ||
+        RELEASING_STATUSES.includes(it.itemStatus)
+      );
+
+      if (released && !it.stockReleasedAt) {
+        // a deleted listing has nothing to give back to; still mark it done
+        const returned = await inventoryService.move({
+          listing: it.product,
+          type: 'cancellation_return',
+          quantity: it.qty,
+          order: order._id,
+          note: releaseReason(so, it),
+          actor,
+          inc: { salesCount: -it.qty },
+          session
+        });
+        if (returned) changes.push([returned, it.qty]);
+        it.stockReleasedAt = new Date();
+      } else if (!released && it.stockReleasedAt) {
+        const reserved = await inventoryService.move({
+          listing: it.product,
+          type: 'sale',
+          quantity: -it.qty,
+          order: order._id,
+          note: 'Item reopened',
+          actor,
+          inc: { salesCount: it.qty },
+          session
+        });
+        if (!reserved) return it;
+        changes.push([reserved, -it.qty]);
+        it.stockReleasedAt = undefined;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Load an order inside a transaction, apply `change` to it, settle stock and
+ * save. Reading the order in the transaction is what prevents a double
+ * release: a concurrent change to the same order aborts with a write conflict.
+ * @param {string} orderId
+ * @param {string} actor
+ * @param {(order) => object|undefined} change – may return { status, message } to abort
+ * @returns {Promise<{ order: object }|{ status: number, message: string }>}
+ */
+async function changeOrderStatus(orderId, actor, change) {
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const order = await Order.findById(orderId).session(session);
+    if (!order) {
+      await session.abortTransaction();
+      return { status: 404, message: 'Order not found' };
+    }
+
+    const refused = await change(order);
+    if (refused) {
+      await session.abortTransaction();
+      return refused;
+    }
+
+    const stockChanges = [];
+    const short = await settleItemStock(order, actor, session, stockChanges);
+    if (short) {
+      await session.abortTransaction();
+      return {
+        status: 409,
+        message: `Not enough stock left to reopen ${short.qty}${short.unit ? ` ${short.unit}` : ''} of product ${short.product}`
+      };
+    }
+
+    order.lastUpdatedBy = actor;
+    await order.save({ session });
+    await session.commitTransaction();
+
+    for (const [listing, delta] of stockChanges) await stockAlertService.stockChanged(listing, delta);
+    return { order };
+  } catch (err) {
+    try { if (session.inTransaction()) await session.abortTransaction(); } catch (e) { console.error('Abort failed', e); }
+    if (err.hasErrorLabel && err.hasErrorLabel('TransientTransactionError')) {
+      return { status: 409, message: 'The order was changed by another request at the same time. Try again.' };
+    }
+    throw err;
+  } finally {
+    session.endSession();
+  }
+}
+
 /* ===== Utility: fully populate order ===== */
 async function findAndPopulateOrder(orderId) {
   return Order.findById(orderId)
-    .populate('buyer', 'firstName lastName email phoneNumber')
-    .populate({ path: 'subOrders.farmer', select: 'firstName lastName email phoneNumber' })
+    .populate('buyer', 'firstName lastName email phoneNumber smsNotification')
+    .populate({ path: 'subOrders.farmer', select: 'firstName lastName email phoneNumber smsNotification verificationStatus' })
     .populate({
       path: 'subOrders.items.product',
       model: 'ProductListing',
-      select: 'price images productItem title quantity',
+      select: 'price priceTiers images productItem title quantity unit unitLabel unitConversion minOrderQty orderIncrement',
       populate: { path: 'productItem', model: 'ProductItem', select: 'productName' }
     })
     .lean();
@@ -143,9 +274,17 @@ exports.createOrder = withAudit('Order', 'CREATE', async (req, res, next) => {
     }
     const { billing, subOrders } = value;
 
+    // group prices on listings depend on which buyer groups the buyer is in
+    const buyer = await User.findById(req.user.sub).select('buyerGroups').lean();
+    const buyerGroups = (buyer && buyer.buyerGroups) || [];
+
     session.startTransaction();
 
+    // known up front so the stock movements can point at the order
+    const orderId = new mongoose.Types.ObjectId();
     let grandTotal = 0;
+    // low-stock alerts wait for the commit
+    const stockChanges = [];
 
     // Reserve & decrement stock per item (atomic)
     for (const so of subOrders) {
@@ -166,34 +305,68 @@ exports.createOrder = withAudit('Order', 'CREATE', async (req, res, next) => {
         }
 
         const prodLabel = prod.productItem?.productName || prod.title || `Product ${prod._id}`;
+        // on sale only if switched on, not past best-before, published and
+        // not held back by moderation, as the browse filter shows it
+        const onSale = prod.isActive &&
+          (!prod.bestBefore || new Date(prod.bestBefore) > new Date()) &&
+          listingScheduleService.isPublished(prod) &&
+          moderationService.isListed(prod);
+        if (!onSale) {
+          await session.abortTransaction();
+          return res.status(400).json({ message: `"${prodLabel}" is not available` });
+        }
         const available = Number(prod.quantity || 0);
 
         if (qty > available) {
           await session.abortTransaction();
           return res.status(400).json({
-            message: `Only ${available} "${prodLabel}" available, you requested ${qty}.`,
+            message: `Only ${available} ${unitName(prod)} of "${prodLabel}" available, you requested ${qty}.`,
             product: prodLabel,
+            unit: unitName(prod),
             available,
             requested: qty
           });
         }
 
-        const unitPrice = Number(prod.price || 0);
+        // minimum order quantity, increments and whole units
+        const qtyError = checkOrderQuantity(qty, prod);
+        if (qtyError) {
+          await session.abortTransaction();
+          return res.status(400).json({
+            message: `${prodLabel}: ${qtyError}.`,
+            product: prodLabel,
+            unit: unitName(prod),
+            minOrderQty: prod.minOrderQty || 1,
+            orderIncrement: prod.orderIncrement || 1,
+            requested: qty
+          });
+        }
+
+        // base price, or the best quantity/buyer-group tier that applies
+        const { price: unitPrice, tier } = resolvePrice(prod, qty, buyerGroups);
         subtotal += unitPrice * qty;
         it.priceAtOrder = unitPrice;
+        it.listPrice = Number(prod.price || 0);
+        it.appliedTier = tier ? { minQty: tier.minQty, buyerGroup: tier.buyerGroup } : undefined;
+        it.unit = unitName(prod);
         it.itemStatus = it.itemStatus || 'pending';
 
-        // decrement stock atomically (guard)
-        const updated = await ProductListing.findOneAndUpdate(
-          { _id: prod._id, quantity: { $gte: qty } },
-          { $inc: { quantity: -qty } },
-          { session, new: true }
-        );
+        // decrement stock atomically (guard), recorded in the stock ledger
+        const updated = await inventoryService.move({
+          listing: prod._id,
+          type: 'sale',
+          quantity: -qty,
+          order: orderId,
+          actor: req.user.sub,
+          inc: { salesCount: qty },
+          session
+        });
 
         if (!updated) {
           await session.abortTransaction();
           return res.status(409).json({ message: `Failed to reserve ${qty} of ${prodLabel}. Stock changed — try again.` });
         }
+        stockChanges.push([updated, -qty]);
       }
 
       so.subtotal = subtotal;
@@ -202,6 +375,7 @@ exports.createOrder = withAudit('Order', 'CREATE', async (req, res, next) => {
     }
 
     const orderData = {
+      _id: orderId,
       buyer: req.user.sub,
       billing,
       subOrders,
@@ -216,6 +390,8 @@ exports.createOrder = withAudit('Order', 'CREATE', async (req, res, next) => {
     await session.commitTransaction();
     session.endSession();
 
+    for (const [listing, delta] of stockChanges) await stockAlertService.stockChanged(listing, delta);
+
     const populated = await findAndPopulateOrder(orderDoc._id);
 
     // Notify buyer (best-effort)
@@ -224,12 +400,13 @@ exports.createOrder = withAudit('Order', 'CREATE', async (req, res, next) => {
     } catch (e) {
       console.error('Buyer notification failed', e);
     }
+    await smsService.notify(populated.buyer, `your order ${populated._id} has been placed. Total: ${populated.grandTotal.toFixed(2)}.`);
 
     // Notify each farmer (per-subOrder payload)
     try {
       if (Array.isArray(populated.subOrders)) {
         for (const so of populated.subOrders) {
-          const farmerInfo = (so.farmer && typeof so.farmer === 'object') ? so.farmer : (so.farmer && await User.findById(so.farmer).select('firstName lastName email phoneNumber').lean());
+          const farmerInfo = (so.farmer && typeof so.farmer === 'object') ? so.farmer : (so.farmer && await User.findById(so.farmer).select('firstName lastName email phoneNumber smsNotification').lean());
           const farmerView = {
             _id: populated._id,
             buyer: populated.buyer,
@@ -244,6 +421,7 @@ exports.createOrder = withAudit('Order', 'CREATE', async (req, res, next) => {
           } else {
             console.warn('No farmer contact info — skipping email for farmer id', so.farmer);
           }
+          await smsService.notify(farmerInfo, `new order ${populated._id} with ${so.items.length} item(s) worth ${so.subtotal.toFixed(2)}.`);
         }
       }
     } catch (e) {
@@ -272,26 +450,19 @@ exports.listOrders = async (req, res, next) => {
   try {
     const filter = {};
 
-    const userId = req.user.sub;
-    const isAdmin = !!req.user.isAdmin;
-    const isFarmer = req.user.role === 'farmer';
-
-    if (isAdmin) {
-      // no filter
-    } else if (isFarmer) {
+    if (policy.scope(req.user, 'order:list') === 'own') {
       // IMPORTANT: use `new mongoose.Types.ObjectId(...)` (not calling ObjectId as function)
-      filter['subOrders.farmer'] = new mongoose.Types.ObjectId(userId);
-    } else {
-      filter.buyer = new mongoose.Types.ObjectId(userId);
+      const userId = new mongoose.Types.ObjectId(req.user.sub);
+      filter.$or = [{ buyer: userId }, { 'subOrders.farmer': userId }];
     }
 
     const orders = await Order.find(filter)
       .populate('buyer', 'firstName lastName email phoneNumber')
-      .populate({ path: 'subOrders.farmer', select: 'firstName lastName email phoneNumber' })
+      .populate({ path: 'subOrders.farmer', select: 'firstName lastName email phoneNumber verificationStatus' })
       .populate({
         path: 'subOrders.items.product',
         model: 'ProductListing',
-        select: 'price images productItem title quantity',
+        select: 'price priceTiers images productItem title quantity unit unitLabel unitConversion minOrderQty orderIncrement',
         populate: { path: 'productItem', model: 'ProductItem', select: 'productName' }
       })
       .sort('-createdAt')
@@ -309,23 +480,8 @@ exports.getOrder = async (req, res, next) => {
     const order = await findAndPopulateOrder(req.params.id);
     if (!order) return res.status(404).json({ message: 'Order not found' });
 
-    const userId = req.user.sub;
-    const isAdmin = !!req.user.isAdmin;
-    const isFarmer = req.user.role === 'farmer';
-
-    if (!isAdmin) {
-      if (isFarmer) {
-        const has = Array.isArray(order.subOrders) && order.subOrders.some(so => {
-          const f = so.farmer;
-          if (!f) return false;
-          return (typeof f === 'object' ? String(f._id) === String(userId) : String(f) === String(userId));
-        });
-        if (!has) return res.status(403).json({ message: 'Forbidden' });
-      } else {
-        if (String(order.buyer._id) !== String(userId)) {
-          return res.status(403).json({ message: 'Forbidden' });
-        }
-      }
+    if (!policy.can(req.user, 'order:read', order)) {
+      return res.status(403).json({ message: 'Forbidden' });
     }
 
     res.json(order);
@@ -386,7 +542,7 @@ exports.getFarmerSubOrders = async (req, res, next) => {
     let productsById = {};
     if (productIds.length) {
       const products = await ProductListing.find({ _id: { $in: productIds } })
-        .select('price images productItem title quantity')
+        .select('price priceTiers images productItem title quantity unit unitLabel unitConversion minOrderQty orderIncrement')
         .populate({ path: 'productItem', select: 'productName' })
         .lean();
 
@@ -425,14 +581,12 @@ exports.getFarmerSubOrders = async (req, res, next) => {
 /* ===== Admin: update global order status (returns populated) ===== */
 exports.updateOrderStatus = withAudit('Order', 'UPDATE', async (req, res, next) => {
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Forbidden' });
     const { status } = req.body;
-    const order = await Order.findById(req.params.id);
-    if (!order) return res.status(404).json({ message: 'Order not found' });
-
-    order.status = status;
-    order.lastUpdatedBy = req.user.sub;
-    await order.save();
+    const result = await changeOrderStatus(req.params.id, req.user.sub, order => {
+      order.status = status;
+    });
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    const { order } = result;
 
     const populated = await findAndPopulateOrder(order._id);
     res.locals.updated = populated;
@@ -440,6 +594,7 @@ exports.updateOrderStatus = withAudit('Order', 'UPDATE', async (req, res, next)
 
     // notify buyer & farmers
     try { await notificationService.sendOrderNotification('statusChanged', populated, populated.buyer || req.user); } catch (e) { console.error('Notify buyer failed', e); }
+    await smsService.notify(populated.buyer, `order ${populated._id} is now "${populated.status}".`);
     try { await safeEmitOrderUpdate(populated); } catch (e) { console.error('Socket emit failed in updateOrderStatus', e); }
 
     res.json(populated);
@@ -460,26 +615,24 @@ exports.updateOrderItemStatus = withAudit('Order', 'UPDATE', async (req, res, ne
       return res.status(400).json({ message: 'Invalid itemStatus' });
     }
 
-    const order = await Order.findById(orderId);
-    if (!order) return res.status(404).json({ message: 'Order not found' });
+    let subOrder;
+    const result = await changeOrderStatus(orderId, req.user.sub, order => {
+      subOrder = order.subOrders.id(subOrderId);
+      if (!subOrder) return { status: 404, message: 'SubOrder not found' };
 
-    const subOrder = order.subOrders.id(subOrderId);
-    if (!subOrder) return res.status(404).json({ message: 'SubOrder not found' });
+      const item = subOrder.items.id(itemId);
+      if (!item) return { status: 404, message: 'Item not found' };
 
-    const item = subOrder.items.id(itemId);
-    if (!item) return res.status(404).json({ message: 'Item not found' });
-
-    // permissions: farmer of this subOrder or admin
-    if (!req.user.isAdmin && String(subOrder.farmer) !== String(req.user.sub)) {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
-
-    item.itemStatus = itemStatus;
-    subOrder.status = deriveSubOrderStatus(subOrder.items);
-    order.status = deriveOrderStatus(order.subOrders);
-    order.lastUpdatedBy = req.user.sub;
+      if (!canUpdateSubOrder(req.user, subOrder, itemStatus)) {
+        return { status: 403, message: 'Not authorized' };
+      }
 
-    await order.save();
+      item.itemStatus = itemStatus;
+      subOrder.status = deriveSubOrderStatus(subOrder.items);
+      order.status = deriveOrderStatus(order.subOrders);
+    });
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    const { order } = result;
 
     const populated = await findAndPopulateOrder(order._id);
     res.locals.updated = populated;
@@ -487,6 +640,7 @@ exports.updateOrderItemStatus = withAudit('Order', 'UPDATE', async (req, res, ne
 
     // notify buyer (best-effort)
     try { await notificationService.sendOrderNotification('statusChanged', populated, populated.buyer || req.user); } catch (e) { console.error('Notify buyer failed', e); }
+    await smsService.notify(populated.buyer, `order ${populated._id} is now "${populated.status}".`);
 
     // emit socket update for this subOrder/item change
     try { await safeEmitOrderUpdate(populated, subOrder); } catch (e) { console.error('Socket emit failed in updateOrderItemStatus', e); }
@@ -511,32 +665,31 @@ exports.updateSubOrderStatus = withAudit('Order', 'UPDATE', async (req, res, nex
       return res.status(400).json({ message: 'Invalid setItemsTo value' });
     }
 
-    const order = await Order.findById(orderId);
-    if (!order) return res.status(404).json({ message: 'Order not found' });
+    let subOrder;
+    const result = await changeOrderStatus(orderId, req.user.sub, order => {
+      subOrder = order.subOrders.id(subOrderId);
+      if (!subOrder) return { status: 404, message: 'SubOrder not found' };
 
-    const subOrder = order.subOrders.id(subOrderId);
-    if (!subOrder) return res.status(404).json({ message: 'SubOrder not found' });
-
-    // permissions: farmer of this subOrder or admin
-    if (!req.user.isAdmin && String(subOrder.farmer) !== String(req.user.sub)) {
-      return res.status(403).json({ message: 'Not authorized' });
-    }
+      if (!canUpdateSubOrder(req.user, subOrder, status) ||
+          (setItemsTo && !canUpdateSubOrder(req.user, subOrder, setItemsTo))) {
+        return { status: 403, message: 'Not authorized' };
+      }
 
-    // update subOrder.status
-    subOrder.status = status;
+      // update subOrder.status
+      subOrder.status = status;
 
-    // optionally set every item status
-    if (setItemsTo && Array.isArray(subOrder.items)) {
-      subOrder.items.forEach(it => {
-        it.itemStatus = setItemsTo;
-      });
-    }
-
-    // recalc derived order status
-    order.status = deriveOrderStatus(order.subOrders);
-    order.lastUpdatedBy = req.user.sub;
+      // optionally set every item status
+      if (setItemsTo && Array.isArray(subOrder.items)) {
+        subOrder.items.forEach(it => {
+          it.itemStatus = setItemsTo;
+        });
+      }
 
-    await order.save();
+      // recalc derived order status
+      order.status = deriveOrderStatus(order.subOrders);
+    });
+    if (result.status) return res.status(result.status).json({ message: result.message });
+    const { order } = result;
 
     const populated = await findAndPopulateOrder(order._id);
     res.locals.updated = populated;
@@ -544,6 +697,7 @@ exports.updateSubOrderStatus = withAudit('Order', 'UPDATE', async (req, res, nex
 
     // notify buyer and emit socket update
     try { await notificationService.sendOrderNotification('statusChanged', populated, populated.buyer || req.user); } catch (e) { console.error('Notify buyer failed', e); }
+    await smsService.notify(populated.buyer, `order ${populated._id} is now "${populated.status}".`);
     try { await safeEmitOrderUpdate(populated, subOrder); } catch (e) { console.error('Emit failed in updateSubOrderStatus', e); }
 
     res.json(populated);
@@ -554,13 +708,29 @@ exports.updateSubOrderStatus = withAudit('Order', 'UPDATE', async (req, res, nex
 
 /* ===== DELETE order (admin only) ===== */
 exports.deleteOrder = withAudit('Order', 'DELETE', async (req, res, next) => {
+  const session = await mongoose.startSession();
   try {
-    if (!req.user.isAdmin) return res.status(403).json({ message: 'Forbidden' });
-    const order = await Order.findByIdAndDelete(req.params.id);
-    if (!order) return res.status(404).json({ message: 'Order not found' });
+    session.startTransaction();
+    const order = await Order.findById(req.params.id).session(session);
+    if (!order) {
+      await session.abortTransaction();
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    // whatever the order still holds goes back on sale, as if it were cancelled
+    const stockChanges = [];
+    order.status = 'cancelled';
+    await settleItemStock(order, req.user.sub, session, stockChanges);
+    await order.deleteOne({ session });
+    await session.commitTransaction();
+
+    for (const [listing, delta] of stockChanges) await stockAlertService.stockChanged(listing, delta);
     res.locals.auditUser = req.user.sub;
     res.status(204).end();
   } catch (err) {
+    try { if (session.inTransaction()) await session.abortTransaction(); } catch (e) { console.error('Abort failed', e); }
     next(err);
+  } finally {
+    session.endSession();
   }
 });
@@ -1,5 +1,20 @@
 const ProductCategory = require('../models/ProductCategory');
 const withAudit = require('../utils/withAudit');
+const categoryService = require('../services/categoryService');
+const { catalogueNamesError, cleanNames, cleanAliases } = require('../utils/i18n');
+
+const USER_POPULATE = [
+  { path: 'createdBy', select: 'firstName lastName email' },
+  { path: 'lastUpdatedBy', select: 'firstName lastName email' }
+];
+
+// names only need to be unique next to each other ("Other" can sit under several parents)
+const siblingNamed = (categoryName, parent, exceptId) =>
+  ProductCategory.findOne({
+    categoryName,
+    parent: parent || null,
+    ...(exceptId && { _id: { $ne: exceptId } })
+  });
 
 /**
  * CREATE → audit CREATE
@@ -7,23 +22,42 @@ const withAudit = require('../utils/withAudit');
  */
 exports.createProductCategory = withAudit('ProductCategory', 'CREATE', async (req, res, next) => {
   try {
-    const { categoryName } = req.body;
+    const { categoryName, parent = null, attributes = [], names, aliases } = req.body;
+    if (!categoryName || !String(categoryName).trim()) {
+      return res.status(400).json({ message: 'categoryName is required' });
+    }
+    const nameError = catalogueNamesError(req.body);
+    if (nameError) {
+      return res.status(400).json({ message: nameError });
+    }
 
-    const exists = await ProductCategory.findOne({ categoryName: categoryName.trim() });
+    const attributeError = categoryService.attributeSchemaError(attributes);
+    if (attributeError) {
+      return res.status(400).json({ message: attributeError });
+    }
+    const place = await categoryService.placement(parent);
+    if (place.error) {
+      return res.status(400).json({ message: place.error });
+    }
+
+    const exists = await siblingNamed(categoryName.trim(), parent);
     if (exists) {
       return res.status(400).json({ message: 'Category already exists' });
     }
 
     let category = await ProductCategory.create({
       categoryName: categoryName.trim(),
+      names: cleanNames(names),
+      aliases: cleanAliases(aliases),
+      parent: parent || null,
+      ancestors: place.ancestors,
+      path: place.pathPrefix + categoryName.trim(),
+      attributes,
       createdBy: req.user.sub,
       lastUpdatedBy: req.user.sub
     });
 
-    category = await category.populate([
-      { path: 'createdBy', select: 'firstName lastName email' },
-      { path: 'lastUpdatedBy', select: 'firstName lastName email' }
-    ]);
+    category = await category.populate(USER_POPULATE);
 
     // Audit locals
     res.locals.created = category;
@@ -38,10 +72,18 @@ exports.createProductCategory = withAudit('ProductCategory', 'CREATE', async (re
 /**
  * GET ALL
  * GET /api/product-categories
+ * ?parent=<id>|root for one level, ?under=<id> for everything below a category.
  */
 exports.getAllProductCategories = async (req, res, next) => {
   try {
-    const categories = await ProductCategory.find()
+    const { parent, under } = req.query;
+    const filter = {};
+    if (parent === 'root') filter.parent = null;
+    else if (parent) filter.parent = parent;
+    if (under) filter.ancestors = under;
+
+    const categories = await ProductCategory.find(filter)
+      .sort({ path: 1, categoryName: 1 })
       .populate('createdBy', 'firstName lastName email')
       .populate('lastUpdatedBy', 'firstName lastName email')
       .lean();
@@ -52,6 +94,66 @@ exports.getAllProductCategories = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/product-categories/tree
+ * The whole tree, for the browse screen.
+ */
+exports.getCategoryTree = async (req, res, next) => {
+  try {
+    const categories = await ProductCategory.find()
+      .select('categoryName names parent path attributes')
+      .lean();
+    res.json(categoryService.buildTree(categories));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/product-categories/:id/tree
+ * One category with everything below it, and the way up to it.
+ */
+exports.getCategorySubtree = async (req, res, next) => {
+  try {
+    const category = await ProductCategory.findById(req.params.id).select('ancestors').lean();
+    if (!category) {
+      return res.status(404).json({ message: 'ProductCategory not found' });
+    }
+
+    const [subtree, ancestors] = await Promise.all([
+      ProductCategory.find({ $or: [{ _id: category._id }, { ancestors: category._id }] })
+        .select('categoryName names parent path attributes')
+        .lean(),
+      ProductCategory.find({ _id: { $in: category.ancestors || [] } }).select('categoryName names').lean()
+    ]);
+    const byId = new Map(ancestors.map(a => [String(a._id), a]));
+
+    const [root] = categoryService.buildTree(subtree, category._id);
+    res.json({
+      breadcrumbs: (category.ancestors || []).map(id => byId.get(String(id))).filter(Boolean),
+      category: root
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/product-categories/:id/attributes
+ * What a listing in this category can state, inherited attributes included.
+ */
+exports.getCategoryAttributes = async (req, res, next) => {
+  try {
+    const attributes = await categoryService.effectiveAttributes(req.params.id);
+    if (!attributes) {
+      return res.status(404).json({ message: 'ProductCategory not found' });
+    }
+    res.json(attributes);
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * GET ONE
  * GET /api/product-categories/:id
@@ -76,31 +178,72 @@ exports.getProductCategoryById = async (req, res, next) => {
 /**
  * UPDATE → audit UPDATE
  * PATCH /api/product-categories/:id
+ * Renaming or moving (parent) a category carries its subcategories along.
  */
 exports.updateProductCategory = withAudit('ProductCategory', 'UPDATE', async (req, res, next) => {
   try {
-    const { categoryName } = req.body;
+    const { categoryName, attributes, names, aliases } = req.body;
+
+    const nameError = catalogueNamesError(req.body);
+    if (nameError) {
+      return res.status(400).json({ message: nameError });
+    }
 
     const category = await ProductCategory.findById(req.params.id);
     if (!category) {
       return res.status(404).json({ message: 'ProductCategory not found' });
     }
 
-    if (categoryName) {
-      const exists = await ProductCategory.findOne({ categoryName: categoryName.trim(), _id: { $ne: req.params.id } });
+    const moved = req.body.parent !== undefined && String(req.body.parent || '') !== String(category.parent || '');
+    const parent = moved ? req.body.parent || null : category.parent;
+    const name = categoryName ? categoryName.trim() : category.categoryName;
+
+    if (attributes !== undefined) {
+      const attributeError = categoryService.attributeSchemaError(attributes);
+      if (attributeError) {
+        return res.status(400).json({ message: attributeError });
+      }
+      category.attributes = attributes;
+    }
+    // both replace what was there
+    if (names !== undefined) category.names = cleanNames(names);
+    if (aliases !== undefined) category.aliases = cleanAliases(aliases);
+
+    if (categoryName || moved) {
+      const exists = await siblingNamed(name, parent, req.params.id);
       if (exists) {
         return res.status(400).json({ message: 'Category name already exists' });
       }
-      category.categoryName = categoryName.trim();
+    }
+
+    let place = null;
+    if (moved) {
+      if (parent && (await categoryService.subtreeIds(category._id)).some(id => String(id) === String(parent))) {
+        return res.status(400).json({ message: 'A category cannot be moved under itself or its subcategories' });
+      }
+      place = await categoryService.placement(parent);
+      if (place.error) {
+        return res.status(400).json({ message: place.error });
+      }
+      if (place.depth + 1 + await categoryService.subtreeHeight(category) > categoryService.MAX_DEPTH) {
+        return res.status(400).json({ message: `Categories can be at most ${categoryService.MAX_DEPTH} levels deep` });
+      }
+      category.parent = parent;
+      category.ancestors = place.ancestors;
+    } else if (categoryName) {
+      place = await categoryService.placement(category.parent);
+    }
+
+    if (place) {
+      category.categoryName = name;
+      category.path = place.pathPrefix + name;
     }
 
     category.lastUpdatedBy = req.user.sub;
     await category.save();
+    if (place) await categoryService.refreshDescendants(category);
 
-    const populated = await category.populate([
-      { path: 'createdBy', select: 'firstName lastName email' },
-      { path: 'lastUpdatedBy', select: 'firstName lastName email' }
-    ]);
+    const populated = await category.populate(USER_POPULATE);
 
     // Audit locals
     res.locals.updated = populated;
@@ -126,6 +269,10 @@ exports.deleteProductCategory = withAudit('ProductCategory', 'DELETE', async (re
       return res.status(404).json({ message: 'ProductCategory not found' });
     }
 
+    if (await ProductCategory.exists({ parent: category._id })) {
+      return res.status(409).json({ message: 'Move or delete its subcategories first' });
+    }
+
     await category.deleteOne();
 
     // Audit locals
@@ -1,6 +1,7 @@
 const ProductItem = require('../models/ProductItem');
 const ProductCategory = require('../models/ProductCategory');
 const withAudit = require('../utils/withAudit');
+const { catalogueNamesError, cleanNames, cleanAliases } = require('../utils/i18n');
 
 /**
  * CREATE → audit CREATE
@@ -8,7 +9,12 @@ const withAudit = require('../utils/withAudit');
  */
 exports.createProductItem = withAudit('ProductItem', 'CREATE', async (req, res, next) => {
   try {
-    const { productName, category } = req.body;
+    const { productName, category, names, aliases } = req.body;
+
+    const nameError = catalogueNamesError(req.body);
+    if (nameError) {
+      return res.status(400).json({ message: nameError });
+    }
 
     // Validate category
     const categoryExists = await ProductCategory.findById(category);
@@ -18,13 +24,15 @@ exports.createProductItem = withAudit('ProductItem', 'CREATE', async (req, res,
 
     let productItem = await ProductItem.create({
       productName,
+      names: cleanNames(names),
+      aliases: cleanAliases(aliases),
       category,
       createdBy: req.user.sub,
       lastUpdatedBy: req.user.sub
     });
 
     productItem = await productItem.populate([
-      { path: 'category', select: 'categoryName' },
+      { path: 'category', select: 'categoryName path names' },
       { path: 'createdBy', select: 'firstName lastName email' }
     ]);
 
@@ -48,7 +56,7 @@ exports.getAllProductItems = async (req, res, next) => {
     const filter = category ? { category } : {};
 
     const items = await ProductItem.find(filter)
-      .populate('category', 'categoryName')
+      .populate('category', 'categoryName path names')
       .populate('createdBy', 'firstName lastName email')
       .lean();
 
@@ -65,7 +73,7 @@ exports.getAllProductItems = async (req, res, next) => {
 exports.getProductItemById = async (req, res, next) => {
   try {
     const item = await ProductItem.findById(req.params.id)
-      .populate('category', 'categoryName')
+      .populate('category', 'categoryName path names')
       .populate('createdBy', 'firstName lastName email')
       .lean();
 
@@ -85,7 +93,12 @@ exports.getProductItemById = async (req, res, next) => {
  */
 exports.updateProductItem = withAudit('ProductItem', 'UPDATE', async (req, res, next) => {
   try {
-    const { productName, category } = req.body;
+    const { productName, category, names, aliases } = req.body;
+
+    const nameError = catalogueNamesError(req.body);
+    if (nameError) {
+      return res.status(400).json({ message: nameError });
+    }
 
     const productItem = await ProductItem.findById(req.params.id);
     if (!productItem) {
@@ -104,12 +117,15 @@ exports.updateProductItem = withAudit('ProductItem', 'UPDATE', async (req, res,
     if (productName) {
       productItem.productName = productName;
     }
+    // both replace what was there
+    if (names !== undefined) productItem.names = cleanNames(names);
+    if (aliases !== undefined) productItem.aliases = cleanAliases(aliases);
 
     productItem.lastUpdatedBy = req.user.sub;
     await productItem.save();
 
     const populated = await productItem.populate([
-      { path: 'category', select: 'categoryName' },
+      { path: 'category', select: 'categoryName path names' },
       { path: 'createdBy', select: 'firstName lastName email' }
     ]);
 
@@ -130,7 +146,7 @@ exports.updateProductItem = withAudit('ProductItem', 'UPDATE', async (req, res,
 exports.deleteProductItem = withAudit('ProductItem', 'DELETE', async (req, res, next) => {
   try {
     const productItem = await ProductItem.findById(req.params.id)
-      .populate('category', 'categoryName')
+      .populate('category', 'categoryName path names')
       .populate('createdBy', 'firstName lastName email');
 
     if (!productItem) {
@@ -1,5 +1,13 @@
 // controllers/userController.js
 const User = require('../models/User');
+const Session = require('../models/Session');
+const tokenService = require('../services/tokenService');
+const userCache = require('../services/userCache');
+const twoFactorService = require('../services/twoFactorService');
+const { rejectIfLocked, recordFailedAttempt } = require('../services/lockoutService');
+const accountService = require('../services/accountService');
+const imageService = require('../services/imageService');
+const archiver = require('archiver');
 
 /**
  * GET /api/users/me
@@ -24,7 +32,11 @@ exports.updateProfile = async (req, res, next) => {
     } = req.body;
     const updates = { lastUpdatedBy: req.user.sub };
     if (profileImage !== undefined) updates.profileImage = profileImage;
-    if (phoneNumber !== undefined) updates.phoneNumber = phoneNumber;
+    if (phoneNumber !== undefined) {
+      updates.phoneNumber = phoneNumber;
+      // a new number has to be proven again (POST /api/auth/phone/send-otp)
+      updates.phoneVerified = false;
+    }
     if (country !== undefined) updates.country = country;
     if (city !== undefined) updates.city = city;
     if (emailNotification !== undefined) updates.emailNotification = emailNotification;
@@ -35,6 +47,10 @@ exports.updateProfile = async (req, res, next) => {
       { $set: updates },
       { new: true, runValidators: true }
     );
+    if (profileImage !== undefined) {
+      await imageService.releaseUnused('User', u._id, u.profileImage ? [u.profileImage] : []);
+    }
+    userCache.invalidate(req.user.sub);
     res.locals.updated = u;
     res.json(u.toJSON());
   } catch (err) {
@@ -42,6 +58,41 @@ exports.updateProfile = async (req, res, next) => {
   }
 };
 
+/**
+ * POST /api/users/me/profile-image
+ * Multipart field `image`; replaces the current picture (an uploaded one is deleted).
+ */
+exports.uploadProfileImage = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded (multipart field "image")' });
+    }
+    const upload = await imageService.storeImage(req.file, { owner: req.user.sub, kind: 'User', id: req.user.sub });
+    if (!upload) {
+      return res.status(400).json({ error: 'Not a valid JPEG, PNG or WebP image' });
+    }
+
+    const u = await User.findByIdAndUpdate(
+      req.user.sub,
+      { $set: { profileImage: upload.url, lastUpdatedBy: req.user.sub } },
+      { new: true }
+    );
+    if (!u) return res.status(404).json({ error: 'User not found' });
+    await imageService.releaseUnused('User', u._id, [upload.url]);
+    userCache.invalidate(req.user.sub);
+
+    res.locals.updated = u;
+    res.status(201).json({
+      profileImage: upload.url,
+      thumbnailUrl: upload.thumbnailUrl,
+      width: upload.width,
+      height: upload.height
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * POST /api/users/me/change-password
  */
@@ -56,6 +107,8 @@ exports.changePassword = async (req, res, next) => {
     u.password = newPassword;
     u.lastUpdatedBy = req.user.sub;
     await u.save();
+    // keep this device signed in, sign out every other one
+    await Session.revokeAllForUser(u._id, 'passwordChange', req.user.sid);
     res.locals.updated = u;
     res.json({ message: 'Password changed successfully' });
   } catch (err) {
@@ -63,6 +116,216 @@ exports.changePassword = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/users/me/sessions
+ */
+exports.listSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.sub,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort('-lastUsedAt');
+
+    res.json(sessions.map(s => ({
+      ...s.toJSON(),
+      current: String(s._id) === String(req.user.sid)
+    })));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/users/me/sessions/:sessionId
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const s = await Session.findOneAndUpdate(
+      { _id: req.params.sessionId, user: req.user.sub, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'revokedByUser' } },
+      { new: true }
+    );
+    if (!s) return res.status(404).json({ error: 'Session not found' });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/users/me/2fa/setup
+ * Starts enrolment; 2FA is only switched on once a code is confirmed.
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const u = await User.findById(req.user.sub);
+    if (!u) return res.status(404).json({ error: 'User not found' });
+    if (u.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = twoFactorService.generateSecret();
+    u.twoFactorPendingSecret = twoFactorService.encryptSecret(secret);
+    await u.save();
+
+    res.json({ secret, otpauthUrl: twoFactorService.otpauthUrl(u.email, secret) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/users/me/2fa/verify
+ * Confirms enrolment with a first code and hands out the recovery codes (shown once).
+ */
+exports.verifyTwoFactorSetup = async (req, res, next) => {
+  try {
+    const u = await User.findById(req.user.sub).select('+twoFactorPendingSecret');
+    if (!u) return res.status(404).json({ error: 'User not found' });
+    if (!u.twoFactorPendingSecret) {
+      return res.status(400).json({ error: 'Start with POST /api/users/me/2fa/setup' });
+    }
+    if (!await twoFactorService.useCode(u, u.twoFactorPendingSecret, req.body.code)) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    u.twoFactorSecret = u.twoFactorPendingSecret;
+    u.twoFactorPendingSecret = undefined;
+    u.twoFactorRecoveryCodes = hashes;
+    u.twoFactorEnabled = true;
+    u.lastUpdatedBy = req.user.sub;
+    await u.save();
+    userCache.invalidate(u._id);
+
+    res.locals.updated = u;
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes: codes });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/users/me/2fa/disable
+ * Needs the password and a current code (or a recovery code).
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const u = await User.findById(req.user.sub)
+      .select('+password +twoFactorSecret +twoFactorRecoveryCodes');
+    if (!u) return res.status(404).json({ error: 'User not found' });
+    if (!u.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (twoFactorService.ADMIN_2FA_REQUIRED && u.isAdmin) {
+      return res.status(403).json({ error: 'Two-factor authentication is mandatory for admins' });
+    }
+    if (rejectIfLocked(u, res)) return;
+    if (!password || !await u.verifyPassword(password)) {
+      await recordFailedAttempt(u, req, 'password');
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+    const ok = code
+      ? await twoFactorService.useCode(u, u.twoFactorSecret, code)
+      : twoFactorService.useRecoveryCode(u, recoveryCode);
+    if (!ok) {
+      await recordFailedAttempt(u, req, 'twoFactor');
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    u.resetFailedAttempts();
+    u.twoFactorEnabled = false;
+    u.twoFactorSecret = undefined;
+    u.twoFactorRecoveryCodes = undefined;
+    u.lastUpdatedBy = req.user.sub;
+    await u.save();
+    userCache.invalidate(u._id);
+
+    res.locals.updated = u;
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /api/users/me/export?format=json|zip
+ * Everything we hold about the current user, as a download.
+ */
+exports.exportMyData = async (req, res, next) => {
+  try {
+    const data = await accountService.collectUserData(req.user.sub);
+    if (!data) return res.status(404).json({ error: 'User not found' });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (req.query.format === 'zip') {
+      res.attachment(`okuafopa-data-${stamp}.zip`);
+      const zip = archiver('zip');
+      zip.on('error', next);
+      zip.pipe(res);
+      Object.entries(data).forEach(([name, value]) => {
+        zip.append(JSON.stringify(value, null, 2), { name: `${name}.json` });
+      });
+      await zip.finalize();
+      return;
+    }
+
+    res.attachment(`okuafopa-data-${stamp}.json`);
+    res.json(data);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/users/me/delete
+ * Schedules the account for anonymisation after a grace period.
+ */
+exports.requestAccountDeletion = async (req, res, next) => {
+  try {
+    const u = await User.findById(req.user.sub).select('+password');
+    if (!u) return res.status(404).json({ error: 'User not found' });
+    if (!req.body.password || !await u.verifyPassword(req.body.password)) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+    if (u.deletionScheduledFor) {
+      return res.status(409).json({
+        error: 'Account deletion is already scheduled',
+        deletionScheduledFor: u.deletionScheduledFor
+      });
+    }
+
+    const scheduledFor = await accountService.requestDeletion(u._id);
+    res.locals.updated = { ...u.toJSON(), deletionScheduledFor: scheduledFor };
+    res.json({
+      message: `Your account will be deleted on ${scheduledFor.toDateString()}. You can cancel until then.`,
+      deletionScheduledFor: scheduledFor
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/users/me/delete/cancel
+ */
+exports.cancelAccountDeletion = async (req, res, next) => {
+  try {
+    const u = await User.findById(req.user.sub);
+    if (!u) return res.status(404).json({ error: 'User not found' });
+    if (!u.deletionScheduledFor) {
+      return res.status(400).json({ error: 'No account deletion is scheduled' });
+    }
+    await accountService.cancelDeletion(u._id);
+    res.locals.updated = u;
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * GET /api/users/
  */
@@ -100,7 +363,7 @@ exports.updateUserById = async (req, res, next) => {
   try {
     const whitelist = [
       'firstName', 'lastName', 'email', 'isActive',
-      'phoneNumber', 'role', 'country', 'city', 'isAdmin'
+      'phoneNumber', 'role', 'country', 'city', 'isAdmin', 'buyerGroups'
     ];
     const updates = { lastUpdatedBy: req.user.sub };
     whitelist.forEach(f => {
@@ -112,6 +375,14 @@ exports.updateUserById = async (req, res, next) => {
       { new: true, runValidators: true }
     );
     if (!u) return res.status(404).json({ error: 'User not found' });
+
+    // a deactivated account must not keep working on tokens it already holds
+    if (updates.isActive === false) {
+      await tokenService.revokeAllTokens(u._id);
+    } else {
+      userCache.invalidate(u._id);
+    }
+
     res.locals.updated = u;
     res.json(u.toJSON());
   } catch (err) {
@@ -119,14 +390,31 @@ exports.updateUserById = async (req, res, next) => {
   }
 };
 
+/**
+ * POST /api/users/:id/revoke-tokens
+ */
+exports.revokeUserTokens = async (req, res, next) => {
+  try {
+    if (!await User.exists({ _id: req.params.id })) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await tokenService.revokeAllTokens(req.params.id);
+    res.json({ message: 'All tokens for this user have been revoked' });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * DELETE /api/users/:id
+ * Anonymises the account straight away; orders and transactions stay
+ * for the other party's records.
  */
 exports.deleteUser = async (req, res, next) => {
   try {
     const before = await User.findById(req.params.id).lean();
-    const u = await User.findByIdAndDelete(req.params.id);
-    if (!u) return res.status(404).json({ error: 'User not found' });
+    if (!before) return res.status(404).json({ error: 'User not found' });
+    await accountService.anonymiseUser(req.params.id, req.user.sub);
     res.locals.updated = before;
     res.status(204).end();
   } catch (err) {
@@ -5,6 +5,7 @@ const morgan = require('morgan');
 const http = require('http');
 const socketService = require('./services/socket');
 const customCors = require('./middleware/customCors');
+const language = require('./middleware/language');
 const connectDB = require('./config/db');
 const setupSwaggerDocs = require('./config/swaggerUiConfig');
 const auditLogRoutes = require('./routes/auditLogRoutes');
@@ -18,6 +19,18 @@ const transactionRoutes = require('./routes/transactionRoutes');
 const messageRoutes = require('./routes/messageRoutes');
 const feedbackRoutes = require('./routes/feedbackRoutes');
 const adminRoutes = require('./routes/adminRoutes')
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const farmerVerificationRoutes = require('./routes/farmerVerificationRoutes');
+const moderationRoutes = require('./routes/moderationRoutes');
+const scheduler = require('./services/scheduler');
+const accountService = require('./services/accountService');
+const listingExpiryService = require('./services/listingExpiryService');
+const listingScheduleService = require('./services/listingScheduleService');
+const imageService = require('./services/imageService');
+const ratingService = require('./services/ratingService');
+const verificationService = require('./services/verificationService');
+const Order = require('./models/Order');
+const storageService = require('./services/storageService');
 
 
 // Initialize app
@@ -42,6 +55,15 @@ server.use(morgan('dev'));
 // Body parsing middleware
 server.use(express.json({ limit: '10mb' }));
 
+// Uploaded images, when stored on local disk (STORAGE_PROVIDER=local);
+// helmet's same-origin resource policy would stop the web app embedding them
+if (storageService.localDir()) {
+  server.use('/uploads', (req, res, next) => {
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    next();
+  }, express.static(storageService.localDir()));
+}
+
 // Swagger docs (non-production only)
 if (process.env.NODE_ENV !== 'production') {
   setupSwaggerDocs(server);
@@ -53,12 +75,13 @@ server.use('/api/audit-logs', auditLogRoutes);
 server.use('/api/users', userRoutes);
 // Mount auth routes
 server.use('/api/auth', authRoutes);
+// Catalogue and listings answer in the caller's language (?lang= or Accept-Language)
 // Mount product-categories routes
-server.use('/api/product-categories', productCategoryRoutes);
+server.use('/api/product-categories', language, productCategoryRoutes);
 // Mount product-listings routes
-server.use('/api/product-listings', productListingRoutes);
+server.use('/api/product-listings', language, productListingRoutes);
 // Mount product-items routes
-server.use('/api/product-items', productItemRoutes);
+server.use('/api/product-items', language, productItemRoutes);
 // Mount order routes
 server.use('/api/orders', orderRoutes);
 // Mount transaction routes
@@ -69,6 +92,12 @@ server.use('/api/messages', messageRoutes);
 server.use('/api/feedbacks', feedbackRoutes);
 // Admin
 server.use('/api/admin', adminRoutes)
+// Partner API keys
+server.use('/api/api-keys', apiKeyRoutes);
+// Farmer verification (KYC)
+server.use('/api/farmer-verifications', farmerVerificationRoutes);
+// Listing moderation queue and reports
+server.use('/api/moderation', moderationRoutes);
 
 
 // Example root route
@@ -99,10 +128,20 @@ process.on('unhandledRejection', (reason, promise) => {
 const app = http.createServer(server);
 socketService.init(app);
 
+// Background jobs
+scheduler.every('account-deletion', 60 * 60 * 1000, accountService.processDueDeletions);
+scheduler.every('listing-expiry', 60 * 60 * 1000, listingExpiryService.processListingExpiry);
+scheduler.every('listing-schedule', 15 * 60 * 1000, listingScheduleService.processListingSchedule);
+scheduler.every('listing-ratings', 24 * 60 * 60 * 1000, ratingService.syncListingRatings);
+scheduler.every('listing-verification', 24 * 60 * 60 * 1000, verificationService.syncListingVerification);
+scheduler.every('order-item-ids', 24 * 60 * 60 * 1000, () => Order.backfillItemIds());
+scheduler.every('orphaned-uploads', 24 * 60 * 60 * 1000, imageService.cleanupOrphanedUploads);
+
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  scheduler.start();
 });
 
 module.exports = app;
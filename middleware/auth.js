@@ -1,27 +1,123 @@
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+const userCache = require('../services/userCache');
+const policy = require('../utils/policy');
+const twoFactorService = require('../services/twoFactorService');
+const apiKeyService = require('../services/apiKeyService');
+const { auditImpersonatedRequest } = require('../utils/withAudit');
 
 const { JWT_SECRET } = process.env;
 if (!JWT_SECRET) {
   throw new Error('JWT_SECRET must be set in your environment');
 }
 
+const API_KEY_HEADER = 'okuafopa-api-key';
+
+/**
+ * Sends the 403 for a user who may not use the API at all.
+ * @returns {boolean} true if a response was sent
+ */
+function rejectInactiveUser(user, res) {
+  if (!user.isActive) {
+    res.status(403).json({ message: 'Forbidden: Account is deactivated' });
+    return true;
+  }
+  if (!user.emailVerified && !user.phoneVerified) {
+    res.status(403).json({ message: 'Forbidden: Email or phone number not verified' });
+    return true;
+  }
+  return false;
+}
+
+const liveUserFields = user => ({
+  role: user.role,
+  isAdmin: !!user.isAdmin,
+  isActive: user.isActive,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  twoFactorEnabled: !!user.twoFactorEnabled
+});
+
+/**
+ * Partner integrations: an Okuafopa-api-key header instead of a Bearer JWT.
+ * req.user is the key's user, narrowed to the key's scopes (see policy.permissionsFor).
+ */
+async function authenticateApiKey(key, req, res, next) {
+  const apiKey = await apiKeyService.authenticate(key, req.ip);
+  if (!apiKey) {
+    return res.status(401).json({ message: 'Unauthorized: Invalid, revoked or expired API key' });
+  }
+  const user = await userCache.get(apiKey.user);
+  if (!user) {
+    return res.status(401).json({ message: 'Unauthorized: Account no longer exists' });
+  }
+  if (rejectInactiveUser(user, res)) return;
+
+  req.user = {
+    sub: String(user._id),
+    id: String(user._id),
+    ...liveUserFields(user),
+    apiKey: String(apiKey._id),
+    apiKeyScopes: apiKey.scopes
+  };
+  next();
+}
+
 /**
  * requireAuth
- *  - Verifies that a valid Bearer JWT is present in Authorization header
- *  - Attaches decoded token payload to req.user
+ *  - Verifies that a valid Bearer JWT is present in Authorization header,
+ *    or else an API key in the Okuafopa-api-key header
+ *  - Rejects tokens whose session (payload.sid) was logged out or revoked
+ *  - Loads the live user (cached briefly) and rejects deleted, deactivated
+ *    or unverified accounts and tokens minted before a tokenVersion bump
+ *  - Attaches the token payload to req.user, with role/isAdmin/isActive and
+ *    profile fields overwritten by the live values
+ *  - Impersonation tokens (typ 'impersonation') also set req.user.impersonatedBy
+ *    to the admin's id, and every request made with them is audited
  */
 async function requireAuth(req, res, next) {
   try {
     const authHeader = req.headers.authorization || '';
+    const apiKey = req.headers[API_KEY_HEADER];
+    if (!authHeader && apiKey) {
+      return await authenticateApiKey(apiKey, req, res, next);
+    }
+
     const [scheme, token] = authHeader.split(' ');
     if (scheme !== 'Bearer' || !token) {
       return res.status(401).json({ message: 'Unauthorized: No token provided' });
     }
 
     const payload = jwt.verify(token, JWT_SECRET);
-    // payload.sub => user ID, payload.isAdmin => boolean
-    req.user = payload;
+    if (payload.typ === '2fa-challenge') {
+      return res.status(401).json({ message: 'Unauthorized: Two-factor verification not completed' });
+    }
+    if (!(await tokenService.isSessionActive(payload.sid))) {
+      return res.status(401).json({ message: 'Unauthorized: Session has been revoked' });
+    }
+
+    const user = await userCache.get(payload.sub);
+    if (!user) {
+      return res.status(401).json({ message: 'Unauthorized: Account no longer exists' });
+    }
+    if ((user.tokenVersion || 0) !== (payload.tv || 0)) {
+      return res.status(401).json({ message: 'Unauthorized: Token has been revoked' });
+    }
+    if (rejectInactiveUser(user, res)) return;
+
+    // payload.sub => user ID, payload.sid => session ID; the rest comes from the live user
+    req.user = { ...payload, ...liveUserFields(user) };
+
+    if (payload.typ === 'impersonation') {
+      // the admin behind it must still be allowed to impersonate
+      const admin = await userCache.get(payload.imp);
+      if (!admin || !admin.isActive || !policy.can(admin, 'user:impersonate')) {
+        return res.status(401).json({ message: 'Unauthorized: Impersonation is no longer allowed' });
+      }
+      req.user.impersonatedBy = payload.imp;
+      auditImpersonatedRequest(req, res);
+    }
     next();
   } catch (err) {
     console.error('Auth error', err);
@@ -30,14 +126,61 @@ async function requireAuth(req, res, next) {
 }
 
 /**
- * requireAdmin
- *  - After requireAuth, checks req.user.isAdmin === true
+ * optionalAuth
+ *  - For routes anyone may call but that answer signed-in users differently:
+ *    without credentials the request goes on with no req.user, with them
+ *    it is authenticated exactly as by requireAuth (bad ones are a 401)
  */
-function requireAdmin(req, res, next) {
-  if (!req.user || !req.user.isAdmin) {
-    return res.status(403).json({ message: 'Forbidden: Admins only' });
+function optionalAuth(req, res, next) {
+  if (!req.headers.authorization && !req.headers[API_KEY_HEADER]) return next();
+  return requireAuth(req, res, next);
+}
+
+/**
+ * requireSession
+ *  - After requireAuth, refuses API keys: for routes that act on the person
+ *    behind the account (profile, password, sessions, 2FA, deletion)
+ */
+function requireSession(req, res, next) {
+  if (req.user && req.user.apiKey) {
+    return res.status(403).json({ message: 'Forbidden: not available to API keys' });
   }
   next();
 }
 
-module.exports = { requireAuth, requireAdmin };
+/**
+ * blockImpersonation
+ *  - After requireAuth, refuses impersonation tokens: for sensitive actions
+ *    only the account holder may take (password, 2FA, sessions, deletion)
+ */
+function blockImpersonation(req, res, next) {
+  if (req.user && req.user.impersonatedBy) {
+    return res.status(403).json({ message: 'Forbidden: not allowed while impersonating' });
+  }
+  next();
+}
+
+/**
+ * authorize(permission)
+ *  - After requireAuth, checks the user's role grants `permission` in some scope
+ *  - Ownership of the specific resource (':own' permissions) is checked by the
+ *    handler once it has loaded it, via policy.can(req.user, permission, resource)
+ *  - With ADMIN_2FA_REQUIRED, admins must enrol in 2FA before any gated route
+ *    works; the /users/me routes (including 2FA setup) stay reachable
+ */
+function authorize(permission) {
+  return function (req, res, next) {
+    if (!policy.can(req.user, permission)) {
+      return res.status(403).json({ message: `Forbidden: missing permission ${permission}` });
+    }
+    if (twoFactorService.ADMIN_2FA_REQUIRED && req.user.isAdmin && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        message: 'Forbidden: admins must enable two-factor authentication first',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { requireAuth, optionalAuth, requireSession, blockImpersonation, authorize };
@@ -0,0 +1,18 @@
+const { negotiateLanguage, localize, DEFAULT_LANGUAGE } = require('../utils/i18n');
+
+/**
+ * Pick the response language from ?lang= or Accept-Language (req.lang) and
+ * answer JSON with catalogue names in it. Mounted on the catalogue and
+ * listing routes.
+ */
+module.exports = function language(req, res, next) {
+  req.lang = negotiateLanguage(req.query.lang, req.get('Accept-Language'));
+  res.vary('Accept-Language');
+  res.set('Content-Language', req.lang);
+
+  if (req.lang !== DEFAULT_LANGUAGE) {
+    const json = res.json.bind(res);
+    res.json = body => json(localize(body, req.lang));
+  }
+  next();
+};
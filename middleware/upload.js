@@ -0,0 +1,78 @@
+const multer = require('multer');
+const { ALLOWED_MIME_TYPES } = require('../services/imageService');
+
+const MAX_UPLOAD_MB = Number(process.env.UPLOAD_MAX_MB) || 5;
+
+const unsupported = () => Object.assign(new Error('Unsupported file type'), { code: 'UNSUPPORTED_TYPE' });
+
+// files are kept in memory: they are re-encoded or parsed before anything is stored
+const imageUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) return cb(unsupported(), false);
+    cb(null, true);
+  }
+});
+
+// spreadsheets are told apart by extension: browsers send CSV under all sorts of types
+const spreadsheetUploader = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(csv|xlsx)$/i.test(file.originalname)) return cb(unsupported(), false);
+    cb(null, true);
+  }
+});
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: `Files must be at most ${MAX_UPLOAD_MB} MB`,
+  LIMIT_FILE_COUNT: 'Too many files',
+  // multer's code for a file in another field, or more than maxCount files
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field, or too many files'
+};
+
+/**
+ * Run a multer handler, answering 400 for bad uploads instead of passing
+ * the error on.
+ */
+function withUploadErrors(handle, field, typeError) {
+  return (req, res, next) => {
+    handle(req, res, err => {
+      if (!err) return next();
+      if (err.code === 'UNSUPPORTED_TYPE') {
+        return res.status(400).json({ message: `${typeError} (field "${field}")` });
+      }
+      if (UPLOAD_ERRORS[err.code]) {
+        return res.status(400).json({ message: `${UPLOAD_ERRORS[err.code]} (field "${field}")` });
+      }
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({ message: err.message });
+      }
+      // busboy parse errors (e.g. a truncated body)
+      return res.status(400).json({ message: 'Malformed multipart upload' });
+    });
+  };
+}
+
+/**
+ * Accept up to `maxCount` images in multipart field `field` into req.files
+ * (req.file when maxCount is 1). Rejects other file types, oversized files
+ * and malformed requests with 400.
+ * @param {string} field
+ * @param {number} [maxCount]
+ */
+function imageUpload(field, maxCount = 1) {
+  const handle = maxCount === 1 ? imageUploader.single(field) : imageUploader.array(field, maxCount);
+  return withUploadErrors(handle, field, `Only ${ALLOWED_MIME_TYPES.join(', ')} files are accepted`);
+}
+
+/**
+ * Accept one .csv or .xlsx file in multipart field `field` into req.file.
+ * @param {string} field
+ */
+function spreadsheetUpload(field) {
+  return withUploadErrors(spreadsheetUploader.single(field), field, 'Only .csv and .xlsx files are accepted');
+}
+
+module.exports = { imageUpload, spreadsheetUpload, MAX_UPLOAD_MB };
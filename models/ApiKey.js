@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../utils/policy');
+
+/**
+ * A partner integration's credential. The key acts as its `user` but only
+ * within its scopes. Only a SHA-256 hash of the key is stored; `prefix`
+ * is kept in clear so admins can tell keys apart.
+ */
+const ApiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  prefix: { type: String, required: true },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{ type: String, enum: Object.keys(API_KEY_SCOPES) }],
+    validate: v => v.length > 0
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ApiKeySchema.virtual('isActive').get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+});
+
+ApiKeySchema.methods.toJSON = function () {
+  const obj = this.toObject({ virtuals: true });
+  delete obj.keyHash;
+  delete obj.id;
+  return obj;
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -9,12 +9,12 @@ const auditLogSchema = new mongoose.Schema({
   },
   action: {
     type: String,
-    enum: ['CREATE', 'UPDATE', 'DELETE', 'LOGIN', 'LOGOUT'],
+    enum: ['CREATE', 'READ', 'UPDATE', 'DELETE', 'LOGIN', 'LOGOUT', 'LOCKOUT', 'IMPERSONATE'],
     required: true
   },
   entity: {
     type: String,
-    enum: ['User', 'ProductCategory', 'ProductItem', 'ProductListing', 'Order', 'Transaction', 'Feedback', 'Message'],
+    enum: ['User', 'ProductCategory', 'ProductItem', 'ProductListing', 'Order', 'Transaction', 'Feedback', 'Message', 'ApiKey', 'FarmerVerification', 'ListingReport'],
     required: true
   },
   entityId: {
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const VERIFICATION_STATUSES = ['pending', 'more_info_required', 'approved', 'rejected'];
+const ID_TYPES = ['ghana_card', 'passport', 'voter_id', 'drivers_license'];
+
+const DocumentSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['id_front', 'id_back', 'farm_photo', 'land_document', 'cooperative_letter', 'other'],
+    required: true
+  },
+  url: { type: String, required: true, trim: true },
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// every submission and review decision, oldest first
+const HistorySchema = new mongoose.Schema({
+  status: { type: String, enum: VERIFICATION_STATUSES, required: true },
+  note: String,
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * A farmer's KYC request: farm details plus ID documents, reviewed by an
+ * admin. One per farmer; resubmitting updates it and moves it back to pending.
+ * The outcome is mirrored on User.verificationStatus.
+ */
+const FarmerVerificationSchema = new mongoose.Schema({
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  farmName: { type: String, required: true, trim: true },
+  farmAddress: { type: String, required: true, trim: true },
+  region: { type: String, trim: true },
+  district: { type: String, trim: true },
+  farmSizeAcres: { type: Number, min: 0 },
+  produce: [{ type: String, trim: true }],
+  idType: { type: String, enum: ID_TYPES, required: true },
+  idNumber: { type: String, required: true, trim: true },
+  documents: {
+    type: [DocumentSchema],
+    validate: v => v.length > 0
+  },
+
+  status: {
+    type: String,
+    enum: VERIFICATION_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  submittedAt: { type: Date, default: Date.now },
+  reviewNotes: String,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  history: [HistorySchema],
+
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('FarmerVerification', FarmerVerificationSchema);
+module.exports.VERIFICATION_STATUSES = VERIFICATION_STATUSES;
+module.exports.ID_TYPES = ID_TYPES;
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * A listing a user keeps an eye on; they are told when it is back in
+ * stock (services/stockAlertService.js).
+ */
+const FavouriteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductListing',
+    required: true,
+    index: true
+  },
+  // last back-in-stock notice, so a listing that flickers in and out of
+  // stock doesn't mail its followers every time
+  restockNotifiedAt: Date
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+FavouriteSchema.index({ user: 1, listing: 1 }, { unique: true });
+
+module.exports = mongoose.model('Favourite', FavouriteSchema);
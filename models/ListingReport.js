@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['prohibited_item', 'scam', 'misleading', 'wrong_price', 'offensive', 'other'];
+const REPORT_STATUSES = ['open', 'dismissed', 'actioned'];
+
+/**
+ * A user's complaint about a listing, open until a reviewer dismisses it or
+ * acts on the listing (services/moderationService.js). Enough open reports
+ * hold the listing for review.
+ */
+const ListingReportSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductListing',
+    required: true,
+    index: true
+  },
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: { type: String, enum: REPORT_REASONS, required: true },
+  details: { type: String, trim: true, maxlength: 1000 },
+
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'open',
+    index: true
+  },
+  resolutionNote: String,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+// one open report per user and listing
+ListingReportSchema.index(
+  { listing: 1, reporter: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+module.exports = mongoose.model('ListingReport', ListingReportSchema);
+module.exports.REPORT_REASONS = REPORT_REASONS;
+module.exports.REPORT_STATUSES = REPORT_STATUSES;
@@ -5,15 +5,26 @@ const mongoose = require('mongoose');
 //
 const OrderItemSchema = new mongoose.Schema({
   product: { type: mongoose.Schema.Types.ObjectId, ref: 'ProductListing', required: true },
-  qty: { type: Number, required: true, min: 1 },
+  qty: { type: Number, required: true, validate: v => v > 0 },
   priceAtOrder: { type: Number, required: true, min: 0 },
+  // the listing's base price when ordered, and the price tier that beat it (if any)
+  listPrice: { type: Number, min: 0 },
+  appliedTier: {
+    minQty: Number,
+    buyerGroup: String
+  },
+  // listing's unit when ordered, e.g. "bag (50 kg)"; price is per unit
+  unit: { type: String, trim: true },
 
   itemStatus: {
     type: String,
     enum: ['pending', 'accepted', 'rejected', 'ready', 'in_transit', 'delivered', 'cancelled'],
     default: 'pending'
-  }
-}, { _id: false });
+  },
+  // set when a rejection/cancellation returned this item's qty to the listing,
+  // so repeated status changes don't return it twice
+  stockReleasedAt: Date
+});
 
 //
 // Sub-Order Schema (per farmer + location)
@@ -134,4 +145,26 @@ OrderSchema.pre('save', function (next) {
   next();
 });
 
+/**
+ * Give items an _id where they have none. Items of orders placed before
+ * they had one can't be addressed by id (subOrder.items.id(itemId)), so
+ * couldn't be updated one by one. Runs as a scheduled job; a no-op once
+ * every order is done.
+ * @returns {Promise<number>} how many orders were updated
+ */
+OrderSchema.statics.backfillItemIds = async function () {
+  const cursor = this.find({ 'subOrders.items._id': { $exists: false } }).select('subOrders').lean().cursor();
+  let updated = 0;
+  for await (const order of cursor) {
+    const set = {};
+    order.subOrders.forEach((so, i) => so.items.forEach((it, j) => {
+      if (!it._id) set[`subOrders.${i}.items.${j}._id`] = new mongoose.Types.ObjectId();
+    }));
+    if (!Object.keys(set).length) continue;
+    await this.updateOne({ _id: order._id }, { $set: set });
+    updated++;
+  }
+  return updated;
+};
+
 module.exports = mongoose.model('Order', OrderSchema);
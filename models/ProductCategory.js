@@ -1,5 +1,20 @@
 const mongoose = require('mongoose');
 
+const ATTRIBUTE_TYPES = ['string', 'number', 'boolean', 'enum'];
+
+// a property listings in the category can (or must) state, e.g. grade or
+// organic; subcategories inherit their ancestors' attributes
+const AttributeSchema = new mongoose.Schema({
+  key: { type: String, required: true, trim: true },
+  label: { type: String, trim: true },
+  type: { type: String, enum: ATTRIBUTE_TYPES, default: 'string' },
+  // the allowed values of an enum
+  options: [{ type: String, trim: true }],
+  required: { type: Boolean, default: false },
+  // shown next to a number, e.g. "cm" or "%"
+  unit: { type: String, trim: true }
+}, { _id: false });
+
 const ProductCategorySchema = new mongoose.Schema({
   categoryName: {
     type: String,
@@ -7,6 +22,28 @@ const ProductCategorySchema = new mongoose.Schema({
     index: true,
     required: true
   },
+  // the name in other languages, by code (utils/i18n.js); categoryName is the English one
+  names: {
+    type: Map,
+    of: String
+  },
+  aliases: [{ type: String, trim: true }],
+  // null for a top-level category
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductCategory',
+    default: null,
+    index: true
+  },
+  // maintained by the system (services/categoryService.js): the chain from
+  // the root down to the parent, and the full name ("Vegetables > Leafy greens")
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductCategory',
+    index: true
+  }],
+  path: { type: String, trim: true },
+  attributes: [AttributeSchema],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -21,3 +58,4 @@ const ProductCategorySchema = new mongoose.Schema({
 });
 
 module.exports = mongoose.model('ProductCategory', ProductCategorySchema);
+module.exports.ATTRIBUTE_TYPES = ATTRIBUTE_TYPES;
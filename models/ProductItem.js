@@ -7,6 +7,13 @@ const ProductItemSchema = new mongoose.Schema({
     index: true,
     required: true
   },
+  // the name in other languages, by code (utils/i18n.js); productName is the English one
+  names: {
+    type: Map,
+    of: String
+  },
+  // other names buyers search by: local and regional names, trade names
+  aliases: [{ type: String, trim: true }],
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ProductCategory',
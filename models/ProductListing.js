@@ -1,4 +1,30 @@
 const mongoose = require('mongoose');
+const { UNIT_CODES } = require('../utils/units');
+const { BUYER_GROUPS } = require('../utils/pricing');
+
+// a cheaper per-unit price from `minQty` units up, optionally only for one
+// buyer group; the lowest price a buyer qualifies for wins (utils/pricing.js)
+const PriceTierSchema = new mongoose.Schema({
+  minQty: { type: Number, default: 1, validate: v => v > 0 },
+  price: { type: Number, required: true, min: 0 },
+  buyerGroup: { type: String, enum: BUYER_GROUPS }
+}, { _id: false });
+
+// draft → scheduled (goes live at publishAt) → published → archived; buyers
+// only see published listings (services/listingScheduleService.js)
+const LISTING_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// approved listings are shown to buyers; pending ones wait for a reviewer,
+// rejected and taken_down ones stay hidden (services/moderationService.js)
+const MODERATION_STATUSES = ['approved', 'pending', 'rejected', 'taken_down'];
+const FLAG_KINDS = ['banned_word', 'price_low', 'price_high', 'reported'];
+
+// why screening (or buyer reports) held a listing for review
+const ModerationFlagSchema = new mongoose.Schema({
+  kind: { type: String, enum: FLAG_KINDS, required: true },
+  detail: String,
+  at: { type: Date, default: Date.now }
+}, { _id: false });
 
 const ProductListingSchema = new mongoose.Schema({
   farmer: {
@@ -11,6 +37,8 @@ const ProductListingSchema = new mongoose.Schema({
     ref: 'ProductItem', 
     required: true
   },
+  // the farmer's own stock code; bulk imports update the listing with a matching one
+  externalSku: { type: String, trim: true },
   description: {
     type: String,
     trim: true
@@ -25,6 +53,48 @@ const ProductListingSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // the farmer is alerted when a change takes stock to this level or below
+  // (services/stockAlertService.js); unset means no low-stock alert
+  lowStockThreshold: { type: Number, min: 0 },
+  priceTiers: [PriceTierSchema],
+  // values for the attributes its category defines (grade, variety, organic…),
+  // checked against them by services/categoryService.js
+  attributes: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed
+  },
+  // what price and quantity are counted in (see utils/units.js)
+  unit: {
+    type: String,
+    enum: UNIT_CODES,
+    default: 'piece'
+  },
+  // the farmer's own name for a 'custom' unit
+  unitLabel: { type: String, trim: true },
+  // optional: one unit is `factor` of `unit`, e.g. a bag is 50 kg
+  unitConversion: {
+    unit: { type: String, enum: ['kg', 'g', 'litre', 'piece'] },
+    factor: { type: Number, min: 0 }
+  },
+  // smallest order, and the steps above it (min 5, increment 5 → 5, 10, 15…)
+  minOrderQty: {
+    type: Number,
+    default: 1,
+    validate: v => v > 0
+  },
+  orderIncrement: {
+    type: Number,
+    default: 1,
+    validate: v => v > 0
+  },
+  // freshness; bestBefore defaults to harvestDate + shelfLifeDays, and the
+  // listing is taken off the market once it passes (services/listingExpiryService.js)
+  harvestDate: { type: Date, index: true },
+  shelfLifeDays: { type: Number, min: 0 },
+  bestBefore: { type: Date, index: true },
+  // set by the expiry job: farmer warned, listing deactivated
+  expiryWarnedAt: Date,
+  expiredAt: Date,
   images: [{
     type: String, // URL to image
     trim: true
@@ -42,10 +112,51 @@ const ProductListingSchema = new mongoose.Schema({
       type: [Number] // [lng, lat]
     }
   },
+  // where the produce is; city defaults to the farmer's city
+  city: { type: String, trim: true, index: true },
+  region: { type: String, trim: true, index: true },
+  // maintained by the system, for sorting: units ordered so far and the
+  // farmer's average feedback rating (see services/ratingService.js)
+  salesCount: { type: Number, default: 0, min: 0 },
+  farmerRating: { type: Number, default: 0 },
+  // whether the farmer passed verification (see services/verificationService.js)
+  farmerVerified: { type: Boolean, default: false, index: true },
   isActive: {
     type: Boolean,
     default: true
   },
+  // where the listing is in its lifecycle; isActive still switches a
+  // published listing off (e.g. once it expires). Listings from before the
+  // lifecycle have no status and count as published.
+  status: {
+    type: String,
+    enum: LISTING_STATUSES,
+    default: 'published',
+    index: true
+  },
+  // when a scheduled listing goes live, and when a live one comes off the market
+  publishAt: { type: Date, index: true },
+  unpublishAt: { type: Date, index: true },
+  // set by the system: when it last went live, and when it was archived
+  publishedAt: Date,
+  archivedAt: Date,
+  // maintained by the system: screening on create/edit, buyer reports and
+  // reviewers' decisions. Listings from before moderation have no status
+  // and count as approved.
+  moderationStatus: {
+    type: String,
+    enum: MODERATION_STATUSES,
+    default: 'approved',
+    index: true
+  },
+  moderationFlags: [ModerationFlagSchema],
+  // the reviewer's reason for a rejection or take-down, shown to the farmer
+  moderationNote: String,
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
   lastUpdatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -56,5 +167,13 @@ const ProductListingSchema = new mongoose.Schema({
 
 // 2dsphere index for geo-queries
 ProductListingSchema.index({ location: '2dsphere' });
+// a SKU identifies one listing per farmer
+ProductListingSchema.index(
+  { farmer: 1, externalSku: 1 },
+  { unique: true, partialFilterExpression: { externalSku: { $type: 'string' } } }
+);
 
 module.exports = mongoose.model('ProductListing', ProductListingSchema);
+module.exports.LISTING_STATUSES = LISTING_STATUSES;
+module.exports.MODERATION_STATUSES = MODERATION_STATUSES;
+module.exports.FLAG_KINDS = FLAG_KINDS;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * One login on one device. The refresh token itself is never stored,
+ * only its SHA-256 hash; every refresh rotates it.
+ */
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // hash of the token this one replaced; presenting it again means the
+  // old token leaked, so the whole session gets revoked
+  previousTokenHash: {
+    type: String,
+    index: true,
+    select: false
+  },
+  deviceName: { type: String, trim: true },
+  userAgent: { type: String, trim: true },
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logoutAll', 'tokenReuse', 'passwordChange', 'revokedByUser', 'accountChange']
+  }
+}, {
+  timestamps: true
+});
+
+// Expired sessions are dropped by MongoDB itself
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+/**
+ * Revoke every active session of a user, optionally sparing one.
+ * @param {string} userId
+ * @param {string} reason
+ * @param {string} [exceptId] – session to keep (e.g. the caller's own)
+ */
+SessionSchema.statics.revokeAllForUser = function (userId, reason, exceptId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptId) filter._id = { $ne: exceptId };
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+SessionSchema.methods.toJSON = function () {
+  const obj = this.toObject();
+  delete obj.refreshTokenHash;
+  delete obj.previousTokenHash;
+  return obj;
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
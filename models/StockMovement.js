@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// why a listing's stock changed; sale and cancellation_return are recorded
+// by orders, the rest by the farmer
+const MOVEMENT_TYPES = ['restock', 'sale', 'cancellation_return', 'spoilage', 'adjustment'];
+
+/**
+ * One change to a listing's quantity. `quantity` is signed (a sale is
+ * negative) and `balance` is the listing's quantity right after it, so the
+ * ledger explains every stock level. Written only by services/inventoryService.js.
+ */
+const StockMovementSchema = new mongoose.Schema({
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProductListing',
+    required: true
+  },
+  farmer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: true
+  },
+  quantity: { type: Number, required: true },
+  balance: { type: Number, required: true, min: 0 },
+  // the order behind a sale or cancellation return
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  note: { type: String, trim: true },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+StockMovementSchema.index({ listing: 1, createdAt: -1 });
+StockMovementSchema.index({ order: 1 }, { sparse: true });
+
+module.exports = mongoose.model('StockMovement', StockMovementSchema);
+module.exports.MOVEMENT_TYPES = MOVEMENT_TYPES;
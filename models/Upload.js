@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * A stored image and its thumbnail. `attachedTo` is the document expected
+ * to reference `url` (a listing's images, a user's profileImage); once it
+ * no longer does, the files are deleted (services/imageService.js).
+ */
+const UploadSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  attachedTo: {
+    kind: { type: String, enum: ['ProductListing', 'User'], required: true },
+    id: { type: mongoose.Schema.Types.ObjectId, required: true }
+  },
+  // storage keys, for deleting the files
+  key: { type: String, required: true },
+  thumbnailKey: { type: String, required: true },
+  url: { type: String, required: true, index: true },
+  thumbnailUrl: { type: String, required: true },
+  contentType: { type: String, required: true },
+  size: Number,
+  width: Number,
+  height: Number
+}, {
+  timestamps: true
+});
+
+UploadSchema.index({ 'attachedTo.kind': 1, 'attachedTo.id': 1 });
+
+module.exports = mongoose.model('Upload', UploadSchema);
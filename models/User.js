@@ -1,6 +1,22 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { BUYER_GROUPS } = require('../utils/pricing');
 const bcrypt = require('bcryptjs')
-const OTP_PURPOSES = ['emailVerification', 'passwordReset'];
+const OTP_PURPOSES = ['emailVerification', 'passwordReset', 'phoneVerification', 'phoneLogin'];
+// purposes whose code goes out by SMS rather than email
+const PHONE_OTP_PURPOSES = ['phoneVerification', 'phoneLogin'];
+
+// failed password/OTP attempts allowed before the account is locked;
+// each further lockout doubles, from 5 minutes up to a day
+const MAX_FAILED_ATTEMPTS = 5;
+const BASE_LOCK_MS = 5 * 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+// OTPs are stored as a keyed hash, so a database leak does not reveal live codes
+const hashOTP = code =>
+  crypto.createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET || '')
+    .update(String(code))
+    .digest('hex');
 
 const userSchema = mongoose.Schema({
   // ————— Core Identity —————
@@ -26,7 +42,8 @@ const userSchema = mongoose.Schema({
   isAdmin: { type: Boolean, default: false },
   role: {
     type: String,
-    enum: ['farmer', 'buyer', 'admin'],
+    // permissions per role live in utils/policy.js
+    enum: ['farmer', 'buyer', 'admin', 'support', 'logistics'],
     default: 'buyer',
   },
   country: { type: String, required: true },
@@ -43,15 +60,33 @@ const userSchema = mongoose.Schema({
   //   },
   // },
   profileImage: String,
+  // farmer KYC outcome, mirrored from their FarmerVerification request
+  verificationStatus: {
+    type: String,
+    enum: ['unverified', 'pending', 'more_info_required', 'verified', 'rejected'],
+    default: 'unverified',
+    index: true
+  },
+  // average of the feedback ratings on a farmer's orders
+  farmerRating: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 }
+  },
+  // set by admins; unlocks group prices on listings (e.g. verified wholesalers)
+  buyerGroups: [{ type: String, enum: BUYER_GROUPS }],
   emailNotification: { type: Boolean, default: true },
   smsNotification: { type: Boolean, default: false },
   // ————— Verification & Reset via OTP —————
   emailVerified: { type: Boolean, default: false },
+  phoneVerified: { type: Boolean, default: false },
 
   // User status
   isActive: { type: Boolean, default: true },
 
-  // one-time code (6-digit string), used for either verifying email or resetting pw
+  // baked into every access token; bumping it invalidates all of them at once
+  tokenVersion: { type: Number, default: 0 },
+
+  // HMAC of the one-time code (6 digits), used for verifying email/phone, phone login or resetting pw
   otp: {
     type: String,
     select: false
@@ -66,6 +101,31 @@ const userSchema = mongoose.Schema({
     select: false
   },
 
+  // ————— Two-factor authentication (TOTP) —————
+  twoFactorEnabled: { type: Boolean, default: false },
+  // AES-GCM encrypted base32 secret; pending until the first code is confirmed
+  twoFactorSecret: { type: String, select: false },
+  twoFactorPendingSecret: { type: String, select: false },
+  // sha256 hashes of unused single-use recovery codes
+  twoFactorRecoveryCodes: { type: [String], select: false },
+  // time step of the last code accepted; that code and older ones are spent
+  twoFactorLastUsedStep: { type: Number, select: false },
+  // sha256 of the id of the login's outstanding 2FA challenge
+  twoFactorChallenge: { type: String, select: false },
+
+  // ————— Brute-force protection (passwords and OTPs) —————
+  failedAttempts: { type: Number, default: 0 },
+  lockUntil: Date,
+  // consecutive lockouts, drives the exponential lock duration
+  lockCount: { type: Number, default: 0 },
+
+  // ————— Account deletion —————
+  // set when the user asks to delete their account; anonymised once the grace period ends
+  deletionRequestedAt: Date,
+  deletionScheduledFor: { type: Date, index: true },
+  // personal data has been scrubbed; the record is kept for order history
+  deletedAt: Date,
+
   // ————— Auditing —————
   lastUpdatedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -74,6 +134,12 @@ const userSchema = mongoose.Schema({
 }, { timestamps: true });
 
 
+// ——— Virtual: isVerified (either contact channel proven) ———
+userSchema.virtual('isVerified')
+  .get(function () {
+    return !!(this.emailVerified || this.phoneVerified);
+  });
+
 // ——— Virtual: fullName ———
 userSchema.virtual('fullName')
   .get(function () {
@@ -94,16 +160,16 @@ userSchema.pre('save', async function (next) {
 
 /**
  * Generate and store a 6-digit OTP for the given purpose.
- * @param {'emailVerification'|'passwordReset'} purpose
+ * @param {'emailVerification'|'passwordReset'|'phoneVerification'|'phoneLogin'} purpose
  * @returns {string} the generated OTP
  */
 userSchema.methods.generateOTP = function (purpose) {
   if (!OTP_PURPOSES.includes(purpose)) {
     throw new Error(`Invalid OTP purpose: ${purpose}`);
   }
-  // 6-digit numeric code
-  const code = Math.floor(100000 + Math.random() * 900000).toString();
-  this.otp = code;
+  // 6-digit numeric code from a CSPRNG
+  const code = crypto.randomInt(100000, 1000000).toString();
+  this.otp = hashOTP(code);
   this.otpExpiry = Date.now() + 10 * 60 * 1000; // expires in 10m
   this.otpPurpose = purpose;
   return code;
@@ -112,14 +178,18 @@ userSchema.methods.generateOTP = function (purpose) {
 /**
  * Verify a provided OTP matches the stored one, is unexpired, and for the right purpose.
  * @param {string} code
- * @param {'emailVerification'|'passwordReset'} purpose
+ * @param {'emailVerification'|'passwordReset'|'phoneVerification'|'phoneLogin'} purpose
  * @returns {boolean}
  */
 userSchema.methods.verifyOTP = function (code, purpose) {
+  if (!this.otp || code === undefined || code === null) return false;
+  const given = Buffer.from(hashOTP(code));
+  const stored = Buffer.from(this.otp);
   return (
-    this.otp === code &&
+    given.length === stored.length &&
+    crypto.timingSafeEqual(given, stored) &&
     this.otpPurpose === purpose &&
-    this.otpExpiry &&
+    !!this.otpExpiry &&
     Date.now() < this.otpExpiry
   );
 };
@@ -133,6 +203,55 @@ userSchema.methods.clearOTP = function () {
   this.otpPurpose = undefined;
 };
 
+/**
+ * Is the account currently locked out after too many failed attempts?
+ * @returns {boolean}
+ */
+userSchema.methods.isLocked = function () {
+  return !!this.lockUntil && this.lockUntil > Date.now();
+};
+
+/**
+ * Count a failed password or OTP attempt. The count is kept in the database
+ * with $inc, so parallel guesses can't overwrite each other's attempts. On
+ * the MAX_FAILED_ATTEMPTS-th failure the account is locked (doubling each
+ * time) and any pending OTP is discarded. Saves by itself; the document it
+ * is called on is left as it was loaded.
+ * @returns {Promise<object|null>} lockUntil and lockCount if this attempt
+ *   triggered a lockout, otherwise null
+ */
+userSchema.methods.registerFailedAttempt = async function () {
+  const User = this.constructor;
+  const counted = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedAttempts: 1 } },
+    { new: true, projection: { failedAttempts: 1, lockCount: 1 } }
+  ).lean();
+  if (!counted || counted.failedAttempts < MAX_FAILED_ATTEMPTS) return null;
+
+  const lockMs = Math.min(BASE_LOCK_MS * 2 ** (counted.lockCount || 0), MAX_LOCK_MS);
+  // of the attempts that reach the limit together, only the first one locks
+  return User.findOneAndUpdate(
+    { _id: this._id, failedAttempts: { $gte: MAX_FAILED_ATTEMPTS } },
+    {
+      $set: { failedAttempts: 0, lockUntil: new Date(Date.now() + lockMs) },
+      $inc: { lockCount: 1 },
+      $unset: { otp: 1, otpExpiry: 1, otpPurpose: 1 }
+    },
+    { new: true, projection: { lockUntil: 1, lockCount: 1 } }
+  ).lean();
+};
+
+/**
+ * Forget failed attempts after a successful password or OTP check.
+ * Caller must save().
+ */
+userSchema.methods.resetFailedAttempts = function () {
+  this.failedAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+};
+
 /**
  * Compare a plaintext password to the stored hash.
  * Ensure you `.select('+password')` when loading the user.
@@ -152,9 +271,19 @@ userSchema.methods.toJSON = function () {
   delete obj.otp;
   delete obj.otpExpiry;
   delete obj.otpPurpose;
+  delete obj.tokenVersion;
+  delete obj.failedAttempts;
+  delete obj.lockUntil;
+  delete obj.lockCount;
+  delete obj.twoFactorSecret;
+  delete obj.twoFactorPendingSecret;
+  delete obj.twoFactorRecoveryCodes;
+  delete obj.twoFactorLastUsedStep;
+  delete obj.twoFactorChallenge;
   return obj;
 };
 
 module.exports = mongoose.model('User', userSchema);
 module.exports.OTP_PURPOSES = OTP_PURPOSES;
+module.exports.PHONE_OTP_PURPOSES = PHONE_OTP_PURPOSES;
 
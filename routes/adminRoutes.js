@@ -1,7 +1,8 @@
 const express = require('express');
 const router  = express.Router();
 const adminCtl = require('../controllers/adminController');
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { requireAuth, requireSession, blockImpersonation, authorize } = require('../middleware/auth');
+const withAudit = require('../utils/withAudit');
 
 /**
  * @swagger
@@ -107,8 +108,65 @@ const { requireAuth, requireAdmin } = require('../middleware/auth');
 router.get(
   '/metrics',
   requireAuth,
-  requireAdmin,
+  authorize('admin:metrics'),
   adminCtl.getDashboardMetrics
 );
 
+/**
+ * @swagger
+ * /admin/impersonate/{userId}:
+ *   post:
+ *     summary: Get a short-lived token to act as another user (admin only)
+ *     description: >
+ *       For support: see exactly what a farmer or buyer sees. The token carries
+ *       typ "impersonation" and imp (the admin's id), lasts IMPERSONATION_TTL
+ *       (default 15m), has no refresh token and ends when the admin logs out.
+ *       Every request made with it is audit-logged with both users. Password,
+ *       2FA, session and account-deletion actions are refused. Admins cannot
+ *       be impersonated.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Impersonation token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 impersonation:
+ *                   type: boolean
+ *                 expiresIn:
+ *                   type: string
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Own account or deactivated user
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden – admin only, or the target is an admin
+ *       404:
+ *         description: User not found
+ */
+/**
+ * @route POST /api/admin/impersonate/:userId
+ * @action IMPERSONATE User
+ */
+router.post(
+  '/impersonate/:userId',
+  requireAuth, requireSession, blockImpersonation,
+  authorize('user:impersonate'),
+  withAudit('User', 'IMPERSONATE', adminCtl.impersonateUser)
+);
+
 module.exports = router;
@@ -0,0 +1,135 @@
+const express = require('express');
+const { requireAuth, authorize } = require('../middleware/auth');
+const controller = require('../controllers/apiKeyController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: ApiKeys
+ *   description: >
+ *     Admin-managed API keys for partner integrations. A key is sent in the
+ *     Okuafopa-api-key header instead of a Bearer token; it acts as its user,
+ *     limited to its scopes.
+ */
+
+/**
+ * @swagger
+ * /api-keys:
+ *   get:
+ *     summary: List API keys (admin only)
+ *     tags: [ApiKeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Only keys acting as this user
+ *     responses:
+ *       200:
+ *         description: API keys, newest first (the keys themselves are never returned)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden – admin only
+ *   post:
+ *     summary: Create an API key (admin only)
+ *     tags: [ApiKeys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, userId, scopes]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Kumasi Growers Co-op ERP
+ *               userId:
+ *                 type: string
+ *                 description: Account the key acts as
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [catalog:read, listings:read, listings:write, orders:read, orders:write, transactions:read, messages:read, messages:write, feedback:read]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created; `key` is shown only in this response
+ *       400:
+ *         description: Missing name/userId, unknown scope or past expiry
+ *       404:
+ *         description: User not found or inactive
+ */
+router.route('/')
+  .get(requireAuth, authorize('apiKey:manage'), controller.listApiKeys)
+  .post(requireAuth, authorize('apiKey:manage'), controller.createApiKey);
+
+/**
+ * @swagger
+ * /api-keys/{id}:
+ *   patch:
+ *     summary: Rename an API key or change its scopes or expiry (admin only)
+ *     tags: [ApiKeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Updated API key
+ *       400:
+ *         description: Unknown scope or key already revoked
+ *       404:
+ *         description: API key not found
+ *   delete:
+ *     summary: Revoke an API key (admin only)
+ *     tags: [ApiKeys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.route('/:id')
+  .patch(requireAuth, authorize('apiKey:manage'), controller.updateApiKey)
+  .delete(requireAuth, authorize('apiKey:manage'), controller.revokeApiKey);
+
+module.exports = router;
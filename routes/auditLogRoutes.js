@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const auditLogCtl = require('../controllers/auditLogController');
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { requireAuth, authorize } = require('../middleware/auth');
 
 
 /**
@@ -55,7 +55,7 @@ const { requireAuth, requireAdmin } = require('../middleware/auth');
  *       403:
  *         description: Forbidden – admin only
  */
-router.get('/', requireAuth, requireAdmin, auditLogCtl.listLogs);
+router.get('/', requireAuth, authorize('auditLog:read'), auditLogCtl.listLogs);
 
 /**
  * @swagger
@@ -86,7 +86,7 @@ router.get('/', requireAuth, requireAdmin, auditLogCtl.listLogs);
  *       404:
  *         description: Audit log not found
  */
-router.get('/:id', requireAuth, requireAdmin, auditLogCtl.getLogById);
+router.get('/:id', requireAuth, authorize('auditLog:read'), auditLogCtl.getLogById);
 
 /**
  * @swagger
@@ -117,6 +117,6 @@ router.get('/:id', requireAuth, requireAdmin, auditLogCtl.getLogById);
  *       403:
  *         description: Forbidden – admin only
  */
-router.post('/', requireAuth, requireAdmin, auditLogCtl.createLog);
+router.post('/', requireAuth, authorize('auditLog:create'), auditLogCtl.createLog);
 
 module.exports = router;
\ No newline at end of file
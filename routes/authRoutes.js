@@ -2,12 +2,13 @@ const express  = require('express');
 const router   = express.Router();
 const authCtl  = require('../controllers/authController');
 const withAudit  = require('../utils/withAudit');
+const { requireAuth, requireSession, blockImpersonation } = require('../middleware/auth');
 
 /**
  * @swagger
  * tags:
  *   name: Authentication
- *   description: Sign-up, email verification, login, and password reset
+ *   description: Sign-up, email verification, login, sessions, and password reset
  */
 
 /**
@@ -46,6 +47,11 @@ const withAudit  = require('../utils/withAudit');
  *               phoneNumber:
  *                 type: string
  *                 description: User’s contact phone number
+ *               verifyVia:
+ *                 type: string
+ *                 enum: [email, phone]
+ *                 default: email
+ *                 description: Send the verification OTP by email or by SMS
  *               address:
  *                 type: object
  *                 description: User’s address information
@@ -125,10 +131,14 @@ router.post(
  *                   type: string
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *                 user:
  *                   $ref: '#/components/schemas/User'
  *       400:
  *         description: Invalid or expired OTP
+ *       429:
+ *         description: Account temporarily locked after too many failed attempts (see Retry-After)
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
@@ -164,9 +174,15 @@ router.post(
  *               password:
  *                 type: string
  *                 format: password
+ *               deviceName:
+ *                 type: string
+ *                 description: Optional label shown in the session list (e.g. "Kofi's Tecno")
  *     responses:
  *       200:
- *         description: Login successful; returns JWT and user profile
+ *         description: |
+ *           Login successful; returns access JWT, refresh token and user profile.
+ *           If the user has 2FA on, returns `twoFactorRequired: true` and a
+ *           `challengeToken` for /auth/2fa/verify instead.
  *         content:
  *           application/json:
  *             schema:
@@ -174,12 +190,23 @@ router.post(
  *               properties:
  *                 token:
  *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *                 user:
  *                   $ref: '#/components/schemas/User'
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                 challengeToken:
+ *                   type: string
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
+ *                   description: Admin must enrol in 2FA before using admin routes
  *       401:
  *         description: Invalid credentials
  *       403:
- *         description: Email not verified
+ *         description: Email not verified or account deactivated
+ *       429:
+ *         description: Account temporarily locked after too many failed attempts (see Retry-After)
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
@@ -272,6 +299,8 @@ router.post(
  *                   type: string
  *       400:
  *         description: Invalid or expired OTP
+ *       429:
+ *         description: Account temporarily locked after too many failed attempts (see Retry-After)
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
@@ -310,10 +339,13 @@ router.post(
  *                 enum:
  *                   - emailVerification
  *                   - passwordReset
+ *                   - phoneVerification
+ *                   - phoneLogin
  *                 description: |
  *                   Which OTP to resend:
  *                     • `emailVerification` (signup flow)
  *                     • `passwordReset` (forgot-password flow)
+ *                     • `phoneVerification` / `phoneLogin` (sent by SMS)
  *     responses:
  *       200:
  *         description: If eligible, a new OTP will be sent (or a generic OK)
@@ -338,5 +370,267 @@ router.post(
   withAudit('User', 'UPDATE', authCtl.resendOTP)
 );
 
+/**
+ * @swagger
+ * /auth/phone/send-otp:
+ *   post:
+ *     summary: Send a one-time code by SMS for phone verification or passwordless login
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *               - purpose
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *               purpose:
+ *                 type: string
+ *                 enum: [phoneVerification, phoneLogin]
+ *     responses:
+ *       200:
+ *         description: OTP sent by SMS
+ *       400:
+ *         description: Invalid purpose, already verified, or a valid code was already sent
+ *       404:
+ *         description: Phone number is not registered
+ */
+/**
+ * @route POST /api/auth/phone/send-otp
+ * @action UPDATE User
+ */
+router.post(
+  '/phone/send-otp',
+  withAudit('User', 'UPDATE', authCtl.sendPhoneOTP)
+);
+
+/**
+ * @swagger
+ * /auth/phone/verify:
+ *   post:
+ *     summary: Verify a phone number with the OTP sent by SMS
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *               - otp
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *               otp:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Phone verified; returns access JWT, refresh token and user profile
+ *       400:
+ *         description: Invalid or expired OTP
+ *       429:
+ *         description: Account temporarily locked after too many failed attempts (see Retry-After)
+ */
+/**
+ * @route POST /api/auth/phone/verify
+ * @action UPDATE User
+ */
+router.post(
+  '/phone/verify',
+  withAudit('User', 'UPDATE', authCtl.verifyPhone)
+);
+
+/**
+ * @swagger
+ * /auth/phone/login:
+ *   post:
+ *     summary: Log in with phone number and the OTP sent by SMS (no password)
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *               - otp
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *               otp:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful; returns access JWT, refresh token and user profile
+ *       401:
+ *         description: Invalid or expired OTP
+ *       429:
+ *         description: Account temporarily locked after too many failed attempts (see Retry-After)
+ *       403:
+ *         description: Account deactivated
+ */
+/**
+ * @route POST /api/auth/phone/login
+ * @action LOGIN User
+ */
+router.post(
+  '/phone/login',
+  withAudit('User', 'LOGIN', authCtl.phoneLogin)
+);
+
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Complete a login that returned twoFactorRequired
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Single-use recovery code, instead of code
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful; returns access JWT, refresh token and user profile
+ *       401:
+ *         description: Invalid or already used code, or an expired, used or replaced challenge
+ *       429:
+ *         description: Account temporarily locked after too many failed attempts (see Retry-After)
+ */
+/**
+ * @route POST /api/auth/2fa/verify
+ * @action LOGIN User
+ */
+router.post(
+  '/2fa/verify',
+  withAudit('User', 'LOGIN', authCtl.verifyTwoFactor)
+);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     description: |
+ *       Refresh tokens rotate: the one sent is invalidated and a new one returned.
+ *       Re-using an already rotated token revokes that device session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         description: refreshToken missing
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ */
+router.post('/refresh', authCtl.refresh);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out the device that owns the given refresh token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       400:
+ *         description: refreshToken missing
+ */
+/**
+ * @route POST /api/auth/logout
+ * @action LOGOUT User
+ */
+router.post(
+  '/logout',
+  withAudit('User', 'LOGOUT', authCtl.logout)
+);
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out every device of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revoked:
+ *                   type: integer
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+/**
+ * @route POST /api/auth/logout-all
+ * @action LOGOUT User
+ */
+router.post(
+  '/logout-all',
+  requireAuth, requireSession, blockImpersonation,
+  withAudit('User', 'LOGOUT', authCtl.logoutAll)
+);
+
 
 module.exports = router;
@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const verificationCtl = require('../controllers/farmerVerificationController');
+const { requireAuth, requireSession, authorize } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: FarmerVerifications
+ *   description: Farmer KYC – farmers submit farm details and ID documents, admins review them
+ */
+
+/**
+ * @swagger
+ * /farmer-verifications:
+ *   post:
+ *     summary: Submit (or resubmit) the current farmer's verification request
+ *     description: Allowed when there is no request yet, or the last one was rejected or needs more information.
+ *     tags: [FarmerVerifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [farmName, farmAddress, idType, idNumber, documents]
+ *             properties:
+ *               farmName:
+ *                 type: string
+ *               farmAddress:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *               district:
+ *                 type: string
+ *               farmSizeAcres:
+ *                 type: number
+ *               produce:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               idType:
+ *                 type: string
+ *                 enum: [ghana_card, passport, voter_id, drivers_license]
+ *               idNumber:
+ *                 type: string
+ *               documents:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [kind, url]
+ *                   properties:
+ *                     kind:
+ *                       type: string
+ *                       enum: [id_front, id_back, farm_photo, land_document, cooperative_letter, other]
+ *                     url:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Request submitted and queued for review
+ *       200:
+ *         description: Request resubmitted and queued for review
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Only farmers can request verification
+ *       409:
+ *         description: A request is already pending or approved
+ *   get:
+ *     summary: Review queue of verification requests (admin and support)
+ *     tags: [FarmerVerifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, more_info_required, approved, rejected, all]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated requests, oldest submission first
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post(
+  '/',
+  requireAuth, requireSession,
+  authorize('verification:submit'),
+  verificationCtl.submitVerification
+);
+router.get(
+  '/',
+  requireAuth,
+  authorize('verification:read'),
+  verificationCtl.listVerifications
+);
+
+/**
+ * @swagger
+ * /farmer-verifications/me:
+ *   get:
+ *     summary: The current farmer's verification request and its review history
+ *     tags: [FarmerVerifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification request
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Nothing submitted yet
+ */
+router.get(
+  '/me',
+  requireAuth,
+  authorize('verification:submit'),
+  verificationCtl.getMyVerification
+);
+
+/**
+ * @swagger
+ * /farmer-verifications/{id}:
+ *   get:
+ *     summary: Get one verification request (admin and support)
+ *     tags: [FarmerVerifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Verification request with farmer details and history
+ *       404:
+ *         description: Not found
+ */
+router.get(
+  '/:id',
+  requireAuth,
+  authorize('verification:read'),
+  verificationCtl.getVerification
+);
+
+/**
+ * @swagger
+ * /farmer-verifications/{id}/{action}:
+ *   post:
+ *     summary: Decide on a pending verification request (admin only)
+ *     description: >
+ *       approve marks the farmer verified; reject and request-info need a note,
+ *       which is emailed to the farmer. request-info lets the farmer resubmit.
+ *     tags: [FarmerVerifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [approve, reject, request-info]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated verification request
+ *       400:
+ *         description: Note missing
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Request is not pending
+ */
+['approve', 'reject', 'request-info'].forEach(action => {
+  router.post(
+    `/:id/${action}`,
+    requireAuth,
+    authorize('verification:review'),
+    verificationCtl.reviewVerification(action)
+  );
+});
+
+module.exports = router;
@@ -3,7 +3,7 @@
 const express = require('express');
 const router = express.Router();
 const feedbackCtl = require('../controllers/feedbackController');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, authorize } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -41,6 +41,7 @@ const { requireAuth } = require('../middleware/auth');
 router.get(
   '/',
   requireAuth,
+  authorize('feedback:list'),
   feedbackCtl.listFeedbacks
 );
 
@@ -74,6 +75,7 @@ router.get(
 router.get(
   '/:id',
   requireAuth,
+  authorize('feedback:read'),
   feedbackCtl.getFeedback
 );
 
@@ -123,6 +125,7 @@ router.get(
 router.post(
   '/',
   requireAuth,
+  authorize('feedback:create'),
   feedbackCtl.createFeedback
 );
 
@@ -206,6 +209,7 @@ router.patch(
 router.delete(
   '/:id',
   requireAuth,
+  authorize('feedback:delete'),
   feedbackCtl.deleteFeedback
 );
 
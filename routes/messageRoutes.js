@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const messageCtl = require('../controllers/messageController');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, authorize } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -39,6 +39,7 @@ const { requireAuth } = require('../middleware/auth');
 router.get(
   '/',
   requireAuth,
+  authorize('message:list'),
   messageCtl.listMessages
 );
 
@@ -72,6 +73,7 @@ router.get(
 router.get(
   '/:id',
   requireAuth,
+  authorize('message:read'),
   messageCtl.getMessage
 );
 
@@ -115,6 +117,7 @@ router.get(
 router.post(
   '/',
   requireAuth,
+  authorize('message:create'),
   messageCtl.createMessage
 );
 
@@ -163,6 +166,7 @@ router.post(
 router.patch(
   '/:id',
   requireAuth,
+  authorize('message:update'),
   messageCtl.updateMessage
 );
 
@@ -194,6 +198,7 @@ router.patch(
 router.delete(
   '/:id',
   requireAuth,
+  authorize('message:delete'),
   messageCtl.deleteMessage
 );
 
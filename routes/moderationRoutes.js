@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const moderationCtl = require('../controllers/listingModerationController');
+const { requireAuth, authorize } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Moderation
+ *   description: >
+ *     Listing review – new and edited listings with banned words or an unusual price,
+ *     and listings enough buyers report, wait here for a reviewer
+ */
+
+/**
+ * @swagger
+ * /moderation/listings:
+ *   get:
+ *     summary: Review queue of listings (admin and support)
+ *     description: >
+ *       Listings with their moderationFlags (why screening or reports held them)
+ *       and openReports, least recently changed first.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, reported, approved, rejected, taken_down]
+ *           default: pending
+ *         description: reported lists listings with open reports, whatever their status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated listings
+ *       400:
+ *         description: Unknown status
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get(
+  '/listings',
+  requireAuth,
+  authorize('moderation:read'),
+  moderationCtl.listModerationQueue
+);
+
+/**
+ * @swagger
+ * /moderation/listings/{id}/{action}:
+ *   post:
+ *     summary: Decide on a listing (admin only)
+ *     description: >
+ *       approve shows a pending, rejected or taken-down listing to buyers again and
+ *       dismisses its open reports. reject (pending listings) and take-down (listed or
+ *       pending ones) need a note, which the farmer is emailed, and mark its open
+ *       reports actioned. The farmer also gets a listing:approved, listing:rejected
+ *       or listing:takenDown socket event. A rejected listing goes back to the queue
+ *       when the farmer edits it; a taken-down one only comes back through approve.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [approve, reject, take-down]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated listing
+ *       400:
+ *         description: Note missing
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: The listing's status doesn't allow this action
+ */
+['approve', 'reject', 'take-down'].forEach(action => {
+  router.post(
+    `/listings/:id/${action}`,
+    requireAuth,
+    authorize('moderation:review'),
+    moderationCtl.reviewListing(action)
+  );
+});
+
+/**
+ * @swagger
+ * /moderation/reports:
+ *   get:
+ *     summary: Reports buyers filed about listings (admin and support)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, dismissed, actioned, all]
+ *           default: open
+ *       - in: query
+ *         name: listing
+ *         schema:
+ *           type: string
+ *         description: Only reports about this listing
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated reports, oldest first
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get(
+  '/reports',
+  requireAuth,
+  authorize('moderation:read'),
+  moderationCtl.listReports
+);
+
+/**
+ * @swagger
+ * /moderation/reports/{id}/dismiss:
+ *   post:
+ *     summary: Close a report that needs no action (admin only)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Dismissed report
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Report is no longer open
+ */
+router.post(
+  '/reports/:id/dismiss',
+  requireAuth,
+  authorize('moderation:review'),
+  moderationCtl.dismissReport
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const orderCtl = require('../controllers/orderController');
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { requireAuth, authorize } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -28,9 +28,29 @@ const { requireAuth, requireAdmin } = require('../middleware/auth');
  *           type: string
  *           description: Farmer (seller) ID
  *         qty:
- *           type: integer
+ *           type: number
+ *           description: In the listing's unit; at least its minOrderQty, in steps of its orderIncrement
+ *         unit:
+ *           type: string
+ *           readOnly: true
+ *           description: The listing's unit at the time of ordering, e.g. "bag (50 kg)"
  *         priceAtOrder:
  *           type: number
+ *           readOnly: true
+ *           description: Per-unit price charged, after any price tier
+ *         listPrice:
+ *           type: number
+ *           readOnly: true
+ *           description: The listing's base price when ordered
+ *         appliedTier:
+ *           type: object
+ *           readOnly: true
+ *           description: The listing price tier that set priceAtOrder; absent when the base price applied
+ *           properties:
+ *             minQty:
+ *               type: number
+ *             buyerGroup:
+ *               type: string
  *         deliveryMethod:
  *           type: string
  *           enum: [pickup, thirdParty]
@@ -65,6 +85,14 @@ const { requireAuth, requireAdmin } = require('../middleware/auth');
  *           type: string
  *           enum: [pending, accepted, rejected, ready, in_transit, delivered, cancelled]
  *           default: pending
+ *         stockReleasedAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: >
+ *             When the item's quantity went back to the listing because the item, its
+ *             subOrder or the order was rejected/cancelled. Cleared (and the stock taken
+ *             again) if the item is reopened.
  *
  *     Order:
  *       type: object
@@ -100,7 +128,7 @@ const { requireAuth, requireAdmin } = require('../middleware/auth');
  * @swagger
  * /orders:
  *   get:
- *     summary: List orders (buyer sees own; admin sees all)
+ *     summary: List orders (buyers and farmers see their own; admin, support and logistics see all)
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -116,7 +144,7 @@ const { requireAuth, requireAdmin } = require('../middleware/auth');
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  */
-router.get('/', requireAuth, orderCtl.listOrders);
+router.get('/', requireAuth, authorize('order:list'), orderCtl.listOrders);
 
 /**
  * @swagger
@@ -147,10 +175,10 @@ router.get('/', requireAuth, orderCtl.listOrders);
  *       404:
  *         description: Order not found
  */
-router.get('/:id', requireAuth, orderCtl.getOrder);
+router.get('/:id', requireAuth, authorize('order:read'), orderCtl.getOrder);
 
 // farmer-only lightweight listing
-router.get('/farmer/subOrders', requireAuth, orderCtl.getFarmerSubOrders);
+router.get('/farmer/subOrders', requireAuth, authorize('suborder:list'), orderCtl.getFarmerSubOrders);
 
 /**
  * @swagger
@@ -186,7 +214,7 @@ router.get('/farmer/subOrders', requireAuth, orderCtl.getFarmerSubOrders);
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  */
-router.post('/', requireAuth, orderCtl.createOrder);
+router.post('/', requireAuth, authorize('order:create'), orderCtl.createOrder);
 
 /**
  * @swagger
@@ -227,8 +255,12 @@ router.post('/', requireAuth, orderCtl.createOrder);
  *         description: Forbidden – not authorized to update
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: >
+ *           Not enough stock to reopen a rejected/cancelled item, or the order changed
+ *           concurrently. Rejecting or cancelling returns the items' stock to their listings.
  */
-router.patch('/:id/status', requireAuth, orderCtl.updateOrderStatus);
+router.patch('/:id/status', requireAuth, authorize('order:update-status'), orderCtl.updateOrderStatus);
 
 /**
  * @swagger
@@ -277,6 +309,10 @@ router.patch('/:id/status', requireAuth, orderCtl.updateOrderStatus);
  *         description: Forbidden – not the assigned farmer or admin
  *       404:
  *         description: Order or item not found
+ *       409:
+ *         description: >
+ *           Not enough stock to reopen a rejected/cancelled item, or the order changed
+ *           concurrently. Rejecting or cancelling returns the items' stock to their listings.
  */
 router.patch(
   '/:orderId/subOrders/:subOrderId/items/:itemId/status',
@@ -295,6 +331,7 @@ router.patch(
  * /orders/{id}:
  *   delete:
  *     summary: Delete an order (admin only)
+ *     description: Stock held by items that weren't delivered, rejected or cancelled goes back to their listings.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -315,6 +352,6 @@ router.patch(
  *       404:
  *         description: Order not found
  */
-router.delete('/:id', requireAuth, requireAdmin, orderCtl.deleteOrder);
+router.delete('/:id', requireAuth, authorize('order:delete'), orderCtl.deleteOrder);
 
 module.exports = router;
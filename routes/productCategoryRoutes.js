@@ -1,5 +1,5 @@
 const express = require('express');
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { requireAuth, authorize } = require('../middleware/auth');
 const controller = require('../controllers/productCategoryController');
 
 const router = express.Router();
@@ -11,12 +11,80 @@ const router = express.Router();
  *   description: Manage product categories
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CategoryAttribute:
+ *       type: object
+ *       required: [key]
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: grade
+ *         label:
+ *           type: string
+ *           example: Grade
+ *         type:
+ *           type: string
+ *           enum: [string, number, boolean, enum]
+ *           default: string
+ *         options:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Allowed values of an enum
+ *           example: [A, B, C]
+ *         required:
+ *           type: boolean
+ *           default: false
+ *         unit:
+ *           type: string
+ *           description: Shown next to a number, e.g. cm
+ *     CategoryNode:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         categoryName:
+ *           type: string
+ *         names:
+ *           $ref: '#/components/schemas/LocalizedNames'
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *         path:
+ *           type: string
+ *           example: Vegetables > Leafy greens
+ *         attributes:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CategoryAttribute'
+ *         children:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CategoryNode'
+ */
+
 /**
  * @swagger
  * /product-categories:
  *   get:
  *     summary: Get all product categories
+ *     description: Flat list sorted by path; see /product-categories/tree for the nested form.
  *     tags: [ProductCategories]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
+ *       - in: query
+ *         name: parent
+ *         schema:
+ *           type: string
+ *         description: Only the direct subcategories of this category ID, or "root" for top-level ones
+ *       - in: query
+ *         name: under
+ *         schema:
+ *           type: string
+ *         description: Every category below this category ID, at any depth
  *     responses:
  *       200:
  *         description: List of product categories
@@ -35,14 +103,30 @@ const router = express.Router();
  *             properties:
  *               categoryName:
  *                 type: string
- *                 example: Vegetables
+ *                 example: Leafy greens
+ *               names:
+ *                 $ref: '#/components/schemas/LocalizedNames'
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Other names buyers know it by; search matches these too
+ *               parent:
+ *                 type: string
+ *                 description: Parent category ID; omit for a top-level category (at most 5 levels)
+ *               attributes:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CategoryAttribute'
  *     responses:
  *       201:
  *         description: Product category created
+ *       400:
+ *         description: Name taken under this parent, unknown parent, too deep or invalid attributes
  */
 router.route('/')
   .get(controller.getAllProductCategories)
-  .post(requireAuth, requireAdmin, controller.createProductCategory);
+  .post(requireAuth, authorize('category:manage'), controller.createProductCategory);
 
 /**
  * @swagger
@@ -80,9 +164,27 @@ router.route('/')
  *               categoryName:
  *                 type: string
  *                 example: Fruits
+ *               names:
+ *                 $ref: '#/components/schemas/LocalizedNames'
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Other names buyers know it by; search matches these too
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Move the category (with its subcategories); null for the top level
+ *               attributes:
+ *                 type: array
+ *                 description: Replaces the category's own attributes
+ *                 items:
+ *                   $ref: '#/components/schemas/CategoryAttribute'
  *     responses:
  *       200:
  *         description: Updated product category
+ *       400:
+ *         description: Name taken, move into its own subtree, too deep or invalid attributes
  *   delete:
  *     summary: Delete a product category
  *     tags: [ProductCategories]
@@ -97,10 +199,105 @@ router.route('/')
  *     responses:
  *       204:
  *         description: Product category deleted
+ *       409:
+ *         description: The category still has subcategories
+ */
+/**
+ * @swagger
+ * /product-categories/tree:
+ *   get:
+ *     summary: The whole category tree
+ *     tags: [ProductCategories]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
+ *     responses:
+ *       200:
+ *         description: Top-level categories, each with nested children sorted by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CategoryNode'
+ */
+router.get('/tree', controller.getCategoryTree);
+
+/**
+ * @swagger
+ * /product-categories/{id}/tree:
+ *   get:
+ *     summary: A category with everything below it
+ *     tags: [ProductCategories]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The subtree, and the categories above it (root first) for a breadcrumb
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 breadcrumbs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       categoryName:
+ *                         type: string
+ *                       names:
+ *                         $ref: '#/components/schemas/LocalizedNames'
+ *                 category:
+ *                   $ref: '#/components/schemas/CategoryNode'
+ *       404:
+ *         description: Not found
+ */
+router.get('/:id/tree', controller.getCategorySubtree);
+
+/**
+ * @swagger
+ * /product-categories/{id}/attributes:
+ *   get:
+ *     summary: Attributes a listing in this category can have
+ *     description: >
+ *       The category's own attributes plus those of its ancestors; a subcategory's
+ *       definition of a key replaces its ancestor's. Listings are validated against these.
+ *     tags: [ProductCategories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attribute definitions, each with the category that defines it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/CategoryAttribute'
+ *                   - type: object
+ *                     properties:
+ *                       category:
+ *                         type: string
+ *       404:
+ *         description: Not found
  */
+router.get('/:id/attributes', controller.getCategoryAttributes);
+
 router.route('/:id')
   .get(controller.getProductCategoryById)
-  .patch(requireAuth, requireAdmin, controller.updateProductCategory)
-  .delete(requireAuth, requireAdmin, controller.deleteProductCategory);
+  .patch(requireAuth, authorize('category:manage'), controller.updateProductCategory)
+  .delete(requireAuth, authorize('category:manage'), controller.deleteProductCategory);
 
 module.exports = router;
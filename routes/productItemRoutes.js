@@ -1,13 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const productItemController = require('../controllers/productItemController');
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { requireAuth, authorize } = require('../middleware/auth');
 
 /**
  * @swagger
  * tags:
  *   name: ProductItems
- *   description: Manage product items linked to categories
+ *   description: >
+ *     Manage product items linked to categories. Catalogue and listing responses give
+ *     product and category names in the language asked for with ?lang= or
+ *     Accept-Language (en, tw, ee, ha, fr), falling back to English; Content-Language
+ *     says which was used.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     Lang:
+ *       in: query
+ *       name: lang
+ *       schema:
+ *         type: string
+ *         enum: [en, tw, ee, ha, fr]
+ *       description: Language for product and category names; overrides Accept-Language
+ *   schemas:
+ *     LocalizedNames:
+ *       type: object
+ *       description: The name in other languages (the main name is the English one)
+ *       properties:
+ *         tw:
+ *           type: string
+ *         ee:
+ *           type: string
+ *         ha:
+ *           type: string
+ *         fr:
+ *           type: string
+ *       example: { tw: Ntoos, fr: Tomate }
  */
 
 /**
@@ -16,11 +47,13 @@ const { requireAuth, requireAdmin } = require('../middleware/auth');
  *   get:
  *     summary: Get all product items
  *     tags: [ProductItems]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
  *         description: List of all product items
  */
-router.get('/', requireAuth, productItemController.getAllProductItems);
+router.get('/', requireAuth, authorize('productItem:read'), productItemController.getAllProductItems);
 
 /**
  * @swagger
@@ -35,13 +68,14 @@ router.get('/', requireAuth, productItemController.getAllProductItems);
  *           type: string
  *         required: true
  *         description: ProductItem ID
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
  *         description: Product item data
  *       404:
  *         description: Product item not found
  */
-router.get('/:id', requireAuth, productItemController.getProductItemById);
+router.get('/:id', requireAuth, authorize('productItem:read'), productItemController.getProductItemById);
 
 /**
  * @swagger
@@ -61,15 +95,23 @@ router.get('/:id', requireAuth, productItemController.getProductItemById);
  *             properties:
  *               productName:
  *                 type: string
+ *                 description: English name
  *               category:
  *                 type: string
+ *               names:
+ *                 $ref: '#/components/schemas/LocalizedNames'
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Other names buyers know it by; search matches these too
  *     responses:
  *       201:
  *         description: Product item created successfully
  *       400:
  *         description: Validation error
  */
-router.post('/', requireAuth, requireAdmin, productItemController.createProductItem);
+router.post('/', requireAuth, authorize('productItem:manage'), productItemController.createProductItem);
 
 /**
  * @swagger
@@ -92,15 +134,25 @@ router.post('/', requireAuth, requireAdmin, productItemController.createProductI
  *             properties:
  *               productName:
  *                 type: string
+ *                 description: English name
  *               category:
  *                 type: string
+ *               names:
+ *                 $ref: '#/components/schemas/LocalizedNames'
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Other names buyers know it by; search matches these too
  *     responses:
  *       200:
  *         description: Product item updated successfully
+ *       400:
+ *         description: Invalid names or aliases
  *       404:
  *         description: Product item not found
  */
-router.put('/:id', requireAuth, requireAdmin, productItemController.updateProductItem);
+router.put('/:id', requireAuth, authorize('productItem:manage'), productItemController.updateProductItem);
 
 /**
  * @swagger
@@ -120,6 +172,6 @@ router.put('/:id', requireAuth, requireAdmin, productItemController.updateProduc
  *       404:
  *         description: Product item not found
  */
-router.delete('/:id', requireAuth, requireAdmin, productItemController.deleteProductItem);
+router.delete('/:id', requireAuth, authorize('productItem:manage'), productItemController.deleteProductItem);
 
 module.exports = router;
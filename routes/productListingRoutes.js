@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const listingCtl = require('../controllers/ProductListingController');
-const { requireAuth } = require('../middleware/auth');
+const moderationCtl = require('../controllers/listingModerationController');
+const { requireAuth, optionalAuth, authorize } = require('../middleware/auth');
 const withAudit = require('../utils/withAudit');
+const { imageUpload, spreadsheetUpload } = require('../middleware/upload');
 
 /**
  * @swagger
@@ -16,10 +18,12 @@ const withAudit = require('../utils/withAudit');
  * /product-listings:
  *   get:
  *     summary: List all product listings (or only yours if ?farmer=me)
+ *     description: Each listing's farmer carries verificationStatus ("verified" shows the badge). With HIDE_UNVERIFIED_FARMERS=true only verified farmers' listings are returned, except to reviewers. Inactive, expired and sold-out listings are left out (sold-out ones until they are restocked), in a farmer's shop (?farmer=<id>) too; only the farmer themselves and admins see them. Listings held for review, rejected or taken down are only shown to their farmer (?farmer=me) and to moderators.
  *     tags: [Product Listings]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
  *       - in: query
  *         name: page
  *         schema:
@@ -31,12 +35,18 @@ const withAudit = require('../utils/withAudit');
  *         schema:
  *           type: integer
  *           default: 20
+ *           maximum: 100
  *         description: Items per page
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter by category ID
+ *         description: Filter by category ID, subcategories included
+ *       - in: query
+ *         name: attr.<key>
+ *         schema:
+ *           type: string
+ *         description: Filter on a category attribute, e.g. attr.grade=A or attr.organic=true
  *       - in: query
  *         name: minPrice
  *         schema:
@@ -52,6 +62,71 @@ const withAudit = require('../utils/withAudit');
  *         schema:
  *           type: string
  *         description: Use "me" for own listings or a specific farmer ID
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *           example: -1.6244,6.6885
+ *         description: '"lng,lat" – only listings within radiusKm, nearest first, each with distanceKm'
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           default: 25
+ *           maximum: 500
+ *         description: Search radius for near, in kilometres
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, price_asc, price_desc, distance, rating, popularity, freshness, going_live]
+ *         description: Defaults to distance with near, going_live with upcoming, newest otherwise. distance needs near; rating is the farmer's average feedback rating; popularity is units ordered; freshness is most recently harvested.
+ *       - in: query
+ *         name: delivery
+ *         schema:
+ *           type: string
+ *           enum: [pickup, thirdParty]
+ *         description: Only listings offering this delivery option
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: true for listings with quantity > 0 only
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: harvestedWithinDays
+ *         schema:
+ *           type: number
+ *         description: Only listings harvested in the last N days
+ *       - in: query
+ *         name: freshForDays
+ *         schema:
+ *           type: number
+ *         description: Only listings good for at least N more days (listings without a best-before date always match)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published, archived]
+ *         description: With farmer=me (or for admins), listings in this lifecycle state; everyone else only sees published ones
+ *       - in: query
+ *         name: upcoming
+ *         schema:
+ *           type: boolean
+ *         description: true for scheduled listings that haven't gone live yet, soonest first; favourite one to be told when it does
+ *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: false to leave out the facets block
  *     responses:
  *       200:
  *         description: Paginated product listings
@@ -66,6 +141,238 @@ const withAudit = require('../utils/withAudit');
  *                   type: integer
  *                 total:
  *                   type: integer
+ *                 facets:
+ *                   type: object
+ *                   description: Counts over everything the filters match, for filter chips
+ *                   properties:
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           category:
+ *                             type: string
+ *                           categoryName:
+ *                             type: string
+ *                           path:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     priceRanges:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           min:
+ *                             type: number
+ *                           max:
+ *                             type: number
+ *                           count:
+ *                             type: integer
+ *                     delivery:
+ *                       type: object
+ *                       properties:
+ *                         pickup:
+ *                           type: integer
+ *                         thirdParty:
+ *                           type: integer
+ *                     stock:
+ *                       type: object
+ *                       properties:
+ *                         inStock:
+ *                           type: integer
+ *                         outOfStock:
+ *                           type: integer
+ *                     cities:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           city:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     regions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           region:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductListing'
+ *       400:
+ *         description: Invalid near, radiusKm or sort
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/', requireAuth, authorize('listing:list'), listingCtl.listProductListings);
+
+/**
+ * @swagger
+ * /product-listings/search:
+ *   get:
+ *     summary: Search listings by product, category, farmer name or description
+ *     description: >
+ *       Results are ranked by relevance (product name counts most, then category,
+ *       farmer name, description). Words match as prefixes, small typos are
+ *       tolerated and local crop names are matched to their synonyms
+ *       (e.g. "kontomire" finds cocoyam leaves). Product and category names match in every
+ *       language they are given in, and by their aliases; ɛ, ɔ, ƙ, ɖ and similar letters
+ *       can be typed as plain letters. The list filters (farmer,
+ *       category, minPrice, maxPrice, delivery, inStock, city, region, harvestedWithinDays,
+ *       freshForDays) can be combined with q.
+ *     tags: [Product Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: tomatoes
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Matching listings, most relevant first, each with a score
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 truncated:
+ *                   type: boolean
+ *                   description: >
+ *                     More listings matched than are ranked (500); total counts the ranked
+ *                     ones. Narrow the query or add filters to see the rest.
+ *                 terms:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Terms searched for after synonym and typo expansion
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductListing'
+ *       400:
+ *         description: q is missing
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/search', requireAuth, authorize('listing:list'), listingCtl.searchProductListings);
+
+/**
+ * @swagger
+ * /product-listings/export:
+ *   get:
+ *     summary: Download your listings as CSV or XLSX
+ *     description: >
+ *       Same columns as the import (sku, product, category, description, price, quantity,
+ *       lowStockThreshold, unit, unitLabel, conversionUnit, conversionFactor, minOrderQty, orderIncrement,
+ *       city, region, pickup, thirdParty, harvestDate, shelfLifeDays, bestBefore, isActive,
+ *       status, publishAt, unpublishAt, attributes), so the file can be edited and imported back. category holds the full
+ *       path ("Vegetables > Leafy greens") and attributes the category attributes as
+ *       "grade=A; organic=yes". Text starting with =, +, -, @ or a tab is prefixed with '
+ *       so spreadsheet apps don't run it as a formula; the import drops the prefix again.
+ *     tags: [Product Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: farmer
+ *         schema:
+ *           type: string
+ *         description: Another farmer's ID (admins only); defaults to your own listings
+ *     responses:
+ *       200:
+ *         description: The file, as an attachment
+ *         content:
+ *           text/csv: {}
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet: {}
+ *       400:
+ *         description: Unknown format
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Not allowed to export another farmer's listings
+ */
+router.get('/export', requireAuth, authorize('listing:create'), listingCtl.exportProductListings);
+
+/**
+ * @swagger
+ * /product-listings/favourites:
+ *   get:
+ *     summary: Your favourite listings, most recently added first
+ *     description: Includes sold-out listings, which the browse list hides.
+ *     tags: [Product Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Favourite listings, each with favouritedAt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
  *                 data:
  *                   type: array
  *                   items:
@@ -73,15 +380,20 @@ const withAudit = require('../utils/withAudit');
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  */
-router.get('/', requireAuth, listingCtl.listProductListings);
+router.get('/favourites', requireAuth, authorize('listing:favourite'), listingCtl.listFavourites);
 
 /**
  * @swagger
  * /product-listings/{id}:
  *   get:
  *     summary: Get a single product listing
+ *     description: >
+ *       Open to anyone. Listings held for review, rejected or taken down are a 404
+ *       except to their farmer and to moderators; drafts, scheduled and archived
+ *       listings except to their farmer and admins (send a token to be recognised).
  *     tags: [Product Listings]
  *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
  *       - in: path
  *         name: id
  *         required: true
@@ -98,13 +410,110 @@ router.get('/', requireAuth, listingCtl.listProductListings);
  *       404:
  *         description: Not found
  */
-router.get('/:id', listingCtl.getProductListing);
+router.get('/:id', optionalAuth, listingCtl.getProductListing);
+
+/**
+ * @swagger
+ * /product-listings/{id}/favourite:
+ *   post:
+ *     summary: Add a listing to your favourites
+ *     description: >
+ *       You get a listing:restocked socket event (room buyer:<your id>) and an email when
+ *       it comes back in stock, at most once a day (RESTOCK_NOTICE_INTERVAL_HOURS), and a
+ *       listing:published event and an email when a scheduled listing goes live.
+ *     tags: [Product Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Already a favourite
+ *       201:
+ *         description: Added
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Listing not found
+ *   delete:
+ *     summary: Remove a listing from your favourites
+ *     tags: [Product Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Removed (or wasn't a favourite)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post('/:id/favourite', requireAuth, authorize('listing:favourite'), listingCtl.favouriteListing);
+router.delete('/:id/favourite', requireAuth, authorize('listing:favourite'), listingCtl.unfavouriteListing);
+
+/**
+ * @swagger
+ * /product-listings/{id}/report:
+ *   post:
+ *     summary: Report a listing to the moderators
+ *     description: >
+ *       One open report per user and listing. Once LISTING_REPORTS_BEFORE_REVIEW (default 3)
+ *       reports are open, the listing is hidden from buyers until a reviewer has looked at it.
+ *     tags: [Product Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [prohibited_item, scam, misleading, wrong_price, offensive, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Required when reason is other
+ *     responses:
+ *       201:
+ *         description: Report filed
+ *       400:
+ *         description: Invalid reason or details, or your own listing
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Listing not found
+ *       409:
+ *         description: You already have an open report about this listing
+ */
+router.post('/:id/report', requireAuth, authorize('listing:report'), moderationCtl.reportListing);
 
 /**
  * @swagger
  * /product-listings:
  *   post:
  *     summary: Create a new product listing
+ *     description: >
+ *       Goes live straight away unless it is a draft or scheduled. Listings with banned
+ *       words or a price far from similar listings are held for review (moderationStatus
+ *       pending) and the farmer gets a listing:underReview socket event and an email.
  *     tags: [Product Listings]
  *     security:
  *       - bearerAuth: []
@@ -122,12 +531,106 @@ router.get('/:id', listingCtl.getProductListing);
  *               productItem:
  *                 type: string
  *                 description: ProductItem ID
+ *               externalSku:
+ *                 type: string
+ *                 description: Your own stock code, unique among your listings; bulk imports match on it
  *               description:
  *                 type: string
  *               price:
  *                 type: number
+ *                 description: Price per unit
+ *               priceTiers:
+ *                 type: array
+ *                 description: >
+ *                   Cheaper per-unit prices for larger orders and/or buyer groups. A buyer
+ *                   pays the lowest price they qualify for; each must be below the base price.
+ *                 items:
+ *                   type: object
+ *                   required: [price]
+ *                   properties:
+ *                     minQty:
+ *                       type: number
+ *                       default: 1
+ *                     price:
+ *                       type: number
+ *                     buyerGroup:
+ *                       type: string
+ *                       enum: [wholesaler, retailer, school, restaurant, hotel]
+ *                       description: Only buyers an admin has put in this group get this price
  *               quantity:
- *                 type: integer
+ *                 type: number
+ *                 description: Stock, in units
+ *               lowStockThreshold:
+ *                 type: number
+ *                 description: >
+ *                   When a sale or other change takes stock to this level or below, the farmer
+ *                   gets a listing:lowStock socket event and an email (listing:outOfStock at zero).
+ *               unit:
+ *                 type: string
+ *                 enum: [kg, g, litre, piece, tuber, bunch, crate, bag, basket, dozen, custom]
+ *                 default: piece
+ *                 description: kg, g and litre can be ordered in fractions, the rest in whole units
+ *               unitLabel:
+ *                 type: string
+ *                 description: Name of a custom unit (required when unit is custom)
+ *               unitConversion:
+ *                 type: object
+ *                 description: Optional, e.g. a bag is 50 kg
+ *                 properties:
+ *                   unit:
+ *                     type: string
+ *                     enum: [kg, g, litre, piece]
+ *                   factor:
+ *                     type: number
+ *               minOrderQty:
+ *                 type: number
+ *                 default: 1
+ *               orderIncrement:
+ *                 type: number
+ *                 default: 1
+ *                 description: Orders must be minOrderQty plus a multiple of this
+ *               harvestDate:
+ *                 type: string
+ *                 format: date-time
+ *               shelfLifeDays:
+ *                 type: number
+ *                 description: Days the produce keeps after harvest
+ *               bestBefore:
+ *                 type: string
+ *                 format: date-time
+ *                 description: >
+ *                   Defaults to harvestDate + shelfLifeDays. The farmer is warned a day ahead
+ *                   and the listing is deactivated once it passes.
+ *               city:
+ *                 type: string
+ *                 description: Defaults to the farmer's city
+ *               attributes:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 example: { grade: A, organic: true }
+ *                 description: >
+ *                   Values for the attributes of the product's category and its parents
+ *                   (GET /product-categories/{id}/attributes); unknown keys, wrong types and
+ *                   missing required attributes are rejected.
+ *               region:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published]
+ *                 description: >
+ *                   Defaults to published, or scheduled when publishAt is in the future. Only
+ *                   published listings are shown to buyers; a scheduled one is published by a
+ *                   background job at publishAt, and the farmer gets a listing:published event
+ *                   and an email.
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When a scheduled listing goes live (must be in the future)
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: When a live listing is archived; null clears it
  *               images:
  *                 type: array
  *                 items:
@@ -146,20 +649,122 @@ router.get('/:id', listingCtl.getProductListing);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ProductListing'
+ *       400:
+ *         description: Invalid product item, price, price tiers, quantity, unit, freshness fields or attributes
+ *       409:
+ *         description: externalSku already used by another of your listings
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  */
 router.post(
   '/',
   requireAuth,
+  authorize('listing:create'),
   withAudit('ProductListing', 'CREATE', listingCtl.createProductListing)
 );
 
+/**
+ * @swagger
+ * /product-listings/import:
+ *   post:
+ *     summary: Create or update listings in bulk from a CSV or XLSX file
+ *     description: >
+ *       The first row holds column names (see GET /product-listings/export; header case and
+ *       spacing don't matter). product must name an existing product item, and category, if
+ *       given, must be its category (by name or full path). attributes are checked against the
+ *       category's attributes, like on POST /product-listings. A row whose sku matches one of the farmer's listings
+ *       updates it (only the filled-in cells change); other rows create listings and need
+ *       product, price and quantity. Every row is validated and reported separately: valid
+ *       rows are saved even if others fail, so a corrected file can simply be imported again.
+ *       At most 2000 rows.
+ *     tags: [Product Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate and report without saving anything
+ *       - in: query
+ *         name: farmer
+ *         schema:
+ *           type: string
+ *         description: Import for another farmer (admins only); defaults to yourself
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: .csv (UTF-8) or .xlsx; only the first sheet is read
+ *     responses:
+ *       200:
+ *         description: Per-row outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 created:
+ *                   type: integer
+ *                 updated:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         description: Spreadsheet row number (the header is row 1)
+ *                       sku:
+ *                         type: string
+ *                       action:
+ *                         type: string
+ *                         enum: [create, update]
+ *                       id:
+ *                         type: string
+ *                         description: The listing, once saved
+ *                       heldForReview:
+ *                         type: boolean
+ *                         description: Screening flagged the row; the listing waits for a reviewer
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *       400:
+ *         description: No file, unreadable file, unknown columns or too many rows
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Not allowed to import for another farmer
+ */
+router.post(
+  '/import',
+  requireAuth,
+  authorize('listing:create'),
+  spreadsheetUpload('file'),
+  listingCtl.importProductListings
+);
+
 /**
  * @swagger
  * /product-listings/{id}:
  *   patch:
- *     summary: Update your product listing
+ *     summary: Update your product listing (admins may update any)
  *     tags: [Product Listings]
  *     security:
  *       - bearerAuth: []
@@ -184,7 +789,34 @@ router.post(
  *               price:
  *                 type: number
  *               quantity:
- *                 type: integer
+ *                 type: number
+ *                 description: New stock level, recorded in the stock history as an adjustment
+ *               stockNote:
+ *                 type: string
+ *                 description: Reason for a quantity change, kept with the adjustment
+ *               lowStockThreshold:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Low-stock alert level; null turns the alert off
+ *               attributes:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 description: Replaces the listing's attributes; checked against its category
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published, archived]
+ *                 description: >
+ *                   Publishing a draft, scheduled or archived listing tells the users who
+ *                   favourited it. A future publishAt on a draft schedules it.
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When a scheduled listing goes live (must be in the future)
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: When a live listing is archived; null clears it
  *               images:
  *                 type: array
  *                 items:
@@ -211,14 +843,235 @@ router.post(
 router.patch(
   '/:id',
   requireAuth,
+  authorize('listing:update'),
   withAudit('ProductListing', 'UPDATE', listingCtl.updateProductListing)
 );
 
+/**
+ * @swagger
+ * /product-listings/{id}/images:
+ *   post:
+ *     summary: Upload images to your product listing (admins may upload to any)
+ *     description: >
+ *       JPEG, PNG or WebP, up to UPLOAD_MAX_MB (default 5 MB) each and 10 per listing.
+ *       Each image is re-encoded without its EXIF metadata, scaled to fit 1600px and
+ *       given a 320px thumbnail, then appended to the listing's images. Uploaded images
+ *       removed from `images` (PATCH) or belonging to a deleted listing are deleted.
+ *     tags: [Product Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ProductListing ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [images]
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Stored and added to the listing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 images:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       url:
+ *                         type: string
+ *                       thumbnailUrl:
+ *                         type: string
+ *                       width:
+ *                         type: integer
+ *                       height:
+ *                         type: integer
+ *                 listing:
+ *                   $ref: '#/components/schemas/ProductListing'
+ *       400:
+ *         description: Missing, too large, too many or not supported images
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Not found or unauthorized
+ */
+router.post(
+  '/:id/images',
+  requireAuth,
+  authorize('listing:update'),
+  imageUpload('images', 10),
+  listingCtl.uploadListingImages
+);
+
+/**
+ * @swagger
+ * /product-listings/{id}/stock-movements:
+ *   get:
+ *     summary: Stock history of your listing (admins may view any)
+ *     description: >
+ *       Every change to the listing's quantity, newest first, with the balance after it.
+ *       Sales and cancellation returns are recorded by orders; restocks, spoilage and
+ *       adjustments by the farmer (editing quantity on the listing is an adjustment).
+ *     tags: [Product Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ProductListing ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [restock, sale, cancellation_return, spoilage, adjustment]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Page of movements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 quantity:
+ *                   type: number
+ *                   description: Current stock
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                       quantity:
+ *                         type: number
+ *                         description: Signed change
+ *                       balance:
+ *                         type: number
+ *                         description: Stock right after this movement
+ *                       order:
+ *                         type: string
+ *                       note:
+ *                         type: string
+ *                       createdBy:
+ *                         type: object
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Invalid type or dates
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Not found or unauthorized
+ *   post:
+ *     summary: Record a restock, spoilage or stock adjustment on your listing
+ *     tags: [Product Listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ProductListing ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, quantity]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [restock, spoilage, adjustment]
+ *               quantity:
+ *                 type: number
+ *                 description: >
+ *                   Amount added (restock) or lost (spoilage), > 0; for an adjustment
+ *                   a signed correction (negative removes stock)
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Recorded; the updated listing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductListing'
+ *       400:
+ *         description: Invalid type or quantity
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Not found or unauthorized
+ *       409:
+ *         description: Not enough stock
+ */
+router.get(
+  '/:id/stock-movements',
+  requireAuth,
+  authorize('listing:update'),
+  listingCtl.listStockMovements
+);
+router.post(
+  '/:id/stock-movements',
+  requireAuth,
+  authorize('listing:update'),
+  listingCtl.recordStockMovement
+);
+
 /**
  * @swagger
  * /product-listings/{id}:
  *   delete:
- *     summary: Delete your product listing
+ *     summary: Delete your product listing (admins may delete any)
  *     tags: [Product Listings]
  *     security:
  *       - bearerAuth: []
@@ -240,6 +1093,7 @@ router.patch(
 router.delete(
   '/:id',
   requireAuth,
+  authorize('listing:delete'),
   withAudit('ProductListing', 'DELETE', listingCtl.deleteProductListing)
 );
 
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const txnCtl = require('../controllers/transactionController');
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { requireAuth, authorize } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -14,7 +14,7 @@ const { requireAuth, requireAdmin } = require('../middleware/auth');
  * @swagger
  * /transactions:
  *   post:
- *     summary: Create a new invoice for an order
+ *     summary: Create a new invoice for an order (admin only)
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -48,10 +48,13 @@ const { requireAuth, requireAdmin } = require('../middleware/auth');
  *         description: Invalid order or invoice already exists
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden – admin only
  */
 router.post(
   '/',
   requireAuth,
+  authorize('transaction:create'),
   txnCtl.createTransaction
 );
 
@@ -59,7 +62,7 @@ router.post(
  * @swagger
  * /transactions:
  *   get:
- *     summary: List all invoices (admin only)
+ *     summary: List all invoices (admin and support)
  *     tags: [Transactions]
  *     security:
  *       - bearerAuth: []
@@ -80,7 +83,7 @@ router.post(
 router.get(
   '/',
   requireAuth,
-  requireAdmin,
+  authorize('transaction:list'),
   txnCtl.listTransactions
 );
 
@@ -116,7 +119,7 @@ router.get(
 router.get(
   '/:id',
   requireAuth,
-  requireAdmin,
+  authorize('transaction:read'),
   txnCtl.getTransaction
 );
 
@@ -164,7 +167,7 @@ router.get(
 router.patch(
   '/:id',
   requireAuth,
-  requireAdmin,
+  authorize('transaction:update'),
   txnCtl.updateTransaction
 );
 
@@ -196,7 +199,7 @@ router.patch(
 router.delete(
   '/:id',
   requireAuth,
-  requireAdmin,
+  authorize('transaction:delete'),
   txnCtl.deleteTransaction
 );
 
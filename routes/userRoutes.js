@@ -1,8 +1,9 @@
 const express = require('express');
 const router  = express.Router();
 const userCtl = require('../controllers/userController');
-const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { requireAuth, requireSession, blockImpersonation, authorize } = require('../middleware/auth');
 const withAudit    = require('../utils/withAudit');
+const { imageUpload } = require('../middleware/upload');
 
 
 /**
@@ -16,7 +17,7 @@ const withAudit    = require('../utils/withAudit');
  * @swagger
  * /users:
  *   get:
- *     summary: List all users
+ *     summary: List all users (admin and support)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -54,7 +55,7 @@ const withAudit    = require('../utils/withAudit');
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  */
-router.get('/', requireAuth, userCtl.listUsers);
+router.get('/', requireAuth, authorize('user:list'), userCtl.listUsers);
 
 /**
  * @swagger
@@ -74,7 +75,7 @@ router.get('/', requireAuth, userCtl.listUsers);
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  */
-router.get('/me', requireAuth, userCtl.getProfile);
+router.get('/me', requireAuth, requireSession, userCtl.getProfile);
 
 /**
  * @swagger
@@ -114,10 +115,61 @@ router.get('/me', requireAuth, userCtl.getProfile);
  */
 router.patch(
   '/me',
-  requireAuth,
+  requireAuth, requireSession, blockImpersonation,
   withAudit('User','UPDATE', userCtl.updateProfile)
 );
 
+/**
+ * @swagger
+ * /users/me/profile-image:
+ *   post:
+ *     summary: Upload a profile picture
+ *     description: >
+ *       JPEG, PNG or WebP, up to UPLOAD_MAX_MB (default 5 MB). The image is re-encoded
+ *       without its EXIF metadata, scaled to fit 1600px and given a 320px thumbnail.
+ *       It replaces profileImage; a previously uploaded picture is deleted.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [image]
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 profileImage:
+ *                   type: string
+ *                 thumbnailUrl:
+ *                   type: string
+ *                 width:
+ *                   type: integer
+ *                 height:
+ *                   type: integer
+ *       400:
+ *         description: Missing, too large or not a supported image
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post(
+  '/me/profile-image',
+  requireAuth, requireSession, blockImpersonation,
+  imageUpload('image'),
+  withAudit('User','UPDATE', userCtl.uploadProfileImage)
+);
+
 /**
  * @swagger
  * /users/me/change-password:
@@ -151,15 +203,306 @@ router.patch(
  */
 router.post(
   '/me/change-password',
-  requireAuth,
+  requireAuth, requireSession, blockImpersonation,
   withAudit('User','UPDATE', userCtl.changePassword)
 );
 
+/**
+ * @swagger
+ * /users/me/2fa/setup:
+ *   post:
+ *     summary: Start two-factor (TOTP) enrolment
+ *     description: Returns a secret and otpauth:// URL for an authenticator app. 2FA stays off until confirmed via /users/me/2fa/verify.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauthUrl:
+ *                   type: string
+ *       400:
+ *         description: 2FA already enabled
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post(
+  '/me/2fa/setup',
+  requireAuth, requireSession, blockImpersonation,
+  userCtl.setupTwoFactor
+);
+
+/**
+ * @swagger
+ * /users/me/2fa/verify:
+ *   post:
+ *     summary: Confirm two-factor enrolment with a code from the authenticator app
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled; recovery codes are returned only this once
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: No pending enrolment or invalid code
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post(
+  '/me/2fa/verify',
+  requireAuth, requireSession, blockImpersonation,
+  withAudit('User','UPDATE', userCtl.verifyTwoFactorSetup)
+);
+
+/**
+ * @swagger
+ * /users/me/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Current authenticator code
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Alternative to code
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Not enabled, wrong password or invalid code
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: 2FA is mandatory for admins
+ *       429:
+ *         description: Too many wrong passwords or codes; Retry-After says when to try again
+ */
+router.post(
+  '/me/2fa/disable',
+  requireAuth, requireSession, blockImpersonation,
+  withAudit('User','UPDATE', userCtl.disableTwoFactor)
+);
+
+/**
+ * @swagger
+ * /users/me/sessions:
+ *   get:
+ *     summary: List the current user's active device sessions
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   deviceName:
+ *                     type: string
+ *                   userAgent:
+ *                     type: string
+ *                   ip:
+ *                     type: string
+ *                   lastUsedAt:
+ *                     type: string
+ *                     format: date-time
+ *                   expiresAt:
+ *                     type: string
+ *                     format: date-time
+ *                   current:
+ *                     type: boolean
+ *                     description: True for the session making this request
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get('/me/sessions', requireAuth, requireSession, userCtl.listSessions);
+
+/**
+ * @swagger
+ * /users/me/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one of the current user's devices
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Session revoked
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/me/sessions/:sessionId', requireAuth, requireSession, blockImpersonation, userCtl.revokeSession);
+
+/**
+ * @swagger
+ * /users/me/export:
+ *   get:
+ *     summary: Download all personal data held about the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zip]
+ *           default: json
+ *         description: One JSON document, or a ZIP with one JSON file per collection
+ *     responses:
+ *       200:
+ *         description: Profile, orders, listings, farmer verification, messages, feedback, transactions, sessions and audit log
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.get(
+  '/me/export',
+  requireAuth, requireSession, blockImpersonation,
+  withAudit('User','READ', userCtl.exportMyData)
+);
+
+/**
+ * @swagger
+ * /users/me/delete:
+ *   post:
+ *     summary: Request deletion of the current user's account
+ *     description: >
+ *       The account keeps working for a grace period (ACCOUNT_DELETION_GRACE_DAYS, default 14)
+ *       and can be restored with /users/me/delete/cancel. After that, personal details are
+ *       anonymised and a farmer's verification request and ID documents are deleted;
+ *       orders and transactions are kept for the other party's records.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Deletion scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 deletionScheduledFor:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Password is incorrect
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       409:
+ *         description: Deletion already scheduled
+ */
+router.post(
+  '/me/delete',
+  requireAuth, requireSession, blockImpersonation,
+  withAudit('User','UPDATE', userCtl.requestAccountDeletion)
+);
+
+/**
+ * @swagger
+ * /users/me/delete/cancel:
+ *   post:
+ *     summary: Cancel a pending account deletion
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       400:
+ *         description: No deletion is scheduled
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+router.post(
+  '/me/delete/cancel',
+  requireAuth, requireSession, blockImpersonation,
+  withAudit('User','UPDATE', userCtl.cancelAccountDeletion)
+);
+
 /**
  * @swagger
  * /users/{id}:
  *   get:
- *     summary: Get any user by ID (admin only)
+ *     summary: Get any user by ID (admin and support)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -186,7 +529,7 @@ router.post(
  */
 router.get(
   '/:id',
-  requireAuth, requireAdmin,
+  requireAuth, authorize('user:read'),
   withAudit('User','READ', userCtl.getUserById)
 );
 
@@ -225,6 +568,12 @@ router.get(
  *                 $ref: '#/components/schemas/NotificationSettings'
  *               isAdmin:
  *                 type: boolean
+ *               buyerGroups:
+ *                 type: array
+ *                 description: Unlocks buyer-group prices on listings
+ *                 items:
+ *                   type: string
+ *                   enum: [wholesaler, retailer, school, restaurant, hotel]
  *     responses:
  *       200:
  *         description: Updated user data
@@ -241,15 +590,47 @@ router.get(
  */
 router.patch(
   '/:id',
-  requireAuth, requireAdmin,
+  requireAuth, authorize('user:update'),
   withAudit('User','UPDATE', userCtl.updateUserById)
 );
 
+/**
+ * @swagger
+ * /users/{id}/revoke-tokens:
+ *   post:
+ *     summary: Invalidate every access and refresh token of a user (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Tokens revoked; the user must log in again on every device
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Forbidden – admin only
+ *       404:
+ *         description: User not found
+ */
+router.post(
+  '/:id/revoke-tokens',
+  requireAuth, authorize('user:revoke-tokens'),
+  withAudit('User','UPDATE', userCtl.revokeUserTokens)
+);
+
 /**
  * @swagger
  * /users/{id}:
  *   delete:
  *     summary: Delete a user (admin only)
+ *     description: Anonymises the account immediately. Orders and transactions are kept for the other party.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -262,7 +643,7 @@ router.patch(
  *         description: User ID
  *     responses:
  *       204:
- *         description: User deleted
+ *         description: User anonymised
  *       401:
  *         $ref: '#/components/responses/Unauthorized'
  *       403:
@@ -272,7 +653,7 @@ router.patch(
  */
 router.delete(
   '/:id',
-  requireAuth, requireAdmin,
+  requireAuth, authorize('user:delete'),
   withAudit('User','DELETE', userCtl.deleteUser)
 );
 
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const ProductListing = require('../models/ProductListing');
+const Message = require('../models/Message');
+const Feedback = require('../models/Feedback');
+const Transaction = require('../models/Transaction');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const Favourite = require('../models/Favourite');
+const ListingReport = require('../models/ListingReport');
+const FarmerVerification = require('../models/FarmerVerification');
+const userCache = require('./userCache');
+const imageService = require('./imageService');
+
+const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// an order a farmer sold into, as far as it is theirs: their own sub-orders,
+// without the buyer's details or what other farmers sold in the same order
+function saleFor(order, farmerId) {
+  const { buyer, billing, grandTotal, subOrders, ...rest } = order;
+  return { ...rest, subOrders: subOrders.filter(s => String(s.farmer) === String(farmerId)) };
+}
+
+/**
+ * Everything stored about a user, for GET /api/users/me/export. Orders a
+ * farmer sold into are cut down to their own part (see saleFor).
+ * @param {string} userId
+ * @returns {Promise<object>} one key per collection
+ */
+async function collectUserData(userId) {
+  const user = await User.findById(userId).lean();
+  if (!user) return null;
+
+  const orders = await Order.find({ $or: [{ buyer: userId }, { 'subOrders.farmer': userId }] })
+    .sort('-createdAt')
+    .lean();
+  const orderIds = orders.map(o => o._id);
+  const bought = orders.filter(o => String(o.buyer) === String(userId));
+
+  const [listings, verification, favourites, reports, messages, feedback, transactions, auditLog, sessions] = await Promise.all([
+    ProductListing.find({ farmer: userId }).lean(),
+    FarmerVerification.findOne({ farmer: userId }).lean(),
+    Favourite.find({ user: userId }).lean(),
+    ListingReport.find({ reporter: userId }).lean(),
+    Message.find({ $or: [{ sender: userId }, { order: { $in: orderIds } }] }).sort('createdAt').lean(),
+    Feedback.find({ $or: [{ author: userId }, { order: { $in: orderIds } }] }).lean(),
+    // invoices are for the whole order, so only the buyer's are theirs
+    Transaction.find({ order: { $in: bought.map(o => o._id) } }).lean(),
+    AuditLog.find({ user: userId }).sort('-createdAt').lean(),
+    Session.find({ user: userId }).lean()
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: new User(user).toJSON(),
+    orders: orders.map(o => (bought.includes(o) ? o : saleFor(o, userId))),
+    listings,
+    verification,
+    favourites,
+    reports,
+    messages,
+    feedback,
+    transactions,
+    auditLog,
+    sessions: sessions.map(s => new Session(s).toJSON())
+  };
+}
+
+/**
+ * Start the grace period; the account is anonymised once it ends.
+ * @returns {Promise<Date>} when the deletion will happen
+ */
+async function requestDeletion(userId) {
+  const scheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await User.updateOne(
+    { _id: userId },
+    { $set: { deletionRequestedAt: new Date(), deletionScheduledFor: scheduledFor, lastUpdatedBy: userId } }
+  );
+  return scheduledFor;
+}
+
+async function cancelDeletion(userId) {
+  await User.updateOne(
+    { _id: userId },
+    { $unset: { deletionRequestedAt: 1, deletionScheduledFor: 1 }, $set: { lastUpdatedBy: userId } }
+  );
+}
+
+/**
+ * Strip personal data from a user while keeping the record (and every order,
+ * transaction, message and review pointing at it) intact for the other party.
+ * @param {string} userId
+ * @param {string} [actorId] – who triggered it (defaults to the user)
+ */
+async function anonymiseUser(userId, actorId = userId) {
+  const user = await User.findById(userId);
+  if (!user || user.deletedAt) return user;
+
+  const tag = `deleted-${user._id}`;
+  user.set({
+    firstName: 'Deleted',
+    lastName: 'User',
+    email: `${tag}@deleted.invalid`,
+    phoneNumber: tag,
+    password: crypto.randomBytes(32).toString('hex'),
+    country: 'N/A',
+    city: 'N/A',
+    profileImage: undefined,
+    emailNotification: false,
+    smsNotification: false,
+    emailVerified: false,
+    phoneVerified: false,
+    isActive: false,
+    twoFactorEnabled: false,
+    twoFactorSecret: undefined,
+    twoFactorPendingSecret: undefined,
+    twoFactorRecoveryCodes: undefined,
+    twoFactorLastUsedStep: undefined,
+    twoFactorChallenge: undefined,
+    deletionRequestedAt: undefined,
+    deletionScheduledFor: undefined,
+    deletedAt: new Date(),
+    tokenVersion: (user.tokenVersion || 0) + 1,
+    lastUpdatedBy: actorId
+  });
+  user.clearOTP();
+  await user.save();
+
+  // orders stay for the farmer's books, minus the buyer's contact details
+  await Order.updateMany(
+    { buyer: user._id },
+    { $set: { 'billing.name': 'Deleted User', 'billing.email': null, 'billing.phone': null, 'billing.address': null } }
+  );
+  // a deleted farmer's produce is no longer for sale
+  await ProductListing.updateMany({ farmer: user._id }, { $set: { isActive: false, lastUpdatedBy: actorId } });
+  await Session.deleteMany({ user: user._id });
+  await Favourite.deleteMany({ user: user._id });
+  // KYC details and ID documents are only kept while the account exists
+  const verification = await FarmerVerification.findOneAndDelete({ farmer: user._id }).lean();
+  if (verification) await imageService.removeByUrls(verification.documents.map(d => d.url));
+  // the profile picture is personal data too
+  await imageService.releaseUnused('User', user._id);
+  userCache.invalidate(user._id);
+
+  return user;
+}
+
+/**
+ * Scheduled: anonymise every account whose grace period has run out.
+ * @returns {Promise<number>} how many were processed
+ */
+async function processDueDeletions() {
+  const due = await User.find({ deletionScheduledFor: { $lte: new Date() }, deletedAt: null }).select('_id');
+  for (const u of due) {
+    await anonymiseUser(u._id);
+  }
+  return due.length;
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  collectUserData,
+  requestDeletion,
+  cancelDeletion,
+  anonymiseUser,
+  processDueDeletions
+};
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { hashToken } = require('./tokenService');
+
+const KEY_PREFIX = 'okp_';
+// don't write lastUsedAt on every single request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Mint a new key for a user.
+ * @param {object} opts – { name, user, scopes, expiresAt, createdBy }
+ * @returns {Promise<{ apiKey: object, key: string }>} show `key` once; it is not stored
+ */
+exports.createKey = async ({ name, user, scopes, expiresAt, createdBy }) => {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const apiKey = await ApiKey.create({
+    name,
+    user,
+    scopes,
+    expiresAt,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashToken(key),
+    createdBy,
+    lastUpdatedBy: createdBy
+  });
+  return { apiKey, key };
+};
+
+/**
+ * Look up an active key from the Okuafopa-api-key header and note its use.
+ * @param {string} key
+ * @param {string} [ip]
+ * @returns {Promise<object|null>} the ApiKey, or null if unknown, revoked or expired
+ */
+exports.authenticate = async (key, ip) => {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+  if (!apiKey || !apiKey.isActive) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip } });
+  }
+  return apiKey;
+};
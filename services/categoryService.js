@@ -0,0 +1,247 @@
+const ProductCategory = require('../models/ProductCategory');
+
+const { ATTRIBUTE_TYPES } = ProductCategory;
+
+/**
+ * The category tree. Each category keeps the ids of its ancestors (root
+ * first) and its full path name, so a subtree is one indexed query
+ * ({ ancestors: id }) and nothing has to walk the tree to show a breadcrumb.
+ * Both are derived from `parent` here and never taken from a request.
+ */
+
+const MAX_DEPTH = 5;
+const MAX_ATTRIBUTES = 30;
+const MAX_ENUM_OPTIONS = 50;
+const MAX_TEXT_LENGTH = 200;
+const PATH_SEPARATOR = ' > ';
+// attribute keys end up in query keys (attributes.<key>), so keep them plain
+const ATTRIBUTE_KEY = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+
+const TRUE_WORDS = ['true', 'yes', 'y', '1'];
+const FALSE_WORDS = ['false', 'no', 'n', '0'];
+
+const fullPath = c => c.path || c.categoryName;
+
+/**
+ * A category and everything below it.
+ * @param {string} categoryId
+ * @returns {Promise<ObjectId[]>} empty if the category doesn't exist
+ */
+async function subtreeIds(categoryId) {
+  const docs = await ProductCategory.find({ $or: [{ _id: categoryId }, { ancestors: categoryId }] })
+    .select('_id')
+    .lean();
+  return docs.map(d => d._id);
+}
+
+/**
+ * Where a category goes under `parentId` (null for the top level).
+ * @returns {Promise<{ ancestors: ObjectId[], pathPrefix: string, depth: number }|{ error: string }>}
+ */
+async function placement(parentId) {
+  if (!parentId) return { ancestors: [], pathPrefix: '', depth: 0 };
+  const parent = await ProductCategory.findById(parentId).select('categoryName path ancestors').lean();
+  if (!parent) return { error: 'Parent category not found' };
+  const ancestors = [...(parent.ancestors || []), parent._id];
+  if (ancestors.length >= MAX_DEPTH) {
+    return { error: `Categories can be at most ${MAX_DEPTH} levels deep` };
+  }
+  return { ancestors, pathPrefix: fullPath(parent) + PATH_SEPARATOR, depth: ancestors.length };
+}
+
+/**
+ * After a category is renamed or moved, bring its descendants' ancestors
+ * and paths in line with it.
+ * @param {object} category – the saved category
+ */
+async function refreshDescendants(category) {
+  const descendants = await ProductCategory.find({ ancestors: category._id })
+    .select('categoryName parent ancestors')
+    .lean();
+  if (!descendants.length) return;
+
+  // parents before children, so each one builds on an updated parent
+  descendants.sort((a, b) => a.ancestors.length - b.ancestors.length);
+  const placed = new Map([[String(category._id), { ancestors: category.ancestors, path: fullPath(category), _id: category._id }]]);
+  const ops = [];
+  for (const d of descendants) {
+    const parent = placed.get(String(d.parent));
+    if (!parent) continue;
+    const ancestors = [...parent.ancestors, parent._id];
+    const path = parent.path + PATH_SEPARATOR + d.categoryName;
+    placed.set(String(d._id), { ancestors, path, _id: d._id });
+    ops.push({ updateOne: { filter: { _id: d._id }, update: { $set: { ancestors, path } } } });
+  }
+  if (ops.length) await ProductCategory.bulkWrite(ops);
+}
+
+/**
+ * How many levels sit below a category (0 for a leaf).
+ */
+async function subtreeHeight(category) {
+  const [deepest] = await ProductCategory.aggregate([
+    { $match: { ancestors: category._id } },
+    { $project: { depth: { $size: '$ancestors' } } },
+    { $sort: { depth: -1 } },
+    { $limit: 1 }
+  ]);
+  return deepest ? deepest.depth - (category.ancestors || []).length - 1 : 0;
+}
+
+/**
+ * Check a category's attribute definitions.
+ * @param {Array} attributes
+ * @returns {string|null} error message
+ */
+function attributeSchemaError(attributes) {
+  if (!Array.isArray(attributes)) return 'attributes must be an array';
+  if (attributes.length > MAX_ATTRIBUTES) return `A category can have at most ${MAX_ATTRIBUTES} attributes`;
+  const keys = new Set();
+  for (const a of attributes) {
+    if (!a || typeof a !== 'object') return 'Each attribute must be an object';
+    if (!ATTRIBUTE_KEY.test(a.key || '')) {
+      return 'Attribute keys must start with a letter and contain only letters, digits and _ (max 40)';
+    }
+    if (keys.has(a.key)) return `Attribute ${a.key} is defined twice`;
+    keys.add(a.key);
+    const type = a.type || 'string';
+    if (!ATTRIBUTE_TYPES.includes(type)) return `Attribute ${a.key}: type must be one of ${ATTRIBUTE_TYPES.join(', ')}`;
+    if (type === 'enum') {
+      const options = Array.isArray(a.options) ? a.options.filter(o => String(o).trim()) : [];
+      if (!options.length) return `Attribute ${a.key}: an enum needs options`;
+      if (options.length > MAX_ENUM_OPTIONS) return `Attribute ${a.key}: at most ${MAX_ENUM_OPTIONS} options`;
+    } else if (a.options && a.options.length) {
+      return `Attribute ${a.key}: only enum attributes have options`;
+    }
+  }
+  return null;
+}
+
+/**
+ * The attributes listings in a category take: its own plus those it
+ * inherits, a subcategory's definition of a key replacing its ancestor's.
+ * @param {string} categoryId
+ * @returns {Promise<object[]|null>} definitions, each with `category` (where it
+ *   is defined); null if the category doesn't exist
+ */
+async function effectiveAttributes(categoryId) {
+  const category = await ProductCategory.findById(categoryId).select('ancestors attributes').lean();
+  if (!category) return null;
+  const ancestors = await ProductCategory.find({ _id: { $in: category.ancestors || [] } })
+    .select('attributes')
+    .lean();
+  const byId = new Map(ancestors.map(a => [String(a._id), a]));
+  const chain = [...(category.ancestors || []).map(id => byId.get(String(id))).filter(Boolean), category];
+
+  const merged = new Map();
+  for (const c of chain) {
+    for (const a of c.attributes || []) merged.set(a.key, { ...a, category: c._id });
+  }
+  return [...merged.values()];
+}
+
+function coerce(def, raw) {
+  switch (def.type) {
+    case 'number': {
+      const n = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      return Number.isFinite(n) ? { value: n } : { error: `${def.key} must be a number` };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const w = String(raw).trim().toLowerCase();
+      if (TRUE_WORDS.includes(w)) return { value: true };
+      if (FALSE_WORDS.includes(w)) return { value: false };
+      return { error: `${def.key} must be true or false` };
+    }
+    case 'enum': {
+      const match = (def.options || []).find(o => o.toLowerCase() === String(raw).trim().toLowerCase());
+      return match ? { value: match } : { error: `${def.key} must be one of: ${def.options.join(', ')}` };
+    }
+    default: {
+      if (typeof raw === 'object') return { error: `${def.key} must be text` };
+      const s = String(raw).trim();
+      return s.length > MAX_TEXT_LENGTH ? { error: `${def.key} must be at most ${MAX_TEXT_LENGTH} characters` } : { value: s };
+    }
+  }
+}
+
+/**
+ * Check a listing's attribute values against its category's definitions,
+ * converting them to the defined types ("12" → 12, "yes" → true).
+ * @param {object} values – key → value; null or '' leaves an attribute out
+ * @param {object[]} definitions – from effectiveAttributes
+ * @returns {{ values: object }|{ error: string }}
+ */
+function checkAttributeValues(values, definitions) {
+  if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+    return { error: 'attributes must be an object' };
+  }
+  const defs = new Map(definitions.map(d => [d.key, d]));
+  const result = {};
+  for (const [key, raw] of Object.entries(values || {})) {
+    const def = defs.get(key);
+    if (!def) {
+      return {
+        error: `Unknown attribute ${key} for this category` +
+          (defs.size ? ` (allowed: ${[...defs.keys()].join(', ')})` : '')
+      };
+    }
+    if (raw === null || raw === undefined || raw === '') continue;
+    const { value, error } = coerce(def, raw);
+    if (error) return { error };
+    result[key] = value;
+  }
+  const missing = definitions.filter(d => d.required && result[d.key] === undefined);
+  if (missing.length) return { error: `Missing required attributes: ${missing.map(d => d.key).join(', ')}` };
+  return { values: result };
+}
+
+/**
+ * Validate a listing's attributes for the category of its product item.
+ * @param {string} categoryId
+ * @param {object} values
+ * @returns {Promise<{ values: object }|{ error: string }>}
+ */
+async function listingAttributes(categoryId, values) {
+  const definitions = await effectiveAttributes(categoryId);
+  return checkAttributeValues(values, definitions || []);
+}
+
+/**
+ * Nest a flat list of categories, children sorted by name.
+ * @param {object[]} categories – lean documents
+ * @param {string|null} [rootId] – only the part below this category
+ * @returns {object[]} each category with `children`
+ */
+function buildTree(categories, rootId = null) {
+  const nodes = new Map(categories.map(c => [String(c._id), { ...c, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(String(node.parent));
+    if (parent) parent.children.push(node);
+    // a parent outside the list (or a legacy category without one) makes it a root
+    else roots.push(node);
+  }
+  const byName = (a, b) => a.categoryName.localeCompare(b.categoryName);
+  for (const node of nodes.values()) node.children.sort(byName);
+  if (rootId) {
+    const root = nodes.get(String(rootId));
+    return root ? [root] : [];
+  }
+  return roots.sort(byName);
+}
+
+module.exports = {
+  MAX_DEPTH,
+  PATH_SEPARATOR,
+  ATTRIBUTE_KEY,
+  subtreeIds,
+  placement,
+  refreshDescendants,
+  subtreeHeight,
+  attributeSchemaError,
+  effectiveAttributes,
+  checkAttributeValues,
+  listingAttributes,
+  buildTree
+};
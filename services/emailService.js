@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { unitName } = require('../utils/units');
 
 const transporter = nodemailer.createTransport({
   host: 'smtp.gmail.com',
@@ -55,8 +56,9 @@ exports.sendOTP = async (to, otp, emailPurpose) => {
 /**
  * Send a product-related notification email.
  *
- * @param {'created'|'updated'|'deleted'} type
- * @param {object} product     – populated Product document
+ * @param {'created'|'updated'|'deleted'|'expiring'|'expired'|'lowStock'|'outOfStock'|'restocked'|'underReview'|'approved'|'rejected'|'takenDown'|'scheduled'|'published'|'archived'|'nowLive'} type
+ * @param {object} product     – populated Product document (moderation types show
+ *   its moderationFlags or moderationNote)
  * @param {object} recipient   – { email, firstName, lastName }
  */
 exports.sendProductListingNotification = async (type, product, recipient) => {
@@ -71,7 +73,11 @@ exports.sendProductListingNotification = async (type, product, recipient) => {
   } = product;
 
   const fullName = `${recipient.firstName} ${recipient.lastName}`;
-  let subject, intro;
+  const unit = unitName(product);
+  const tiers = (product.priceTiers || [])
+    .map(t => `\$${Number(t.price).toFixed(2)} from ${t.minQty || 1} ${unit}${t.buyerGroup ? ` (${t.buyerGroup}s)` : ''}`)
+    .join('<br>');
+  let subject, intro, reasons;
 
   switch (type) {
     case 'created':
@@ -86,6 +92,61 @@ exports.sendProductListingNotification = async (type, product, recipient) => {
       subject = `Your product "${title}" has been removed`;
       intro = 'Your product listing was deleted from the marketplace.';
       break;
+    case 'expiring':
+      subject = `Your product "${title}" expires soon`;
+      intro = 'This listing reaches its best-before date soon and will then be taken off the marketplace. Update its harvest date or shelf life if you have fresh stock.';
+      break;
+    case 'expired':
+      subject = `Your product "${title}" has expired`;
+      intro = 'This listing passed its best-before date and is no longer shown to buyers. Update its harvest date or shelf life and reactivate it to sell again.';
+      break;
+    case 'lowStock':
+      subject = `Your product "${title}" is running low`;
+      intro = `Only ${quantity} ${unit} left, at or below the low-stock level of ${product.lowStockThreshold} you set. Restock it to keep selling.`;
+      break;
+    case 'outOfStock':
+      subject = `Your product "${title}" is sold out`;
+      intro = 'This listing has no stock left and is hidden from buyers until you restock it.';
+      break;
+    case 'restocked':
+      subject = `"${title}" is back in stock`;
+      intro = 'A product on your favourites list is available again.';
+      break;
+    case 'underReview':
+      subject = `Your product "${title}" is being reviewed`;
+      intro = 'This listing is hidden from buyers until our team has checked it. We will email you once it has been reviewed.';
+      reasons = (product.moderationFlags || []).map(f => f.detail || f.kind).join('<br>');
+      break;
+    case 'approved':
+      subject = `Your product "${title}" is now live!`;
+      intro = 'Our team has reviewed this listing and buyers can see it again.';
+      break;
+    case 'rejected':
+      subject = `Your product "${title}" was not approved`;
+      intro = 'Our team could not approve this listing. Edit it to address the reason below and it will be reviewed again.';
+      reasons = product.moderationNote;
+      break;
+    case 'takenDown':
+      subject = `Your product "${title}" has been taken down`;
+      intro = 'Our team has removed this listing from the marketplace for the reason below. Contact support if you think this is a mistake.';
+      reasons = product.moderationNote;
+      break;
+    case 'scheduled':
+      subject = `Your product "${title}" is scheduled`;
+      intro = `This listing will go live on ${new Date(product.publishAt).toLocaleString()}. Until then only you can see it.`;
+      break;
+    case 'published':
+      subject = `Your product "${title}" is now live!`;
+      intro = 'Your scheduled listing has been published and buyers can see it now.';
+      break;
+    case 'archived':
+      subject = `Your product "${title}" is off the market`;
+      intro = 'This listing reached the end date you set and has been archived. Publish it again whenever you have stock to sell.';
+      break;
+    case 'nowLive':
+      subject = `"${title}" is now available`;
+      intro = 'A product on your favourites list has just gone on sale.';
+      break;
     default:
       subject = `Notification about your product "${title}"`;
       intro = '';
@@ -96,6 +157,7 @@ exports.sendProductListingNotification = async (type, product, recipient) => {
       <h2 style="color:#2c3e50;">${subject}</h2>
       <p>Hi ${fullName},</p>
       <p>${intro}</p>
+      ${reasons ? `<blockquote>${reasons}</blockquote>` : ''}
       <table style="width:100%; border-collapse:collapse; margin-top:20px;">
         <tr>
           <td style="padding:8px; border:1px solid #ddd;"><strong>Title</strong></td>
@@ -111,12 +173,24 @@ exports.sendProductListingNotification = async (type, product, recipient) => {
         </tr>
         <tr>
           <td style="padding:8px; border:1px solid #ddd;"><strong>Price</strong></td>
-          <td style="padding:8px; border:1px solid #ddd;">\$${price.toFixed(2)}</td>
+          <td style="padding:8px; border:1px solid #ddd;">\$${price.toFixed(2)} per ${unit}</td>
         </tr>
+        ${tiers ? `<tr>
+          <td style="padding:8px; border:1px solid #ddd;"><strong>Bulk Prices</strong></td>
+          <td style="padding:8px; border:1px solid #ddd;">${tiers}</td>
+        </tr>` : ''}
         <tr>
           <td style="padding:8px; border:1px solid #ddd;"><strong>Quantity</strong></td>
-          <td style="padding:8px; border:1px solid #ddd;">${quantity}</td>
+          <td style="padding:8px; border:1px solid #ddd;">${quantity} ${unit}</td>
         </tr>
+        <tr>
+          <td style="padding:8px; border:1px solid #ddd;"><strong>Minimum Order</strong></td>
+          <td style="padding:8px; border:1px solid #ddd;">${product.minOrderQty || 1} ${unit}, then in steps of ${product.orderIncrement || 1}</td>
+        </tr>
+        ${product.bestBefore ? `<tr>
+          <td style="padding:8px; border:1px solid #ddd;"><strong>Best Before</strong></td>
+          <td style="padding:8px; border:1px solid #ddd;">${new Date(product.bestBefore).toLocaleString()}</td>
+        </tr>` : ''}
         <tr>
           <td style="padding:8px; border:1px solid #ddd;"><strong>Last Updated</strong></td>
           <td style="padding:8px; border:1px solid #ddd;">${new Date(updatedAt).toLocaleString()}</td>
@@ -176,6 +250,8 @@ exports.sendOrderNotification = async (type, order, recipient) => {
   const rowsHtml = allItems.map(it => {
     const title = it?.product?.title || "Unnamed product";
     const qty = typeof it?.qty === "number" ? it.qty : 0;
+    // unit as snapshotted on the order, else the listing's current one
+    const unit = it?.unit || (it?.product && typeof it.product === 'object' ? unitName(it.product) : '');
 
     // Safely resolve unit price
     const unitPrice = typeof it?.priceAtOrder === "number"
@@ -187,8 +263,8 @@ exports.sendOrderNotification = async (type, order, recipient) => {
     return `
       <tr>
         <td style="padding:8px; border:1px solid #ddd;">${title}</td>
-        <td style="padding:8px; border:1px solid #ddd; text-align:right;">${qty}</td>
-        <td style="padding:8px; border:1px solid #ddd; text-align:right;">\$${unitPrice.toFixed(2)}</td>
+        <td style="padding:8px; border:1px solid #ddd; text-align:right;">${qty} ${unit}</td>
+        <td style="padding:8px; border:1px solid #ddd; text-align:right;">\$${unitPrice.toFixed(2)}${unit ? ` / ${unit}` : ''}</td>
         <td style="padding:8px; border:1px solid #ddd; text-align:right;">\$${lineTotal.toFixed(2)}</td>
       </tr>
     `;
@@ -336,3 +412,37 @@ exports.sendFeedbackResponseNotification = async (feedback, buyer) => {
   `;
   await transporter.sendMail({ from: SMTP_FROM, to: buyer.email, subject, html });
 };
+
+/**
+ * Tell a farmer how their verification (KYC) review went.
+ * @param {'approved'|'rejected'|'more_info_required'} status
+ * @param {object} verification – FarmerVerification doc (reviewNotes is shown)
+ * @param {object} farmer       – { email, firstName, lastName }
+ */
+exports.sendFarmerVerificationNotification = async (status, verification, farmer) => {
+  const fullName = `${farmer.firstName} ${farmer.lastName}`;
+  let subject, intro;
+  switch (status) {
+    case 'approved':
+      subject = `You're now a verified farmer on ${platformName}`;
+      intro = 'Your farm details and documents have been approved. Buyers will now see the verified farmer badge on your listings.';
+      break;
+    case 'rejected':
+      subject = `Your ${platformName} farmer verification was not approved`;
+      intro = 'We could not approve your verification request.';
+      break;
+    case 'more_info_required':
+      subject = `We need more information to verify your farm`;
+      intro = 'Please update your verification request with the details below.';
+      break;
+    default:
+      return;
+  }
+  const html = `
+    <p>Hi ${fullName},</p>
+    <p>${intro}</p>
+    ${verification.reviewNotes ? `<blockquote>${verification.reviewNotes}</blockquote>` : ''}
+    <p><a href="https://your‑frontend.com/account/verification">View your verification</a></p>
+  `;
+  await transporter.sendMail({ from: SMTP_FROM, to: farmer.email, subject, html });
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const Upload = require('../models/Upload');
+const ProductListing = require('../models/ProductListing');
+const User = require('../models/User');
+const storage = require('./storageService');
+
+// formats we accept, by what sharp detects in the file (not what the client claims)
+const FORMATS = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+const ALLOWED_MIME_TYPES = Object.values(FORMATS);
+
+// stored images are scaled down to fit this box; thumbnails to the smaller one
+const MAX_DIMENSION = 1600;
+const THUMBNAIL_DIMENSION = 320;
+
+// uploads whose document stopped referencing them are kept this long, so a
+// request still in flight doesn't lose its file
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Re-encode an uploaded image: orientation applied, scaled down, and all
+ * metadata (EXIF, GPS, camera details) dropped, plus a thumbnail.
+ * @param {Buffer} buffer
+ * @returns {Promise<object|null>} null if it isn't a JPEG, PNG or WebP image
+ */
+async function processImage(buffer) {
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch (e) {
+    return null;
+  }
+  if (!FORMATS[meta.format]) return null;
+
+  // rotate() bakes the EXIF orientation into the pixels; sharp writes no
+  // metadata unless asked to, so the output carries none
+  const source = sharp(buffer).rotate();
+  const fit = size => ({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+  try {
+    const [image, thumbnail] = await Promise.all([
+      source.clone().resize(fit(MAX_DIMENSION)).toFormat(meta.format).toBuffer({ resolveWithObject: true }),
+      source.clone().resize(fit(THUMBNAIL_DIMENSION)).toFormat(meta.format).toBuffer()
+    ]);
+    return {
+      format: meta.format,
+      contentType: FORMATS[meta.format],
+      image: image.data,
+      width: image.info.width,
+      height: image.info.height,
+      thumbnail
+    };
+  } catch (e) {
+    // truncated or corrupt file that only failed once decoded
+    return null;
+  }
+}
+
+/**
+ * Process and store an uploaded image for a listing or user.
+ * @param {object} file      – multer file ({ buffer })
+ * @param {object} opts
+ * @param {string} opts.owner – uploading user's ID
+ * @param {'ProductListing'|'User'} opts.kind
+ * @param {string} opts.id    – the listing or user it belongs to
+ * @returns {Promise<object|null>} the Upload, or null if the file isn't a supported image
+ */
+async function storeImage(file, { owner, kind, id }) {
+  const processed = await processImage(file.buffer);
+  if (!processed) return null;
+
+  const folder = kind === 'User' ? 'users' : 'listings';
+  const name = `${folder}/${id}/${crypto.randomBytes(12).toString('hex')}`;
+  const key = `${name}.${processed.format}`;
+  const thumbnailKey = `${name}-thumb.${processed.format}`;
+
+  const [url, thumbnailUrl] = await Promise.all([
+    storage.put(key, processed.image, processed.contentType),
+    storage.put(thumbnailKey, processed.thumbnail, processed.contentType)
+  ]);
+
+  return Upload.create({
+    owner,
+    attachedTo: { kind, id },
+    key,
+    thumbnailKey,
+    url,
+    thumbnailUrl,
+    contentType: processed.contentType,
+    size: processed.image.length,
+    width: processed.width,
+    height: processed.height
+  });
+}
+
+async function removeUpload(upload) {
+  await Promise.all([storage.remove(upload.key), storage.remove(upload.thumbnailKey)]);
+  await Upload.deleteOne({ _id: upload._id });
+}
+
+/**
+ * Delete uploads that were stored but will not be attached after all
+ * (e.g. the rest of a batch failed).
+ * @param {object[]} uploads
+ */
+async function discardUploads(uploads) {
+  for (const upload of uploads) await removeUpload(upload);
+}
+
+/**
+ * Delete the files of a listing or user that it no longer uses.
+ * Never throws: a leftover file is picked up by cleanupOrphanedUploads.
+ * @param {'ProductListing'|'User'} kind
+ * @param {string} id
+ * @param {string[]} [keepUrls] – URLs still in use (none when the document is gone)
+ * @returns {Promise<number>} how many uploads were removed
+ */
+async function releaseUnused(kind, id, keepUrls = []) {
+  try {
+    const unused = await Upload.find({ 'attachedTo.kind': kind, 'attachedTo.id': id, url: { $nin: keepUrls } }).lean();
+    for (const upload of unused) await removeUpload(upload);
+    return unused.length;
+  } catch (e) {
+    console.error(`Releasing uploads of ${kind} ${id} failed`, e);
+    return 0;
+  }
+}
+
+/**
+ * Delete the stored files behind some URLs, e.g. the ID documents of a
+ * deleted farmer's verification request. URLs that aren't our uploads are
+ * skipped. Never throws, like releaseUnused.
+ * @param {string[]} urls
+ * @returns {Promise<number>} how many uploads were removed
+ */
+async function removeByUrls(urls) {
+  try {
+    const uploads = await Upload.find({ url: { $in: urls } }).lean();
+    for (const upload of uploads) await removeUpload(upload);
+    return uploads.length;
+  } catch (e) {
+    console.error('Removing uploads by URL failed', e);
+    return 0;
+  }
+}
+
+async function stillReferenced(upload) {
+  const { kind, id } = upload.attachedTo;
+  if (kind === 'ProductListing') return ProductListing.exists({ _id: id, images: upload.url });
+  return User.exists({ _id: id, profileImage: upload.url });
+}
+
+/**
+ * Scheduled: delete uploads that their listing or user no longer references
+ * (failed requests, images edited out of a listing, deleted listings…).
+ * @returns {Promise<number>} how many were removed
+ */
+async function cleanupOrphanedUploads() {
+  const cursor = Upload.find({ updatedAt: { $lt: new Date(Date.now() - ORPHAN_GRACE_MS) } }).lean().cursor();
+  let removed = 0;
+  for await (const upload of cursor) {
+    if (await stillReferenced(upload)) continue;
+    await removeUpload(upload);
+    removed += 1;
+  }
+  return removed;
+}
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  processImage,
+  storeImage,
+  discardUploads,
+  releaseUnused,
+  removeByUrls,
+  cleanupOrphanedUploads
+};
@@ -0,0 +1,146 @@
+const ProductListing = require('../models/ProductListing');
+const StockMovement = require('../models/StockMovement');
+const stockAlertService = require('./stockAlertService');
+
+/**
+ * The only place a listing's quantity changes. Every change is one atomic
+ * update of the listing plus a StockMovement carrying the resulting balance,
+ * written in the caller's transaction when one is passed. Low-stock and
+ * back-in-stock alerts go out straight away, except inside a transaction:
+ * then the caller passes the results to stockAlertService.stockChanged
+ * after committing.
+ */
+
+// retries when the stock moves between reading it and setting it
+const MAX_SET_ATTEMPTS = 5;
+
+/**
+ * Move stock up or down.
+ * @param {object} opts
+ * @param {string} opts.listing  – listing ID
+ * @param {string} opts.type     – one of StockMovement.MOVEMENT_TYPES
+ * @param {number} opts.quantity – signed change
+ * @param {string} [opts.order]
+ * @param {string} [opts.note]
+ * @param {string} [opts.actor]  – who caused it
+ * @param {object} [opts.inc]    – other counters to bump with it (e.g. salesCount);
+ *   they stop at zero, as listings from before a counter was kept have
+ *   nothing to take back
+ * @param {object} [opts.session]
+ * @returns {Promise<object|null>} the updated listing, or null if it is gone or
+ *   would go below zero
+ */
+async function move({ listing, type, quantity, order, note, actor, inc = {}, session }) {
+  const guard = quantity < 0 ? { quantity: { $gte: -quantity } } : {};
+  const set = { quantity: { $add: ['$quantity', quantity] } };
+  for (const [field, by] of Object.entries(inc)) {
+    set[field] = { $max: [0, { $add: [{ $ifNull: [`$${field}`, 0] }, by] }] };
+  }
+  const updated = await ProductListing.findOneAndUpdate(
+    { _id: listing, ...guard },
+    [{ $set: set }],
+    { new: true, session }
+  );
+  if (!updated) return null;
+
+  await StockMovement.create([{
+    listing: updated._id,
+    farmer: updated.farmer,
+    type,
+    quantity,
+    balance: updated.quantity,
+    order,
+    note,
+    createdBy: actor
+  }], { session });
+  if (!session) await stockAlertService.stockChanged(updated, quantity);
+  return updated;
+}
+
+/**
+ * Bring stock to an absolute level (a stock count, or a form that edits the
+ * number), recorded as the difference.
+ * @param {object} opts
+ * @param {string} opts.listing
+ * @param {number} opts.quantity – the new level
+ * @param {string} [opts.type]   – defaults to 'adjustment'
+ * @param {string} [opts.note]
+ * @param {string} [opts.actor]
+ * @returns {Promise<object|null>} the updated listing, or null if it is gone
+ */
+async function setLevel({ listing, quantity, type = 'adjustment', note, actor }) {
+  for (let attempt = 0; attempt < MAX_SET_ATTEMPTS; attempt++) {
+    const current = await ProductListing.findById(listing).select('quantity farmer');
+    if (!current) return null;
+    const delta = quantity - current.quantity;
+    if (delta === 0) return current;
+
+    // only applies if nothing sold in between; otherwise read again
+    const updated = await ProductListing.findOneAndUpdate(
+      { _id: listing, quantity: current.quantity },
+      { $inc: { quantity: delta } },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    await StockMovement.create({
+      listing: updated._id,
+      farmer: updated.farmer,
+      type,
+      quantity: delta,
+      balance: updated.quantity,
+      note,
+      createdBy: actor
+    });
+    await stockAlertService.stockChanged(updated, delta);
+    return updated;
+  }
+  throw new Error(`Stock of listing ${listing} kept changing; could not set it to ${quantity}`);
+}
+
+/**
+ * Open the ledger of a listing that was created with stock.
+ * @param {object} listing – the new listing document
+ * @param {string} [actor]
+ * @param {string} [note]
+ */
+async function recordOpeningStock(listing, actor, note = 'Opening stock') {
+  if (!listing.quantity) return;
+  await StockMovement.create({
+    listing: listing._id,
+    farmer: listing.farmer._id || listing.farmer,
+    type: 'restock',
+    quantity: listing.quantity,
+    balance: listing.quantity,
+    note,
+    createdBy: actor
+  });
+}
+
+/**
+ * A listing's movements, newest first.
+ * @param {string} listingId
+ * @param {object} [opts] – { type, from, to, page, limit }
+ * @returns {Promise<{ items: object[], total: number }>}
+ */
+async function history(listingId, { type, from, to, page = 1, limit = 50 } = {}) {
+  const filter = { listing: listingId };
+  if (type) filter.type = type;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+  const [items, total] = await Promise.all([
+    StockMovement.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('createdBy', 'firstName lastName role')
+      .lean(),
+    StockMovement.countDocuments(filter)
+  ]);
+  return { items, total };
+}
+
+module.exports = { move, setLevel, recordOpeningStock, history };
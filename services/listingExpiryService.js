@@ -0,0 +1,110 @@
+const ProductListing = require('../models/ProductListing');
+const notificationService = require('./emailService');
+const socketService = require('./socket');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// how long before a listing's best-before date its farmer is warned
+const EXPIRY_WARNING_MS = (Number(process.env.LISTING_EXPIRY_WARNING_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * A listing's best-before date: the one given, else harvest date plus shelf life.
+ * @param {object} listing – { harvestDate, shelfLifeDays, bestBefore }
+ * @returns {Date|undefined}
+ */
+function bestBeforeFor({ harvestDate, shelfLifeDays, bestBefore }) {
+  if (bestBefore) return new Date(bestBefore);
+  if (harvestDate && shelfLifeDays !== undefined && shelfLifeDays !== null) {
+    return new Date(new Date(harvestDate).getTime() + Number(shelfLifeDays) * DAY_MS);
+  }
+  return undefined;
+}
+
+/**
+ * Check harvestDate, shelfLifeDays and bestBefore as they will be after
+ * applying `body` to `current` (empty on create).
+ * @returns {string|null} error message
+ */
+function freshnessFieldsError(body, current = {}) {
+  const merged = { ...current, ...body };
+  const { harvestDate, shelfLifeDays, bestBefore } = merged;
+  if (harvestDate !== undefined && harvestDate !== null) {
+    const d = new Date(harvestDate);
+    if (isNaN(d)) return 'harvestDate must be a date';
+    if (d.getTime() > Date.now()) return 'harvestDate cannot be in the future';
+  }
+  if (shelfLifeDays !== undefined && shelfLifeDays !== null && !(Number(shelfLifeDays) >= 0)) {
+    return 'shelfLifeDays must be >= 0';
+  }
+  if (bestBefore !== undefined && bestBefore !== null) {
+    const d = new Date(bestBefore);
+    if (isNaN(d)) return 'bestBefore must be a date';
+    if (harvestDate && d < new Date(harvestDate)) return 'bestBefore cannot be before harvestDate';
+  }
+  return null;
+}
+
+function emitToFarmer(listing, event) {
+  try {
+    const farmerId = listing.farmer && (listing.farmer._id || listing.farmer);
+    socketService.getIo().to(`farmer:${String(farmerId)}`).emit(event, {
+      listingId: listing._id,
+      productName: listing.productItem && listing.productItem.productName,
+      bestBefore: listing.bestBefore
+    });
+  } catch (e) {
+    // no socket server (e.g. a worker without HTTP); email still goes out
+  }
+}
+
+async function notifyFarmer(type, listing) {
+  emitToFarmer(listing, `listing:${type}`);
+  if (!listing.farmer || listing.farmer.emailNotification === false) return;
+  try {
+    await notificationService.sendProductListingNotification(
+      type,
+      { ...listing, title: listing.productItem && listing.productItem.productName },
+      listing.farmer
+    );
+  } catch (e) {
+    console.error(`Listing ${type} notification failed`, e);
+  }
+}
+
+const populateForNotice = query =>
+  query
+    .populate('productItem', 'productName')
+    .populate('farmer', 'firstName lastName email emailNotification')
+    .lean();
+
+/**
+ * Scheduled: warn farmers about listings that expire soon, then take
+ * expired listings off the market.
+ * @returns {Promise<{ warned: number, expired: number }>}
+ */
+async function processListingExpiry() {
+  const now = new Date();
+
+  const expiring = await populateForNotice(ProductListing.find({
+    isActive: true,
+    expiryWarnedAt: null,
+    bestBefore: { $gt: now, $lte: new Date(now.getTime() + EXPIRY_WARNING_MS) }
+  }));
+  for (const listing of expiring) {
+    // mark first, so a failing mail server doesn't mean a warning every run
+    await ProductListing.updateOne({ _id: listing._id }, { $set: { expiryWarnedAt: now } });
+    await notifyFarmer('expiring', listing);
+  }
+
+  const expired = await populateForNotice(ProductListing.find({ isActive: true, bestBefore: { $lte: now } }));
+  for (const listing of expired) {
+    const res = await ProductListing.updateOne(
+      { _id: listing._id, isActive: true },
+      { $set: { isActive: false, expiredAt: now } }
+    );
+    if (res.modifiedCount) await notifyFarmer('expired', listing);
+  }
+
+  return { warned: expiring.length, expired: expired.length };
+}
+
+module.exports = { bestBeforeFor, freshnessFieldsError, processListingExpiry };
@@ -0,0 +1,204 @@
+const ProductListing = require('../models/ProductListing');
+const Favourite = require('../models/Favourite');
+const notificationService = require('./emailService');
+const socketService = require('./socket');
+const { isListed } = require('./moderationService');
+
+const { LISTING_STATUSES } = ProductListing;
+
+/**
+ * A listing's lifecycle. A draft is being prepared; a scheduled listing goes
+ * live at publishAt; a published one is on the market, until unpublishAt if
+ * that is set; an archived one is off it until the farmer publishes it
+ * again. The listing-schedule job moves listings along and, when one goes
+ * live, tells its farmer and the users following it (its favourites).
+ */
+
+// statuses buyers see; null is a listing from before the lifecycle
+const LIVE_STATUSES = ['published', null];
+
+const isPublished = listing => LIVE_STATUSES.includes(listing.status || null);
+
+const isDate = v => v === undefined || v === null || !isNaN(new Date(v));
+
+/**
+ * Work out status, publishAt and unpublishAt after applying `body` to
+ * `current` (null on create). Without a status, a future publishAt schedules
+ * a new listing or a draft.
+ * @param {object} body
+ * @param {object|null} current
+ * @returns {{ values: object, wentLive: boolean }|{ error: string }}
+ *   values holds the fields to set; wentLive is true when an existing
+ *   listing is published by this change
+ */
+function scheduleUpdate(body, current) {
+  const { status, publishAt, unpublishAt } = body;
+  if (status !== undefined && !LISTING_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${LISTING_STATUSES.join(', ')}` };
+  }
+  if (!isDate(publishAt)) return { error: 'publishAt must be a date' };
+  if (!isDate(unpublishAt)) return { error: 'unpublishAt must be a date' };
+
+  const now = new Date();
+  const before = current ? current.status || 'published' : null;
+  const merged = { ...current, ...body };
+  let next = status || before || 'published';
+  if (!status && publishAt && new Date(publishAt) > now && [null, 'draft', 'scheduled'].includes(before)) {
+    next = 'scheduled';
+  }
+  if (!current && next === 'archived') return { error: 'A new listing cannot be archived' };
+
+  if (next === 'scheduled' && (status !== undefined || publishAt !== undefined)) {
+    if (!merged.publishAt) return { error: 'A scheduled listing needs publishAt' };
+    if (new Date(merged.publishAt) <= now) return { error: 'publishAt must be in the future' };
+  }
+  if (merged.unpublishAt && (unpublishAt !== undefined || next !== before)) {
+    const from = next === 'scheduled' ? new Date(merged.publishAt) : now;
+    if (['scheduled', 'published'].includes(next) && new Date(merged.unpublishAt) <= from) {
+      return { error: next === 'scheduled' ? 'unpublishAt must be after publishAt' : 'unpublishAt must be in the future' };
+    }
+  }
+
+  const values = {};
+  if (next !== before) values.status = next;
+  if (publishAt !== undefined) values.publishAt = publishAt ? new Date(publishAt) : null;
+  if (unpublishAt !== undefined) values.unpublishAt = unpublishAt ? new Date(unpublishAt) : null;
+  if (next === 'published' && next !== before) Object.assign(values, { publishedAt: now, archivedAt: null });
+  if (next === 'archived' && next !== before) values.archivedAt = now;
+
+  return { values, wentLive: !!current && next === 'published' && before !== 'published' };
+}
+
+function emit(room, event, payload) {
+  try {
+    socketService.getIo().to(room).emit(event, payload);
+  } catch (e) {
+    // no socket server (e.g. a worker without HTTP); email still goes out
+  }
+}
+
+const loadForNotice = listingId =>
+  ProductListing.findById(listingId)
+    .populate({ path: 'productItem', select: 'productName category', populate: { path: 'category', select: 'categoryName' } })
+    .populate('farmer', 'firstName lastName email emailNotification')
+    .lean();
+
+// the e-mail template reads the product's name and category from these
+const forEmail = listing => ({
+  ...listing,
+  title: listing.productItem && listing.productItem.productName,
+  category: listing.productItem && listing.productItem.category && listing.productItem.category.categoryName
+});
+
+/**
+ * Tell a farmer their listing is scheduled, went live or came off the
+ * market: a listing:<type> socket event and an email.
+ * @param {'scheduled'|'published'|'archived'} type
+ * @param {string} listingId
+ */
+async function notifyFarmer(type, listingId) {
+  const listing = await loadForNotice(listingId);
+  if (!listing || !listing.farmer) return;
+
+  emit(`farmer:${listing.farmer._id}`, `listing:${type}`, {
+    listingId: listing._id,
+    productName: listing.productItem && listing.productItem.productName,
+    status: listing.status,
+    publishAt: listing.publishAt,
+    unpublishAt: listing.unpublishAt
+  });
+  if (listing.farmer.emailNotification === false) return;
+  try {
+    await notificationService.sendProductListingNotification(type, forEmail(listing), listing.farmer);
+  } catch (e) {
+    console.error(`Listing ${type} notification failed`, e);
+  }
+}
+
+/**
+ * Tell the users following a listing that it has gone live, if buyers can
+ * actually see it. Never throws: the listing is live either way.
+ * @param {string} listingId
+ */
+async function notifyFollowers(listingId) {
+  try {
+    const listing = await loadForNotice(listingId);
+    if (!listing || !listing.isActive || !isPublished(listing) || !isListed(listing)) return;
+    if (listing.bestBefore && new Date(listing.bestBefore) < new Date()) return;
+
+    const favourites = await Favourite.find({ listing: listing._id })
+      .populate('user', 'firstName lastName email emailNotification')
+      .lean();
+    const product = forEmail(listing);
+    for (const { user } of favourites) {
+      if (!user) continue;
+      emit(`buyer:${user._id}`, 'listing:published', {
+        listingId: listing._id,
+        productName: product.title,
+        quantity: listing.quantity,
+        price: listing.price
+      });
+      if (user.emailNotification === false) continue;
+      try {
+        await notificationService.sendProductListingNotification('nowLive', product, user);
+      } catch (e) {
+        console.error('Listing live notification failed', e);
+      }
+    }
+  } catch (e) {
+    console.error(`Notifying followers of listing ${listingId} failed`, e);
+  }
+}
+
+/**
+ * Scheduled: publish scheduled listings whose publishAt has come, then
+ * archive live ones whose unpublishAt has passed.
+ * @returns {Promise<{ published: number, archived: number }>}
+ */
+async function processListingSchedule() {
+  const now = new Date();
+  let published = 0;
+  let archived = 0;
+
+  // one whose unpublishAt has passed as well goes straight to the archive below
+  const due = await ProductListing.find({
+    status: 'scheduled',
+    publishAt: { $lte: now },
+    unpublishAt: { $not: { $lte: now } }
+  }).select('_id').lean();
+  for (const { _id } of due) {
+    const res = await ProductListing.updateOne(
+      { _id, status: 'scheduled' },
+      { $set: { status: 'published', publishedAt: now, archivedAt: null } }
+    );
+    if (!res.modifiedCount) continue;
+    published++;
+    await notifyFarmer('published', _id);
+    await notifyFollowers(_id);
+  }
+
+  const ending = await ProductListing.find({
+    status: { $in: ['scheduled', ...LIVE_STATUSES] },
+    unpublishAt: { $lte: now }
+  }).select('_id').lean();
+  for (const { _id } of ending) {
+    const res = await ProductListing.updateOne(
+      { _id, status: { $in: ['scheduled', ...LIVE_STATUSES] } },
+      { $set: { status: 'archived', archivedAt: now } }
+    );
+    if (!res.modifiedCount) continue;
+    archived++;
+    await notifyFarmer('archived', _id);
+  }
+
+  return { published, archived };
+}
+
+module.exports = {
+  LIVE_STATUSES,
+  isPublished,
+  scheduleUpdate,
+  notifyFarmer,
+  notifyFollowers,
+  processListingSchedule
+};
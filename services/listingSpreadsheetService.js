@@ -0,0 +1,399 @@
+const ExcelJS = require('exceljs');
+const ProductListing = require('../models/ProductListing');
+const ProductItem = require('../models/ProductItem');
+const User = require('../models/User');
+const csv = require('../utils/csv');
+const { unitFieldsError } = require('../utils/units');
+const { priceTiersError } = require('../utils/pricing');
+const { normalize } = require('./searchService');
+const { bestBeforeFor, freshnessFieldsError } = require('./listingExpiryService');
+const inventoryService = require('./inventoryService');
+const categoryService = require('./categoryService');
+const moderationService = require('./moderationService');
+const listingScheduleService = require('./listingScheduleService');
+
+/**
+ * Bulk import and export of a farmer's listings as CSV or XLSX. Both use the
+ * same columns, so an export can be edited and imported back: rows with a
+ * sku that matches one of the farmer's listings update it, the rest create
+ * new listings.
+ */
+
+const MAX_ROWS = 2000;
+
+// column → how to read it; `field` is the ProductListing path it fills
+const COLUMNS = [
+  { name: 'sku', field: 'externalSku', type: 'string' },
+  { name: 'product', type: 'string' },
+  { name: 'category', type: 'string' },
+  { name: 'description', field: 'description', type: 'string' },
+  { name: 'price', field: 'price', type: 'number' },
+  { name: 'quantity', field: 'quantity', type: 'number' },
+  { name: 'lowStockThreshold', field: 'lowStockThreshold', type: 'number' },
+  { name: 'unit', field: 'unit', type: 'string' },
+  { name: 'unitLabel', field: 'unitLabel', type: 'string' },
+  { name: 'conversionUnit', field: 'unitConversion.unit', type: 'string' },
+  { name: 'conversionFactor', field: 'unitConversion.factor', type: 'number' },
+  { name: 'minOrderQty', field: 'minOrderQty', type: 'number' },
+  { name: 'orderIncrement', field: 'orderIncrement', type: 'number' },
+  { name: 'city', field: 'city', type: 'string' },
+  { name: 'region', field: 'region', type: 'string' },
+  { name: 'pickup', field: 'deliveryOptions.pickup', type: 'boolean' },
+  { name: 'thirdParty', field: 'deliveryOptions.thirdParty', type: 'boolean' },
+  { name: 'harvestDate', field: 'harvestDate', type: 'date' },
+  { name: 'shelfLifeDays', field: 'shelfLifeDays', type: 'number' },
+  { name: 'bestBefore', field: 'bestBefore', type: 'date' },
+  { name: 'isActive', field: 'isActive', type: 'boolean' },
+  { name: 'status', field: 'status', type: 'string' },
+  { name: 'publishAt', field: 'publishAt', type: 'datetime' },
+  { name: 'unpublishAt', field: 'unpublishAt', type: 'datetime' },
+  { name: 'attributes', field: 'attributes', type: 'attributes' }
+];
+
+// header cells are matched loosely: "Unit label", "unit_label" and "unitLabel" all work
+const headerKey = h => String(h || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const COLUMNS_BY_HEADER = new Map(COLUMNS.map(c => [headerKey(c.name), c]));
+
+const TRUE_WORDS = ['true', 'yes', 'y', '1'];
+const FALSE_WORDS = ['false', 'no', 'n', '0'];
+
+// category attributes share one cell: "grade=A; organic=yes"
+const ATTRIBUTE_SEPARATOR = ';';
+
+function parseAttributes(text) {
+  const values = {};
+  for (const pair of text.split(ATTRIBUTE_SEPARATOR)) {
+    if (!pair.trim()) continue;
+    const at = pair.indexOf('=');
+    if (at < 1) return null;
+    values[pair.slice(0, at).trim()] = pair.slice(at + 1).trim();
+  }
+  return values;
+}
+
+const formatAttributes = values =>
+  Object.entries(values || {})
+    .map(([k, v]) => `${k}=${typeof v === 'boolean' ? (v ? 'yes' : 'no') : v}`)
+    .join(`${ATTRIBUTE_SEPARATOR} `);
+
+/**
+ * XLSX cells can hold rich text, formulas, hyperlinks or dates; reduce to
+ * a string or Date.
+ */
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(r => r.text).join('');
+    if ('result' in value) return cellValue(value.result);
+    if ('text' in value) return cellValue(value.text);
+    return '';
+  }
+  return String(value);
+}
+
+/**
+ * Read the first sheet of an uploaded CSV or XLSX file.
+ * @param {object} file – multer file ({ buffer, originalname })
+ * @returns {Promise<{ header: string[], rows: Array<any[]> }|{ error: string }>}
+ */
+async function readSheet(file) {
+  let table;
+  if (/\.xlsx$/i.test(file.originalname)) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(file.buffer);
+    } catch (e) {
+      return { error: 'Could not read the XLSX file' };
+    }
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return { error: 'The XLSX file has no sheets' };
+    table = [];
+    sheet.eachRow({ includeEmpty: false }, row => {
+      // row.values is 1-based
+      table.push(row.values.slice(1).map(cellValue));
+    });
+  } else {
+    table = csv.parse(file.buffer.toString('utf8'));
+  }
+
+  if (!table.length) return { error: 'The file is empty' };
+  const [header, ...rows] = table;
+  if (rows.length > MAX_ROWS) return { error: `At most ${MAX_ROWS} rows can be imported at once` };
+  return { header: header.map(h => String(h).trim()), rows };
+}
+
+/**
+ * Convert one row's cells into listing fields.
+ * @returns {{ data: object, product: string, category: string, errors: string[] }}
+ */
+function readRow(columns, cells) {
+  const data = {};
+  const errors = [];
+  let product = '';
+  let category = '';
+
+  columns.forEach((col, i) => {
+    if (!col) return;
+    const raw = cells[i];
+    const text = raw instanceof Date ? raw.toISOString() : csv.restoreFormulaText(String(raw === undefined ? '' : raw).trim());
+    if (text === '') return;
+
+    let value;
+    switch (col.type) {
+      case 'number':
+        value = Number(text);
+        if (!Number.isFinite(value)) return errors.push(`${col.name} must be a number`);
+        break;
+      case 'boolean':
+        if (TRUE_WORDS.includes(text.toLowerCase())) value = true;
+        else if (FALSE_WORDS.includes(text.toLowerCase())) value = false;
+        else return errors.push(`${col.name} must be yes or no`);
+        break;
+      case 'date':
+      case 'datetime':
+        value = raw instanceof Date ? raw : new Date(text);
+        if (isNaN(value)) return errors.push(`${col.name} must be a date (YYYY-MM-DD${col.type === 'datetime' ? ', optionally with a time' : ''})`);
+        break;
+      case 'attributes':
+        value = parseAttributes(text);
+        if (!value) return errors.push(`${col.name} must look like key=value${ATTRIBUTE_SEPARATOR} key=value`);
+        break;
+      default:
+        value = text;
+    }
+
+    if (col.name === 'product') product = value;
+    else if (col.name === 'category') category = value;
+    else {
+      // "a.b" paths become nested objects
+      const [head, tail] = col.field.split('.');
+      if (tail) data[head] = { ...data[head], [tail]: value };
+      else data[head] = value;
+    }
+  });
+
+  return { data, product, category, errors };
+}
+
+/**
+ * Product items by normalised name and by id, each with its category's
+ * name and path.
+ * @returns {Promise<{ byName: Map, byId: Map }>}
+ */
+async function productCatalogue() {
+  const items = await ProductItem.find().select('productName category').populate('category', 'categoryName path').lean();
+  const byName = new Map();
+  for (const item of items) {
+    const key = normalize(item.productName);
+    byName.set(key, [...(byName.get(key) || []), item]);
+  }
+  return { byName, byId: new Map(items.map(i => [String(i._id), i])) };
+}
+
+/**
+ * Which ProductItem a row names, checked against its category if given.
+ * @returns {{ item?: object, error?: string }}
+ */
+function resolveProduct(catalogue, product, category) {
+  const matches = catalogue.byName.get(normalize(product)) || [];
+  if (!matches.length) return { error: `Unknown product "${product}"` };
+  // by name, or by full path where names repeat ("Fruits > Other")
+  const inCategory = category
+    ? matches.filter(m => m.category && [m.category.categoryName, m.category.path].some(n => n && normalize(n) === normalize(category)))
+    : matches;
+  if (!inCategory.length) return { error: `Product "${product}" is not in category "${category}"` };
+  if (inCategory.length > 1) return { error: `Product "${product}" is in several categories; fill in category` };
+  return { item: inCategory[0] };
+}
+
+/**
+ * Validate and (unless dryRun) apply a sheet of listings for one farmer.
+ * Valid rows are saved even when others fail, so a corrected file can be
+ * imported again: rows with a sku then update instead of duplicating.
+ * @param {object} opts
+ * @param {string[]} opts.header
+ * @param {Array<any[]>} opts.rows
+ * @param {string} opts.farmerId – whose listings these are
+ * @param {string} opts.actorId  – who is importing (the farmer, or an admin)
+ * @param {boolean} [opts.dryRun]
+ * @returns {Promise<{ error: string }|object>} summary plus one result per row
+ */
+async function importListings({ header, rows, farmerId, actorId, dryRun = false }) {
+  const columns = header.map(h => COLUMNS_BY_HEADER.get(headerKey(h)));
+  const unknown = header.filter((h, i) => h && !columns[i]);
+  if (unknown.length) {
+    return { error: `Unknown columns: ${unknown.join(', ')}. Expected: ${COLUMNS.map(c => c.name).join(', ')}` };
+  }
+
+  const skus = rows
+    .map(cells => readRow(columns, cells).data.externalSku)
+    .filter(Boolean);
+  const [catalogue, existing, farmer] = await Promise.all([
+    productCatalogue(),
+    ProductListing.find({ farmer: farmerId, externalSku: { $in: skus } }),
+    User.findById(farmerId).select('city farmerRating verificationStatus').lean()
+  ]);
+  const existingBySku = new Map(existing.map(l => [l.externalSku, l]));
+
+  const seenSkus = new Set();
+  const results = [];
+  // attribute definitions per category, looked up once per import
+  const definitions = new Map();
+  const attributesFor = async categoryId => {
+    const key = String(categoryId);
+    if (!definitions.has(key)) definitions.set(key, await categoryService.effectiveAttributes(categoryId) || []);
+    return definitions.get(key);
+  };
+
+  for (const [i, cells] of rows.entries()) {
+    // row numbers as the spreadsheet shows them (header is row 1)
+    const result = { row: i + 2, sku: undefined, action: undefined, errors: [] };
+    results.push(result);
+
+    const { data, product, category, errors } = readRow(columns, cells);
+    result.sku = data.externalSku;
+    result.errors.push(...errors);
+
+    if (data.externalSku) {
+      if (seenSkus.has(data.externalSku)) result.errors.push(`sku ${data.externalSku} appears more than once in the file`);
+      seenSkus.add(data.externalSku);
+    }
+
+    const current = data.externalSku && existingBySku.get(data.externalSku);
+    result.action = current ? 'update' : 'create';
+
+    let item = null;
+    if (product) {
+      const resolved = resolveProduct(catalogue, product, category);
+      if (resolved.error) result.errors.push(resolved.error);
+      else ({ item } = resolved);
+      if (item) data.productItem = item._id;
+    } else if (!current) {
+      result.errors.push('product is required');
+    }
+
+    // checked when given, for new listings, and when the product (so maybe the category) changes
+    if (data.attributes !== undefined || item) {
+      const category = (item || (current && catalogue.byId.get(String(current.productItem))) || {}).category;
+      const checked = categoryService.checkAttributeValues(
+        data.attributes !== undefined ? data.attributes : current && current.attributes && Object.fromEntries(current.attributes),
+        category ? await attributesFor(category._id) : []
+      );
+      if (checked.error) result.errors.push(checked.error);
+      else data.attributes = checked.values;
+    }
+
+    if (!current) {
+      if (data.price === undefined) result.errors.push('price is required');
+      if (data.quantity === undefined) result.errors.push('quantity is required');
+    }
+    if (data.price !== undefined && data.price <= 0) result.errors.push('price must be > 0');
+    if (data.quantity !== undefined && data.quantity < 0) result.errors.push('quantity must be >= 0');
+    if (data.lowStockThreshold !== undefined && data.lowStockThreshold < 0) result.errors.push('lowStockThreshold must be >= 0');
+
+    const before = current ? current.toObject() : {};
+    const fieldError = unitFieldsError(data, before) ||
+      freshnessFieldsError(data, before) ||
+      (current && data.price !== undefined && priceTiersError(before.priceTiers || [], data.price));
+    if (fieldError) result.errors.push(fieldError);
+    const schedule = listingScheduleService.scheduleUpdate(data, current ? before : null);
+    if (schedule.error) result.errors.push(schedule.error);
+    if (result.errors.length) continue;
+    Object.assign(data, schedule.values);
+
+    if (data.unitConversion && current) {
+      data.unitConversion = { ...(before.unitConversion || {}), ...data.unitConversion };
+    }
+    if (data.deliveryOptions && current) {
+      data.deliveryOptions = { ...(before.deliveryOptions || {}), ...data.deliveryOptions };
+    }
+    if (['harvestDate', 'shelfLifeDays', 'bestBefore'].some(f => data[f] !== undefined)) {
+      const merged = { ...before, ...data };
+      if (data.bestBefore === undefined) delete merged.bestBefore;
+      data.bestBefore = bestBeforeFor(merged);
+      if (current) Object.assign(data, { expiryWarnedAt: null, expiredAt: null });
+    }
+
+    // an existing listing's stock changes through the ledger, after saving the rest
+    const { quantity, ...fields } = data;
+    // screened like listings made by hand
+    const review = await moderationService.screen({ ...before, ...data }, current ? before : null, Object.keys(data));
+    if (review.moderationStatus === 'pending') result.heldForReview = true;
+    const doc = current || new ProductListing({
+      farmer: farmerId,
+      city: farmer && farmer.city,
+      farmerRating: (farmer && farmer.farmerRating && farmer.farmerRating.average) || 0,
+      farmerVerified: !!farmer && farmer.verificationStatus === 'verified',
+      quantity
+    });
+    doc.set({ ...fields, ...review, lastUpdatedBy: actorId });
+    try {
+      await doc.validate();
+    } catch (err) {
+      result.errors.push(...Object.values(err.errors || {}).map(e => e.message));
+      continue;
+    }
+
+    if (!dryRun) {
+      await doc.save();
+      if (!current) {
+        await inventoryService.recordOpeningStock(doc, actorId, 'Bulk import');
+      } else if (quantity !== undefined) {
+        await inventoryService.setLevel({ listing: doc._id, quantity, note: 'Bulk import', actor: actorId });
+      }
+      if (schedule.wentLive) await listingScheduleService.notifyFollowers(doc._id);
+      result.id = doc._id;
+    }
+  }
+
+  const count = action => results.filter(r => !r.errors.length && r.action === action).length;
+  return {
+    dryRun,
+    total: results.length,
+    created: count('create'),
+    updated: count('update'),
+    failed: results.filter(r => r.errors.length).length,
+    rows: results
+  };
+}
+
+/**
+ * A farmer's listings in the import format.
+ * @param {string} farmerId
+ * @param {'csv'|'xlsx'} format
+ * @returns {Promise<Buffer>}
+ */
+async function exportListings(farmerId, format = 'csv') {
+  const listings = await ProductListing.find({ farmer: farmerId })
+    .sort('createdAt')
+    .populate({ path: 'productItem', select: 'productName category', populate: { path: 'category', select: 'categoryName path' } })
+    .lean();
+
+  const get = (obj, path) => path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+  const rows = listings.map(l => COLUMNS.map(col => {
+    if (col.name === 'product') return l.productItem && l.productItem.productName;
+    if (col.name === 'category') {
+      const c = l.productItem && l.productItem.category;
+      return c && (c.path || c.categoryName);
+    }
+    if (col.type === 'attributes') return formatAttributes(l.attributes);
+    const v = get(l, col.field);
+    if (col.type === 'date' && v) return new Date(v).toISOString().slice(0, 10);
+    if (col.type === 'datetime' && v) return new Date(v).toISOString();
+    if (col.type === 'boolean' && v !== undefined) return v ? 'yes' : 'no';
+    return v;
+  }));
+  const header = COLUMNS.map(c => c.name);
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Listings');
+    sheet.addRow(header).font = { bold: true };
+    rows.forEach(r => sheet.addRow(r.map(v => (v === undefined || v === null ? '' : csv.defuseFormula(v)))));
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+  return Buffer.from(csv.stringify([header, ...rows]), 'utf8');
+}
+
+module.exports = { COLUMNS, MAX_ROWS, readSheet, importListings, exportListings };
@@ -0,0 +1,44 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Lockout after repeated failed password, OTP or 2FA attempts, shared by
+ * every endpoint that checks one (see User.registerFailedAttempt).
+ */
+
+/**
+ * Answer 429 if the account is locked out after too many failed attempts.
+ * @returns {boolean} true if the response was sent
+ */
+function rejectIfLocked(user, res) {
+  if (!user || !user.isLocked()) return false;
+  const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ message: 'Too many failed attempts. Try again later.', retryAfter });
+  return true;
+}
+
+/**
+ * Count a failed password/OTP attempt; when it locks the account,
+ * write a LOCKOUT audit entry.
+ */
+async function recordFailedAttempt(user, req, reason) {
+  const lock = await user.registerFailedAttempt();
+  if (lock) {
+    await AuditLog.create({
+      user: user._id,
+      action: 'LOCKOUT',
+      entity: 'User',
+      entityId: user._id,
+      metadata: {
+        reason,
+        lockUntil: lock.lockUntil,
+        lockCount: lock.lockCount,
+        ip: req.ip,
+        path: req.originalUrl,
+        method: req.method
+      }
+    });
+  }
+}
+
+module.exports = { rejectIfLocked, recordFailedAttempt };
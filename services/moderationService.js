@@ -0,0 +1,211 @@
+const ProductListing = require('../models/ProductListing');
+const ListingReport = require('../models/ListingReport');
+const notificationService = require('./emailService');
+const socketService = require('./socket');
+const { normalize } = require('./searchService');
+
+/**
+ * Listing moderation. New and edited listings are screened for banned words
+ * and for prices far from what the same product usually sells for; anything
+ * that trips a check is held as pending until a reviewer approves or
+ * rejects it. Buyers' reports hold a listing too, once there are enough of
+ * them. Only approved listings are shown to buyers.
+ */
+
+// statuses buyers see; null is a listing from before moderation
+const LISTED_STATUSES = ['approved', null];
+
+// payment outside the platform, and goods that aren't allowed on it
+const DEFAULT_BANNED_WORDS = [
+  'western union', 'moneygram', 'gift card', 'bitcoin', 'crypto', 'advance payment',
+  'cannabis', 'marijuana', 'tramadol', 'codeine', 'ivory', 'pangolin'
+];
+// LISTING_BANNED_WORDS (comma-separated) adds to the list
+const BANNED_WORDS = [
+  ...DEFAULT_BANNED_WORDS,
+  ...String(process.env.LISTING_BANNED_WORDS || '').split(',')
+].map(normalize).filter(Boolean);
+
+// a price this many times above or below the median of comparable listings is held
+const PRICE_OUTLIER_FACTOR = Number(process.env.LISTING_PRICE_OUTLIER_FACTOR) || 5;
+// too few comparable listings say nothing about the usual price
+const MIN_PRICE_SAMPLE = 5;
+const PRICE_SAMPLE_SIZE = 200;
+
+// this many open reports hold a listing for review
+const REPORTS_BEFORE_REVIEW = Number(process.env.LISTING_REPORTS_BEFORE_REVIEW) || 3;
+
+// what an edit must touch to be screened again
+const TEXT_FIELDS = ['description', 'unitLabel', 'attributes'];
+const PRICE_FIELDS = ['price', 'productItem', 'unit'];
+
+const isListed = listing => LISTED_STATUSES.includes(listing.moderationStatus || null);
+
+/**
+ * Banned words and phrases in a text, matched as whole words with accents
+ * and case ignored.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function bannedWordsIn(text) {
+  const padded = ` ${normalize(text)} `;
+  return BANNED_WORDS.filter(w => padded.includes(` ${w} `));
+}
+
+function textOf(listing) {
+  const attributes = listing.attributes instanceof Map
+    ? [...listing.attributes.values()]
+    : Object.values(listing.attributes || {});
+  return [listing.description, listing.unitLabel, ...attributes.filter(v => typeof v === 'string')].join(' ');
+}
+
+const median = sorted => {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Compare a price with the listed ones for the same product and unit.
+ * @returns {Promise<object|null>} a price_low or price_high flag
+ */
+async function priceFlag({ _id, productItem, unit = 'piece', price }) {
+  if (!productItem || !(Number(price) > 0)) return null;
+  const others = await ProductListing.find({
+    productItem: productItem._id || productItem,
+    unit,
+    isActive: true,
+    moderationStatus: { $in: LISTED_STATUSES },
+    ...(_id && { _id: { $ne: _id } })
+  })
+    .sort({ updatedAt: -1 })
+    .limit(PRICE_SAMPLE_SIZE)
+    .select('price')
+    .lean();
+  if (others.length < MIN_PRICE_SAMPLE) return null;
+
+  const usual = median(others.map(o => o.price).sort((a, b) => a - b));
+  const detail = `${price} per ${unit}, where similar listings ask around ${usual}`;
+  if (Number(price) < usual / PRICE_OUTLIER_FACTOR) return { kind: 'price_low', detail };
+  if (Number(price) > usual * PRICE_OUTLIER_FACTOR) return { kind: 'price_high', detail };
+  return null;
+}
+
+/**
+ * Screen a new or edited listing and work out its review state. A flag
+ * raised earlier stays until the part of the listing it is about changes;
+ * a taken-down listing stays down whatever the farmer edits.
+ * @param {object} listing – as it will be saved (current values with the edit applied)
+ * @param {object|null} current – as it is now; null for a new listing
+ * @param {string[]} [changed] – the fields an edit sets
+ * @returns {Promise<object>} moderationStatus and moderationFlags to set;
+ *   empty when nothing screened changes
+ */
+async function screen(listing, current, changed = []) {
+  const touched = field => !current || changed.includes(field);
+  const textChanged = TEXT_FIELDS.some(touched);
+  const priceChanged = PRICE_FIELDS.some(touched);
+  const status = current && (current.moderationStatus || 'approved');
+  if ((!textChanged && !priceChanged) || status === 'taken_down') return {};
+
+  const previous = (current && current.moderationFlags) || [];
+  const flags = previous.filter(f =>
+    f.kind === 'reported' || (f.kind === 'banned_word' ? !textChanged : !priceChanged));
+  if (textChanged) {
+    flags.push(...bannedWordsIn(textOf(listing)).map(w => ({ kind: 'banned_word', detail: w, at: new Date() })));
+  }
+  if (priceChanged) {
+    const flag = await priceFlag(listing);
+    if (flag) flags.push({ ...flag, at: new Date() });
+  }
+
+  // an edited rejection goes back to a reviewer, and so does a resubmission
+  // that is still waiting; one held only by screening is released once fixed
+  const held = flags.length || status === 'rejected' || (status === 'pending' && !previous.length);
+  return { moderationStatus: held ? 'pending' : 'approved', moderationFlags: flags };
+}
+
+function emitToFarmer(listing, event) {
+  try {
+    socketService.getIo().to(`farmer:${listing.farmer._id}`).emit(event, {
+      listingId: listing._id,
+      productName: listing.productItem && listing.productItem.productName,
+      moderationStatus: listing.moderationStatus,
+      moderationFlags: listing.moderationFlags,
+      moderationNote: listing.moderationNote
+    });
+  } catch (e) {
+    // no socket server (e.g. a worker without HTTP); email still goes out
+  }
+}
+
+/**
+ * Tell a farmer their listing is held for review, or what a reviewer
+ * decided: a listing:<type> socket event and an email.
+ * @param {'underReview'|'approved'|'rejected'|'takenDown'} type
+ * @param {string} listingId
+ */
+async function notifyFarmer(type, listingId) {
+  const listing = await ProductListing.findById(listingId)
+    .populate({ path: 'productItem', select: 'productName category', populate: { path: 'category', select: 'categoryName' } })
+    .populate('farmer', 'firstName lastName email')
+    .lean();
+  if (!listing || !listing.farmer) return;
+
+  emitToFarmer(listing, `listing:${type}`);
+  try {
+    await notificationService.sendProductListingNotification(type, {
+      ...listing,
+      title: listing.productItem && listing.productItem.productName,
+      category: listing.productItem && listing.productItem.category && listing.productItem.category.categoryName
+    }, listing.farmer);
+  } catch (e) {
+    console.error(`Listing ${type} notification failed`, e);
+  }
+}
+
+/**
+ * After a report: hold the listing for review once enough are open.
+ * @param {string} listingId
+ * @returns {Promise<boolean>} whether the listing was held just now
+ */
+async function reportFiled(listingId) {
+  const open = await ListingReport.countDocuments({ listing: listingId, status: 'open' });
+  if (open < REPORTS_BEFORE_REVIEW) return false;
+
+  const held = await ProductListing.findOneAndUpdate(
+    { _id: listingId, moderationStatus: { $in: LISTED_STATUSES } },
+    {
+      $set: { moderationStatus: 'pending' },
+      $push: { moderationFlags: { kind: 'reported', detail: `${open} open reports` } }
+    }
+  );
+  if (held) await notifyFarmer('underReview', listingId);
+  return !!held;
+}
+
+/**
+ * Close a listing's open reports once a reviewer has dealt with it.
+ * @param {string} listingId
+ * @param {'dismissed'|'actioned'} status
+ * @param {string} by – the reviewer
+ * @param {string} [note]
+ * @returns {Promise<number>} how many were closed
+ */
+async function resolveReports(listingId, status, by, note) {
+  const result = await ListingReport.updateMany(
+    { listing: listingId, status: 'open' },
+    { $set: { status, resolutionNote: note, resolvedBy: by, resolvedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  LISTED_STATUSES,
+  REPORTS_BEFORE_REVIEW,
+  isListed,
+  bannedWordsIn,
+  screen,
+  notifyFarmer,
+  reportFiled,
+  resolveReports
+};
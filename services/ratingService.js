@@ -0,0 +1,63 @@
+const Order = require('../models/Order');
+const Feedback = require('../models/Feedback');
+const User = require('../models/User');
+const ProductListing = require('../models/ProductListing');
+
+/**
+ * Recompute the average rating of one farmer from the feedback on every
+ * order they sold into, and copy it onto their listings for sorting.
+ * @param {string} farmerId
+ */
+async function refreshFarmerRating(farmerId) {
+  const orderIds = await Order.find({ 'subOrders.farmer': farmerId }).distinct('_id');
+  const [stats] = await Feedback.aggregate([
+    { $match: { order: { $in: orderIds } } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  const average = stats ? Math.round(stats.average * 100) / 100 : 0;
+  const count = stats ? stats.count : 0;
+
+  await User.updateOne({ _id: farmerId }, { $set: { farmerRating: { average, count } } });
+  await ProductListing.updateMany({ farmer: farmerId }, { $set: { farmerRating: average } });
+}
+
+/**
+ * After feedback on an order changes, refresh all of that order's farmers.
+ * Best-effort: a failure is logged and does not fail the request.
+ * @param {string} orderId
+ */
+exports.refreshForOrder = async orderId => {
+  try {
+    const order = await Order.findById(orderId).select('subOrders.farmer').lean();
+    if (!order) return;
+    const farmerIds = [...new Set((order.subOrders || []).map(so => String(so.farmer)))];
+    for (const farmerId of farmerIds) {
+      await refreshFarmerRating(farmerId);
+    }
+  } catch (e) {
+    console.error('Farmer rating refresh failed', e);
+  }
+};
+
+/**
+ * Scheduled: copy each rated farmer's average onto those of their listings
+ * that don't carry it, such as listings from before ratings were copied or
+ * ones a failed refresh missed.
+ * @returns {Promise<number>} how many listings were updated
+ */
+exports.syncListingRatings = async () => {
+  const farmers = await User.find({ role: 'farmer', 'farmerRating.count': { $gt: 0 } })
+    .select('farmerRating')
+    .lean();
+  let updated = 0;
+  for (const { _id, farmerRating } of farmers) {
+    const res = await ProductListing.updateMany(
+      { farmer: _id, farmerRating: { $ne: farmerRating.average } },
+      { $set: { farmerRating: farmerRating.average } }
+    );
+    updated += res.modifiedCount;
+  }
+  return updated;
+};
+
+exports.refreshFarmerRating = refreshFarmerRating;
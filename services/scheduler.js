@@ -0,0 +1,48 @@
+/**
+ * Minimal in-process job runner for periodic housekeeping.
+ * Each job runs once at start-up and then every `intervalMs`; a run is
+ * skipped if the previous one is still going. Failures are logged, never thrown.
+ *
+ * Set DISABLE_SCHEDULER=true on extra instances so jobs run in one place only.
+ */
+const jobs = [];
+
+/**
+ * @param {string} name
+ * @param {number} intervalMs
+ * @param {() => Promise<any>} fn
+ */
+function every(name, intervalMs, fn) {
+  jobs.push({ name, intervalMs, fn, running: false, timer: null });
+}
+
+async function run(job) {
+  if (job.running) return;
+  job.running = true;
+  try {
+    await job.fn();
+  } catch (err) {
+    console.error(`Scheduled job "${job.name}" failed:`, err);
+  } finally {
+    job.running = false;
+  }
+}
+
+function start() {
+  if (process.env.DISABLE_SCHEDULER === 'true') return;
+  for (const job of jobs) {
+    if (job.timer) continue;
+    run(job);
+    job.timer = setInterval(() => run(job), job.intervalMs);
+    job.timer.unref();
+  }
+}
+
+function stop() {
+  for (const job of jobs) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+}
+
+module.exports = { every, start, stop };
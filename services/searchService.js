@@ -0,0 +1,290 @@
+const ProductListing = require('../models/ProductListing');
+const ProductItem = require('../models/ProductItem');
+const ProductCategory = require('../models/ProductCategory');
+const User = require('../models/User');
+const SYNONYMS = require('../config/cropSynonyms');
+const { TRANSLATED_LANGUAGES } = require('../utils/i18n');
+
+/**
+ * Listing search without an external engine. A query is expanded into
+ * weighted terms (the words themselves, synonyms of crop names and, for
+ * likely typos, close words from the catalogue), candidate listings are
+ * fetched with one regex per field, and each candidate is scored in memory.
+ * Products and categories match on any of their names: English, translated
+ * (`names`) or aliases.
+ */
+
+// how much a hit in each field counts towards relevance
+const FIELD_WEIGHTS = { productName: 10, category: 5, farmer: 3, description: 1 };
+// how much each kind of term counts
+const EXACT = 1;
+const SYNONYM = 0.8;
+const FUZZY = 0.5;
+// a prefix hit ("tom" → "tomatoes") is worth this share of a whole-word hit
+const PREFIX_SHARE = 0.7;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'or', 'the', 'of', 'for', 'with', 'in']);
+
+const MAX_CANDIDATES = 500;
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+
+// letters of Twi, Ewe, Hausa and French written without them on most
+// keyboards; a search for the plain letter finds them all
+const LETTER_VARIANTS = {
+  a: 'àáâãäå',
+  b: 'ɓ',
+  c: 'ç',
+  d: 'ɖɗ',
+  e: 'ɛèéêë',
+  f: 'ƒ',
+  g: 'ɣ',
+  i: 'ìíîï',
+  k: 'ƙ',
+  n: 'ŋñ',
+  o: 'ɔòóôõö',
+  u: 'ùúûü',
+  v: 'ʋ',
+  y: 'ƴÿ'
+};
+const PLAIN_LETTER = Object.fromEntries(
+  Object.entries(LETTER_VARIANTS).flatMap(([plain, variants]) => [...variants].map(v => [v, plain]))
+);
+const WORD_CHARS = `a-z0-9${Object.values(LETTER_VARIANTS).join('')}`;
+
+/**
+ * Lower-case, strip accents, fold the letters above, keep letters and
+ * digits only.
+ */
+const normalize = s =>
+  String(s || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x00-\x7f]/g, ch => PLAIN_LETTER[ch] || ch)
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const words = s => normalize(s).split(' ').filter(Boolean);
+
+const SYNONYM_GROUPS = SYNONYMS.map(group => group.map(normalize));
+
+function levenshtein(a, b) {
+  if (Math.abs(a.length - b.length) > 2) return 3;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Every name of a product item or category: its own, its translations and
+ * its aliases.
+ */
+const allNames = (entity, field) =>
+  (entity ? [entity[field], ...Object.values(entity.names || {}), ...(entity.aliases || [])] : []);
+
+/**
+ * Conditions matching `re` against any name of a product item or category.
+ */
+const nameConditions = (field, re) => [
+  { [field]: re },
+  { aliases: re },
+  ...TRANSLATED_LANGUAGES.map(lang => ({ [`names.${lang}`]: re }))
+];
+
+// words of every product and category name, for typo correction
+let vocabulary = null;
+let vocabularyLoadedAt = 0;
+
+async function getVocabulary() {
+  if (vocabulary && Date.now() - vocabularyLoadedAt < VOCABULARY_TTL_MS) return vocabulary;
+  const [items, categories] = await Promise.all([
+    ProductItem.find().select('productName names aliases').lean(),
+    ProductCategory.find().select('categoryName names aliases').lean()
+  ]);
+  vocabulary = new Set([
+    ...items.flatMap(i => allNames(i, 'productName').flatMap(words)),
+    ...categories.flatMap(c => allNames(c, 'categoryName').flatMap(words)),
+    ...SYNONYM_GROUPS.flat().flatMap(words)
+  ]);
+  vocabularyLoadedAt = Date.now();
+  return vocabulary;
+}
+
+function isPrefixOfAny(vocab, t) {
+  for (const v of vocab) {
+    if (v.startsWith(t)) return true;
+  }
+  return false;
+}
+
+/**
+ * Turn a query into weighted terms.
+ * @param {string} q
+ * @returns {Promise<Array<{ term: string, weight: number }>>}
+ */
+async function expandQuery(q) {
+  const text = normalize(q);
+  const tokens = words(q).filter(t => !STOP_WORDS.has(t));
+  const terms = new Map();
+  const add = (term, weight) => {
+    if (term && (terms.get(term) || 0) < weight) terms.set(term, weight);
+  };
+
+  tokens.forEach(t => add(t, EXACT));
+
+  // a synonym group applies if any of its names is in the query; longer
+  // names go first so "garden egg" doesn't also pull in synonyms of "egg"
+  let rest = ` ${text} `;
+  const byLength = SYNONYM_GROUPS
+    .flatMap(group => group.map(name => ({ name, group })))
+    .sort((a, b) => b.name.length - a.name.length);
+  byLength.forEach(({ name, group }) => {
+    if (!rest.includes(` ${name} `)) return;
+    rest = rest.replace(` ${name} `, '  ');
+    group.forEach(n => add(n, SYNONYM));
+  });
+
+  // typo tolerance: a word we don't know is replaced by catalogue words one
+  // edit away (two for long words)
+  const vocab = await getVocabulary();
+  tokens.forEach(t => {
+    if (t.length < 4 || vocab.has(t) || isPrefixOfAny(vocab, t)) return;
+    const maxEdits = t.length >= 7 ? 2 : 1;
+    vocab.forEach(v => {
+      if (levenshtein(t, v) <= maxEdits) {
+        add(v, FUZZY);
+        // and bring that word's synonyms along
+        SYNONYM_GROUPS.filter(g => g.includes(v)).flat().forEach(n => add(n, FUZZY));
+      }
+    });
+  });
+
+  return [...terms].map(([term, weight]) => ({ term, weight }));
+}
+
+const escapeRegex = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// a normalised term as a pattern that also matches the letters it was folded from
+const foldedPattern = term =>
+  [...term].map(ch => (LETTER_VARIANTS[ch] ? `[${ch}${LETTER_VARIANTS[ch]}]` : escapeRegex(ch))).join('').replace(/ /g, '\\s+');
+
+/**
+ * Matches any term at the start of a word (so it also does prefixes). \b
+ * only knows ASCII letters, so a word start is spelled out.
+ */
+const termsRegex = terms =>
+  new RegExp(`(?:^|[^${WORD_CHARS}])(${terms.map(t => foldedPattern(t.term)).join('|')})`, 'i');
+
+/**
+ * How well one field matches the terms.
+ */
+function fieldScore(value, terms) {
+  const text = normalize(value);
+  if (!text) return 0;
+  const fieldWords = text.split(' ');
+  const padded = ` ${text} `;
+  return terms.reduce((score, { term, weight }) => {
+    if (term.includes(' ')) {
+      return score + (padded.includes(` ${term} `) ? weight : 0);
+    }
+    if (fieldWords.includes(term)) return score + weight;
+    if (fieldWords.some(w => w.startsWith(term))) return score + weight * PREFIX_SHARE;
+    return score;
+  }, 0);
+}
+
+// the best match among several names for the same thing
+const bestScore = (values, terms) => Math.max(0, ...values.map(v => fieldScore(v, terms)));
+
+function scoreListing(listing, terms) {
+  const item = listing.productItem || {};
+  const category = item.category;
+  const farmer = listing.farmer || {};
+  return (
+    FIELD_WEIGHTS.productName * bestScore(allNames(item, 'productName'), terms) +
+    // the full path, so "vegetables" also ranks listings filed under "Vegetables > Leafy greens"
+    FIELD_WEIGHTS.category * bestScore(
+      category ? [category.path, ...allNames(category, 'categoryName')] : [],
+      terms
+    ) +
+    FIELD_WEIGHTS.farmer * fieldScore(`${farmer.firstName || ''} ${farmer.lastName || ''}`, terms) +
+    FIELD_WEIGHTS.description * fieldScore(listing.description, terms)
+  );
+}
+
+/**
+ * Search listings by product name, category name, farmer name and description.
+ * @param {object} opts
+ * @param {string} opts.q
+ * @param {object} opts.filter   – extra ProductListing conditions (visibility, price…)
+ * @param {Array}  opts.populate – must include the names, translations and aliases of productItem
+ *   and productItem.category, the category path, and farmer names
+ * @param {number} opts.page
+ * @param {number} opts.limit
+ * @returns {Promise<{ items: object[], total: number, truncated: boolean, terms: object[] }>}
+ *   items carry `score`; truncated is true when more than MAX_CANDIDATES
+ *   listings matched and only the likeliest of them were ranked
+ */
+async function searchListings({ q, filter = {}, populate, page = 1, limit = 20 }) {
+  const terms = await expandQuery(q);
+  if (!terms.length) return { items: [], total: 0, truncated: false, terms };
+
+  const re = termsRegex(terms);
+  const [items, categories, farmers] = await Promise.all([
+    ProductItem.find({ $or: nameConditions('productName', re) }).select('_id').lean(),
+    ProductCategory.find({ $or: nameConditions('categoryName', re) }).select('_id').lean(),
+    User.find({ role: 'farmer', $or: [{ firstName: re }, { lastName: re }] }).select('_id').lean()
+  ]);
+  // a matching category brings in its subcategories' products as well
+  const categoryIds = categories.map(c => c._id);
+  const subcategoryIds = categoryIds.length
+    ? await ProductCategory.find({ ancestors: { $in: categoryIds } }).distinct('_id')
+    : [];
+  const inCategories = categoryIds.length
+    ? await ProductItem.find({ category: { $in: [...categoryIds, ...subcategoryIds] } }).select('_id').lean()
+    : [];
+
+  // fetched by the field they match in, best first and newest first within
+  // each, so what the cap leaves out are the weakest candidates
+  const tiers = [
+    { productItem: { $in: items.map(i => i._id) } },
+    { productItem: { $in: inCategories.map(i => i._id) } },
+    { farmer: { $in: farmers.map(f => f._id) } },
+    { description: re }
+  ];
+  const candidates = [];
+  for (const tier of tiers) {
+    const left = MAX_CANDIDATES + 1 - candidates.length;
+    if (left <= 0) break;
+    candidates.push(...await ProductListing.find({
+      $and: [filter, tier, { _id: { $nin: candidates.map(c => c._id) } }]
+    })
+      .sort({ createdAt: -1 })
+      .limit(left)
+      .populate(populate)
+      .lean());
+  }
+  // one more than the cap was asked for, to tell whether there were more
+  const truncated = candidates.length > MAX_CANDIDATES;
+  candidates.length = Math.min(candidates.length, MAX_CANDIDATES);
+
+  const ranked = candidates
+    .map(listing => ({ ...listing, score: Math.round(scoreListing(listing, terms) * 100) / 100 }))
+    .filter(listing => listing.score > 0)
+    .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt);
+
+  return {
+    items: ranked.slice((page - 1) * limit, page * limit),
+    total: ranked.length,
+    truncated,
+    terms
+  };
+}
+
+module.exports = { normalize, expandQuery, searchListings };
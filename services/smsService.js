@@ -0,0 +1,94 @@
+const fs = require('fs');
+
+const platformName = 'Okuafopa';
+
+/**
+ * SMS gateways. Each provider is an async (to, text) => void.
+ * Pick one with SMS_PROVIDER:
+ *  - console (default outside production): prints the message, for local
+ *             development. Production has no default, so a forgotten
+ *             SMS_PROVIDER can't put one-time codes in the logs.
+ *  - file:    appends one JSON line per message to SMS_OUTBOX_FILE, for tests
+ *  - http:    POSTs { to, from, text } as JSON to SMS_API_URL with SMS_API_KEY
+ *             as a Bearer token; fits most aggregator REST APIs
+ * Other gateways can be plugged in with registerProvider().
+ */
+const providers = {
+  console: async (to, text) => {
+    console.log(`[sms] to ${to}: ${text}`);
+  },
+
+  file: async (to, text) => {
+    const file = process.env.SMS_OUTBOX_FILE || 'sms-outbox.log';
+    const line = JSON.stringify({ to, text, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(file, line + '\n');
+  },
+
+  http: async (to, text) => {
+    const { SMS_API_URL, SMS_API_KEY, SMS_SENDER_ID } = process.env;
+    if (!SMS_API_URL || !SMS_API_KEY) {
+      throw new Error('SMS_API_URL and SMS_API_KEY must be set for the http SMS provider');
+    }
+    const res = await fetch(SMS_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${SMS_API_KEY}`
+      },
+      body: JSON.stringify({ to, from: SMS_SENDER_ID || platformName, text })
+    });
+    if (!res.ok) {
+      throw new Error(`SMS gateway responded ${res.status}`);
+    }
+  }
+};
+
+/**
+ * Plug in another gateway (e.g. from a test, or a provider-specific module).
+ * @param {string} name
+ * @param {(to: string, text: string) => Promise<void>} send
+ */
+exports.registerProvider = (name, send) => {
+  providers[name] = send;
+};
+
+/**
+ * Send a raw text message through the configured provider.
+ * @param {string} to   – phone number
+ * @param {string} text
+ */
+exports.sendSMS = async (to, text) => {
+  const name = process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'console');
+  if (!name) throw new Error('SMS_PROVIDER must be set in production');
+  const send = providers[name];
+  if (!send) throw new Error(`Unknown SMS provider: ${name}`);
+  await send(to, text);
+};
+
+/**
+ * Send a one-time code by SMS. Always sent: the user asked for it.
+ * @param {string} to
+ * @param {string} otp
+ * @param {string} purposeLabel – e.g. 'Phone Verification'
+ */
+exports.sendOTP = async (to, otp, purposeLabel) => {
+  await exports.sendSMS(
+    to,
+    `${platformName} ${purposeLabel} code: ${otp}. It expires in 10 minutes. Do not share it.`
+  );
+};
+
+/**
+ * Send a notification SMS only if the user opted in (smsNotification)
+ * and has a phone number. Never throws: SMS is a best-effort extra channel.
+ * @param {object} recipient – { phoneNumber, smsNotification }
+ * @param {string} text
+ */
+exports.notify = async (recipient, text) => {
+  if (!recipient || !recipient.smsNotification || !recipient.phoneNumber) return;
+  try {
+    await exports.sendSMS(recipient.phoneNumber, `${platformName}: ${text}`);
+  } catch (e) {
+    console.error('SMS notification failed', e);
+  }
+};
@@ -0,0 +1,126 @@
+const ProductListing = require('../models/ProductListing');
+const Favourite = require('../models/Favourite');
+const notificationService = require('./emailService');
+const socketService = require('./socket');
+const { isListed } = require('./moderationService');
+const { isPublished } = require('./listingScheduleService');
+
+/**
+ * Reacts to stock changes recorded by services/inventoryService.js: tells
+ * the farmer when a listing runs low or out, and the users who favourited
+ * it when it is back in stock.
+ */
+
+// a favourite is announced as back in stock at most this often
+const RESTOCK_NOTICE_INTERVAL_MS = (Number(process.env.RESTOCK_NOTICE_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Did a change of `delta` just take the listing out of stock, or to its
+ * low-stock threshold or below?
+ * @param {object} listing – after the change ({ quantity, lowStockThreshold })
+ * @param {number} delta
+ * @returns {'outOfStock'|'lowStock'|null}
+ */
+function lowStockLevel({ quantity, lowStockThreshold }, delta) {
+  const before = quantity - delta;
+  if (before > 0 && quantity <= 0) return 'outOfStock';
+  if (lowStockThreshold === undefined || lowStockThreshold === null) return null;
+  if (before > lowStockThreshold && quantity <= lowStockThreshold) return 'lowStock';
+  return null;
+}
+
+function emit(room, event, payload) {
+  try {
+    socketService.getIo().to(room).emit(event, payload);
+  } catch (e) {
+    // no socket server (e.g. a worker without HTTP); email still goes out
+  }
+}
+
+const loadForNotice = listingId =>
+  ProductListing.findById(listingId)
+    .populate({ path: 'productItem', select: 'productName category', populate: { path: 'category', select: 'categoryName' } })
+    .populate('farmer', 'firstName lastName email emailNotification')
+    .lean();
+
+// the e-mail template reads the product's name and category from these
+const forEmail = listing => ({
+  ...listing,
+  title: listing.productItem && listing.productItem.productName,
+  category: listing.productItem && listing.productItem.category && listing.productItem.category.categoryName
+});
+
+async function notifyFarmer(level, listingId) {
+  const listing = await loadForNotice(listingId);
+  if (!listing || !listing.farmer) return;
+
+  emit(`farmer:${listing.farmer._id}`, `listing:${level}`, {
+    listingId: listing._id,
+    productName: listing.productItem && listing.productItem.productName,
+    quantity: listing.quantity,
+    lowStockThreshold: listing.lowStockThreshold
+  });
+  if (listing.farmer.emailNotification === false) return;
+  try {
+    await notificationService.sendProductListingNotification(level, forEmail(listing), listing.farmer);
+  } catch (e) {
+    console.error(`Listing ${level} notification failed`, e);
+  }
+}
+
+async function notifyFavourites(listingId) {
+  const listing = await loadForNotice(listingId);
+  // nothing to come back to if buyers can't see it
+  if (!listing || !listing.isActive || !isPublished(listing) || !isListed(listing) || listing.quantity <= 0) return;
+  if (listing.bestBefore && new Date(listing.bestBefore) < new Date()) return;
+
+  const now = new Date();
+  const favourites = await Favourite.find({
+    listing: listing._id,
+    $or: [{ restockNotifiedAt: null }, { restockNotifiedAt: { $lt: new Date(now.getTime() - RESTOCK_NOTICE_INTERVAL_MS) } }]
+  })
+    .populate('user', 'firstName lastName email emailNotification')
+    .lean();
+  if (!favourites.length) return;
+
+  // mark first, so a failing mail server doesn't mean a notice every restock
+  await Favourite.updateMany({ _id: { $in: favourites.map(f => f._id) } }, { $set: { restockNotifiedAt: now } });
+
+  const product = forEmail(listing);
+  for (const { user } of favourites) {
+    if (!user) continue;
+    emit(`buyer:${user._id}`, 'listing:restocked', {
+      listingId: listing._id,
+      productName: product.title,
+      quantity: listing.quantity,
+      price: listing.price
+    });
+    if (user.emailNotification === false) continue;
+    try {
+      await notificationService.sendProductListingNotification('restocked', product, user);
+    } catch (e) {
+      console.error('Restock notification failed', e);
+    }
+  }
+}
+
+/**
+ * Send whatever alerts a stock change calls for. Never throws: the change
+ * itself has already happened. Call it only once the change is committed.
+ * @param {object} listing – the listing right after the change
+ * @param {number} delta – the signed change
+ */
+async function stockChanged(listing, delta) {
+  try {
+    if (delta < 0) {
+      const level = lowStockLevel(listing, delta);
+      if (level) await notifyFarmer(level, listing._id);
+    } else if (delta > 0 && listing.quantity - delta <= 0 && listing.quantity > 0) {
+      await notifyFavourites(listing._id);
+    }
+  } catch (e) {
+    console.error(`Stock alerts for listing ${listing && listing._id} failed`, e);
+  }
+}
+
+module.exports = { lowStockLevel, stockChanged };
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File storage for uploads. Each provider has
+ *   put(key, buffer, contentType) => Promise<string>  (public URL)
+ *   remove(key)                   => Promise<void>    (no error if already gone)
+ * Pick one with STORAGE_PROVIDER:
+ *  - local (default): writes under UPLOAD_DIR, served by the app at /uploads;
+ *                     for development and tests
+ *  - s3:    any S3-compatible bucket (AWS, DigitalOcean Spaces, MinIO, R2…),
+ *           configured with the S3_* variables
+ * Other backends can be plugged in with registerProvider().
+ */
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+const trimSlash = s => String(s || '').replace(/\/+$/, '');
+
+let s3Client = null;
+
+function getS3() {
+  if (s3Client) return s3Client;
+  const { S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY } = process.env;
+  if (!S3_BUCKET) throw new Error('S3_BUCKET must be set for the s3 storage provider');
+  // only needed in production, so only loaded there
+  const { S3Client } = require('@aws-sdk/client-s3');
+  s3Client = new S3Client({
+    region: S3_REGION || 'us-east-1',
+    endpoint: S3_ENDPOINT || undefined,
+    // non-AWS endpoints generally want bucket-in-path URLs
+    forcePathStyle: !!S3_ENDPOINT,
+    credentials: S3_ACCESS_KEY_ID
+      ? { accessKeyId: S3_ACCESS_KEY_ID, secretAccessKey: S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+  return s3Client;
+}
+
+function s3PublicUrl(key) {
+  const { S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_PUBLIC_URL } = process.env;
+  if (S3_PUBLIC_URL) return `${trimSlash(S3_PUBLIC_URL)}/${key}`;
+  if (S3_ENDPOINT) return `${trimSlash(S3_ENDPOINT)}/${S3_BUCKET}/${key}`;
+  return `https://${S3_BUCKET}.s3.${S3_REGION || 'us-east-1'}.amazonaws.com/${key}`;
+}
+
+const providers = {
+  local: {
+    put: async (key, buffer) => {
+      const file = path.join(UPLOAD_DIR, key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+      return `${trimSlash(process.env.PUBLIC_BASE_URL)}/uploads/${key}`;
+    },
+    remove: async key => {
+      await fs.promises.rm(path.join(UPLOAD_DIR, key), { force: true });
+    }
+  },
+
+  s3: {
+    put: async (key, buffer, contentType) => {
+      const { PutObjectCommand } = require('@aws-sdk/client-s3');
+      await getS3().send(new PutObjectCommand({
+        Bucket: process.env.S3_BUCKET,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        // keys are never reused, so caches may keep them forever
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+      return s3PublicUrl(key);
+    },
+    remove: async key => {
+      const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+      await getS3().send(new DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }));
+    }
+  }
+};
+
+const providerName = () => process.env.STORAGE_PROVIDER || 'local';
+
+function provider() {
+  const p = providers[providerName()];
+  if (!p) throw new Error(`Unknown storage provider: ${providerName()}`);
+  return p;
+}
+
+/**
+ * Plug in another backend (e.g. from a test).
+ * @param {string} name
+ * @param {{ put: Function, remove: Function }} impl
+ */
+exports.registerProvider = (name, impl) => {
+  providers[name] = impl;
+};
+
+/**
+ * Store a file.
+ * @param {string} key – path-like name, e.g. "listings/<id>/<random>.jpeg"
+ * @param {Buffer} buffer
+ * @param {string} contentType
+ * @returns {Promise<string>} public URL
+ */
+exports.put = (key, buffer, contentType) => provider().put(key, buffer, contentType);
+
+/**
+ * Delete a stored file.
+ * @param {string} key
+ */
+exports.remove = key => provider().remove(key);
+
+/**
+ * Directory the local provider writes to (served at /uploads), or null
+ * when another provider is in use.
+ */
+exports.localDir = () => (providerName() === 'local' ? UPLOAD_DIR : null);
@@ -1,12 +1,144 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const userCache = require('./userCache');
 
-exports.generateAccessToken = user =>
-  jwt.sign({ id: user.id, role: user.role, sub: user.id, isAdmin: user.isAdmin, 
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '1h';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const IMPERSONATION_TTL = process.env.IMPERSONATION_TTL || '15m';
+
+const hashToken = token =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+exports.hashToken = hashToken;
+
+exports.generateAccessToken = (user, sessionId) =>
+  jwt.sign({ id: user.id, role: user.role, sub: user.id, isAdmin: user.isAdmin,
     isActive: user.isActive,
     email: user.email,
     firstName: user.firstName,
     lastName: user.lastName,
+    sid: sessionId ? String(sessionId) : undefined,
+    tv: user.tokenVersion || 0,
+
+  }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+/**
+ * Access token that lets an admin act as another user, for support.
+ * No refresh token: it simply expires. It is tied to the admin's own
+ * session (sid), so logging the admin out ends it too.
+ * @param {object} user  – User document being impersonated
+ * @param {object} admin – req.user of the admin
+ * @returns {string}
+ */
+exports.generateImpersonationToken = (user, admin) =>
+  jwt.sign({
+    id: user.id,
+    sub: user.id,
+    role: user.role,
+    sid: admin.sid,
+    tv: user.tokenVersion || 0,
+    typ: 'impersonation',
+    imp: String(admin.sub)
+  }, process.env.JWT_SECRET, { expiresIn: IMPERSONATION_TTL });
+
+exports.IMPERSONATION_TTL = IMPERSONATION_TTL;
+
+exports.verifyToken = token => jwt.verify(token, process.env.JWT_SECRET);
+
+/**
+ * Open a new device session and issue its first token pair.
+ * @param {object} user – User document
+ * @param {object} req  – express request (device info is read from it)
+ * @returns {Promise<{ token: string, refreshToken: string, session: object }>}
+ */
+exports.issueTokens = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName: req.body?.deviceName,
+    userAgent: req.headers['user-agent'],
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    token: exports.generateAccessToken(user, session._id),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new one on the same session.
+ * A token that was already rotated away revokes the whole session. The
+ * swap is a single conditional update, so when the same token is presented
+ * twice at once only one request gets a new token; the other counts as reuse.
+ * @param {string} refreshToken
+ * @param {object} req
+ * @returns {Promise<{ session: object, refreshToken: string }|null>} null if the token is unusable
+ */
+exports.rotateRefreshToken = async (refreshToken, req) => {
+  const hash = hashToken(refreshToken);
+  const current = await Session.findOne({ refreshTokenHash: hash });
+  if (current && !current.isActive) return null;
+
+  const next = newRefreshToken();
+  const session = current && await Session.findOneAndUpdate(
+    { _id: current._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      $set: {
+        previousTokenHash: hash,
+        refreshTokenHash: hashToken(next),
+        lastUsedAt: new Date(),
+        userAgent: req.headers['user-agent'] || current.userAgent,
+        ip: req.ip,
+        expiresAt: refreshExpiry()
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    await Session.updateOne(
+      current ? { _id: current._id, revokedAt: null } : { previousTokenHash: hash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'tokenReuse' } }
+    );
+    return null;
+  }
+
+  return { session, refreshToken: next };
+};
 
-  }, process.env.JWT_SECRET, { expiresIn: '1h' });
+/**
+ * Is the session behind an access token still usable?
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+exports.isSessionActive = async sessionId => {
+  if (!sessionId) return false;
+  return !!(await Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }));
+};
 
-exports.verifyToken = token => jwt.verify(token, process.env.JWT_SECRET);
\ No newline at end of file
+/**
+ * Kill every outstanding access and refresh token of a user by bumping
+ * their tokenVersion and revoking all device sessions.
+ * @param {string} userId
+ * @param {string} reason – Session.revokedReason
+ */
+exports.revokeAllTokens = async (userId, reason = 'accountChange') => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await Session.revokeAllForUser(userId, reason);
+  userCache.invalidate(userId);
+};
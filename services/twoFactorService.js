@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { authenticator } = require('otplib');
+const User = require('../models/User');
+
+const ISSUER = 'Okuafopa';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const STEP_MS = 30 * 1000;
+
+// accept the previous and next 30s step too, for phones with a drifting clock
+authenticator.options = { window: 1 };
+
+// TOTP secrets must be recoverable, so they are encrypted (not hashed) at rest
+const encKey = () =>
+  crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENC_KEY || process.env.JWT_SECRET || '')
+    .digest();
+
+exports.ADMIN_2FA_REQUIRED = process.env.ADMIN_2FA_REQUIRED === 'true';
+
+exports.generateSecret = () => authenticator.generateSecret();
+
+/**
+ * otpauth:// URL for authenticator apps (render it as a QR code client-side).
+ */
+exports.otpauthUrl = (accountName, secret) =>
+  authenticator.keyuri(accountName, ISSUER, secret);
+
+/**
+ * @param {string} secret – base32 TOTP secret
+ * @returns {string} iv.tag.ciphertext, hex encoded
+ */
+exports.encryptSecret = secret => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('hex')).join('.');
+};
+
+exports.decryptSecret = stored => {
+  const [iv, tag, data] = stored.split('.').map(h => Buffer.from(h, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+// the 30s time step a code belongs to, or null if it doesn't match
+function matchedStep(encryptedSecret, code) {
+  if (!encryptedSecret || !code) return null;
+  try {
+    const delta = authenticator.checkDelta(String(code).trim(), exports.decryptSecret(encryptedSecret));
+    return delta === null ? null : Math.floor(Date.now() / STEP_MS) + delta;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check a 6-digit code from the user's authenticator app and use it up:
+ * its time step is recorded on the user, and a code from that step or an
+ * earlier one is refused from then on. The check and the record are one
+ * conditional update, so two requests racing with the same code can't
+ * both pass.
+ * @param {object} user – needs _id
+ * @param {string} encryptedSecret – as stored on the user (or the pending one)
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+exports.useCode = async (user, encryptedSecret, code) => {
+  const step = matchedStep(encryptedSecret, code);
+  if (step === null) return false;
+  const res = await User.updateOne(
+    { _id: user._id, twoFactorLastUsedStep: { $not: { $gte: step } } },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  return res.modifiedCount === 1;
+};
+
+const hashRecoveryCode = code =>
+  crypto.createHash('sha256').update(String(code).trim().toUpperCase()).digest('hex');
+
+/**
+ * Fresh single-use recovery codes.
+ * @returns {{ codes: string[], hashes: string[] }} show `codes` once, store `hashes`
+ */
+exports.generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Consume a recovery code: removes it from the user's list if present.
+ * Caller must save().
+ * @returns {boolean}
+ */
+exports.useRecoveryCode = (user, code) => {
+  if (!code || !Array.isArray(user.twoFactorRecoveryCodes)) return false;
+  const hash = hashRecoveryCode(code);
+  const idx = user.twoFactorRecoveryCodes.indexOf(hash);
+  if (idx === -1) return false;
+  user.twoFactorRecoveryCodes.splice(idx, 1);
+  return true;
+};
+
+const hashChallenge = id => crypto.createHash('sha256').update(String(id)).digest('hex');
+
+/**
+ * Short-lived token proving the first factor passed; only good for
+ * POST /api/auth/2fa/verify (requireAuth refuses it), and only once. The
+ * user keeps one challenge at a time: a newer login replaces it.
+ * @returns {Promise<string>}
+ */
+exports.createChallenge = async user => {
+  const jti = crypto.randomBytes(16).toString('hex');
+  await User.updateOne({ _id: user._id }, { $set: { twoFactorChallenge: hashChallenge(jti) } });
+  return jwt.sign({ sub: user.id, typ: '2fa-challenge', jti }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+};
+
+/**
+ * Use up a verified challenge once its second factor checked out.
+ * @param {object} challenge – the payload verifyChallenge returned
+ * @returns {Promise<boolean>} false if it was already used or replaced
+ */
+exports.redeemChallenge = async challenge => {
+  if (!challenge.jti) return false;
+  const res = await User.updateOne(
+    { _id: challenge.sub, twoFactorChallenge: hashChallenge(challenge.jti) },
+    { $unset: { twoFactorChallenge: 1 } }
+  );
+  return res.modifiedCount === 1;
+};
+
+/**
+ * @returns {object|null} the challenge payload, or null if invalid/expired
+ */
+exports.verifyChallenge = token => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return payload.typ === '2fa-challenge' ? payload : null;
+  } catch (e) {
+    return null;
+  }
+};
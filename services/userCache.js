@@ -0,0 +1,34 @@
+const User = require('../models/User');
+
+/**
+ * Tiny in-process cache of the user fields requireAuth needs, so every
+ * request doesn't hit MongoDB. Entries live for AUTH_USER_CACHE_TTL_MS
+ * (default 30s) and are dropped as soon as this process changes the user.
+ */
+const TTL_MS = Number(process.env.AUTH_USER_CACHE_TTL_MS) || 30 * 1000;
+const AUTH_FIELDS = 'email firstName lastName role isAdmin isActive emailVerified phoneVerified tokenVersion twoFactorEnabled';
+
+const MAX_ENTRIES = 10000;
+
+const cache = new Map();
+
+/**
+ * @param {string} userId
+ * @returns {Promise<object|null>} lean user or null if it no longer exists
+ */
+async function get(userId) {
+  const key = String(userId);
+  const hit = cache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return hit.user;
+
+  const user = await User.findById(key).select(AUTH_FIELDS).lean();
+  if (cache.size >= MAX_ENTRIES) cache.clear();
+  cache.set(key, { user, expiresAt: Date.now() + TTL_MS });
+  return user;
+}
+
+function invalidate(userId) {
+  cache.delete(String(userId));
+}
+
+module.exports = { get, invalidate };
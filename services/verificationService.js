@@ -0,0 +1,48 @@
+const User = require('../models/User');
+const ProductListing = require('../models/ProductListing');
+const userCache = require('./userCache');
+
+/**
+ * A farmer's KYC outcome lives on User.verificationStatus and, for
+ * filtering listings without looking the farmer up
+ * (HIDE_UNVERIFIED_FARMERS), on each of their listings as farmerVerified.
+ */
+
+/**
+ * Record a farmer's verification status on their account and listings.
+ * @param {string} userId
+ * @param {string} verificationStatus – User.verificationStatus
+ * @param {string} by – who made the change
+ */
+async function setFarmerStatus(userId, verificationStatus, by) {
+  await User.updateOne({ _id: userId }, { $set: { verificationStatus, lastUpdatedBy: by } });
+  await ProductListing.updateMany(
+    { farmer: userId },
+    { $set: { farmerVerified: verificationStatus === 'verified' } }
+  );
+  userCache.invalidate(userId);
+}
+
+/**
+ * Scheduled: bring farmerVerified in line with the farmers' accounts, for
+ * listings from before it was stored or ones a failed update missed.
+ * @returns {Promise<number>} how many listings were updated
+ */
+async function syncListingVerification() {
+  let updated = 0;
+  const verified = User.find({ role: 'farmer', verificationStatus: 'verified' }).select('_id').lean().cursor();
+  for await (const { _id } of verified) {
+    const res = await ProductListing.updateMany({ farmer: _id, farmerVerified: { $ne: true } }, { $set: { farmerVerified: true } });
+    updated += res.modifiedCount;
+  }
+
+  const flagged = await ProductListing.distinct('farmer', { farmerVerified: true });
+  for (const farmerId of flagged) {
+    if (await User.exists({ _id: farmerId, verificationStatus: 'verified' })) continue;
+    const res = await ProductListing.updateMany({ farmer: farmerId, farmerVerified: true }, { $set: { farmerVerified: false } });
+    updated += res.modifiedCount;
+  }
+  return updated;
+}
+
+module.exports = { setFarmerStatus, syncListingVerification };
@@ -0,0 +1,68 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.ADMIN_2FA_REQUIRED = 'true';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { authorize } = require('../middleware/auth');
+
+/**
+ * Run authorize(permission) for a user; resolves with the status it
+ * answered with, or 'next' when it let the request through.
+ */
+function run(permission, reqUser) {
+  return new Promise(resolve => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      }
+    };
+    authorize(permission)({ user: reqUser }, res, () => resolve({ status: 'next' }));
+  });
+}
+
+const ROLE_CASES = [
+  // role, allowed, denied
+  ['farmer', 'listing:create', 'user:list'],
+  ['buyer', 'order:create', 'listing:create'],
+  ['support', 'auditLog:read', 'order:update-status'],
+  ['logistics', 'suborder:update-delivery', 'suborder:update-status']
+];
+
+describe('authorize()', () => {
+  for (const [role, allowed, denied] of ROLE_CASES) {
+    it(`lets a ${role} through for ${allowed}`, async () => {
+      assert.equal((await run(allowed, { sub: 'u1', role })).status, 'next');
+    });
+
+    it(`answers 403 to a ${role} for ${denied}`, async () => {
+      const { status, body } = await run(denied, { sub: 'u1', role });
+      assert.equal(status, 403);
+      assert.match(body.message, new RegExp(denied));
+    });
+  }
+
+  it('lets :own permissions through; the handler checks the resource', async () => {
+    assert.equal((await run('listing:update', { sub: 'u1', role: 'farmer' })).status, 'next');
+  });
+
+  it('lets an admin with two-factor authentication through for anything', async () => {
+    const admin = { sub: 'a1', role: 'admin', isAdmin: true, twoFactorEnabled: true };
+    assert.equal((await run('moderation:review', admin)).status, 'next');
+  });
+
+  it('stops an admin without two-factor authentication when it is required', async () => {
+    const { status, body } = await run('moderation:review', { sub: 'a1', role: 'admin', isAdmin: true });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'TWO_FACTOR_REQUIRED');
+  });
+
+  it('answers 403 to an API key without the scope for it', async () => {
+    const viaKey = { sub: 'u1', role: 'farmer', apiKeyScopes: ['listings:read'] };
+    assert.equal((await run('listing:list', viaKey)).status, 'next');
+    assert.equal((await run('listing:create', viaKey)).status, 403);
+  });
+});
@@ -0,0 +1,151 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ProductCategory = require('../models/ProductCategory');
+const categoryService = require('../services/categoryService');
+
+const { attributeSchemaError, checkAttributeValues, effectiveAttributes, placement, buildTree, MAX_DEPTH } = categoryService;
+
+// a chainable stand-in for ProductCategory.find/findById(...).select().lean()
+const lean = result => ({ select() { return this; }, lean: async () => result });
+
+describe('attributeSchemaError', () => {
+  it('accepts plain keys of the known types', () => {
+    assert.equal(attributeSchemaError([
+      { key: 'variety', type: 'string' },
+      { key: 'size_kg', type: 'number', required: true },
+      { key: 'organic', type: 'boolean' },
+      { key: 'grade', type: 'enum', options: ['A', 'B'] },
+      { key: 'origin' }
+    ]), null);
+    assert.equal(attributeSchemaError([]), null);
+  });
+
+  it('rejects keys that are not plain, or defined twice', () => {
+    assert.match(attributeSchemaError([{ key: '$where' }]), /must start with a letter/);
+    assert.match(attributeSchemaError([{ key: 'a.b' }]), /must start with a letter/);
+    assert.match(attributeSchemaError([{ key: 'x'.repeat(41) }]), /max 40/);
+    assert.equal(attributeSchemaError([{ key: 'grade' }, { key: 'grade' }]), 'Attribute grade is defined twice');
+  });
+
+  it('wants options on enums and nowhere else', () => {
+    assert.equal(attributeSchemaError([{ key: 'grade', type: 'enum', options: [' '] }]), 'Attribute grade: an enum needs options');
+    assert.equal(attributeSchemaError([{ key: 'grade', type: 'string', options: ['A'] }]), 'Attribute grade: only enum attributes have options');
+    assert.match(attributeSchemaError([{ key: 'grade', type: 'date' }]), /type must be one of/);
+  });
+
+  it('rejects anything but an array of objects', () => {
+    assert.equal(attributeSchemaError({ key: 'grade' }), 'attributes must be an array');
+    assert.equal(attributeSchemaError(['grade']), 'Each attribute must be an object');
+  });
+});
+
+describe('checkAttributeValues', () => {
+  const definitions = [
+    { key: 'size_kg', type: 'number', required: true },
+    { key: 'organic', type: 'boolean' },
+    { key: 'grade', type: 'enum', options: ['Premium', 'Standard'] },
+    { key: 'variety', type: 'string' }
+  ];
+
+  it('converts values to the defined types', () => {
+    assert.deepEqual(
+      checkAttributeValues({ size_kg: ' 12.5 ', organic: 'Yes', grade: 'premium', variety: '  Roma ' }, definitions),
+      { values: { size_kg: 12.5, organic: true, grade: 'Premium', variety: 'Roma' } }
+    );
+    assert.deepEqual(checkAttributeValues({ size_kg: 3, organic: false }, definitions), { values: { size_kg: 3, organic: false } });
+  });
+
+  it('leaves out empty values, so a required one is then missing', () => {
+    assert.deepEqual(checkAttributeValues({ size_kg: 1, variety: '', organic: null }, definitions), { values: { size_kg: 1 } });
+    assert.deepEqual(checkAttributeValues({ size_kg: '' }, definitions), { error: 'Missing required attributes: size_kg' });
+    assert.deepEqual(checkAttributeValues(undefined, definitions), { error: 'Missing required attributes: size_kg' });
+  });
+
+  it('names the attribute a value does not fit', () => {
+    assert.deepEqual(checkAttributeValues({ size_kg: 'big' }, definitions), { error: 'size_kg must be a number' });
+    assert.deepEqual(checkAttributeValues({ size_kg: 1, organic: 'maybe' }, definitions), { error: 'organic must be true or false' });
+    assert.deepEqual(checkAttributeValues({ size_kg: 1, grade: 'C' }, definitions), { error: 'grade must be one of: Premium, Standard' });
+    assert.deepEqual(checkAttributeValues({ size_kg: 1, variety: { $gt: '' } }, definitions), { error: 'variety must be text' });
+  });
+
+  it('refuses attributes the category does not define', () => {
+    assert.deepEqual(
+      checkAttributeValues({ size_kg: 1, colour: 'red' }, definitions),
+      { error: 'Unknown attribute colour for this category (allowed: size_kg, organic, grade, variety)' }
+    );
+    assert.deepEqual(checkAttributeValues({ colour: 'red' }, []), { error: 'Unknown attribute colour for this category' });
+    assert.deepEqual(checkAttributeValues(['red'], definitions), { error: 'attributes must be an object' });
+  });
+});
+
+describe('effectiveAttributes', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('inherits ancestors\' attributes, the nearest definition of a key winning', async () => {
+    const root = { _id: 'root', attributes: [{ key: 'organic', type: 'boolean' }, { key: 'grade', type: 'string' }] };
+    const mid = { _id: 'mid', attributes: [{ key: 'grade', type: 'enum', options: ['A', 'B'] }] };
+    const leaf = { _id: 'leaf', ancestors: ['root', 'mid'], attributes: [{ key: 'size_kg', type: 'number' }] };
+    mock.method(ProductCategory, 'findById', () => lean(leaf));
+    // the database returns ancestors in no particular order
+    const find = mock.method(ProductCategory, 'find', () => lean([mid, root]));
+
+    const attributes = await effectiveAttributes('leaf');
+
+    assert.deepEqual(find.mock.calls[0].arguments[0], { _id: { $in: ['root', 'mid'] } });
+    assert.deepEqual(
+      attributes.map(a => [a.key, a.type, a.category]),
+      [['organic', 'boolean', 'root'], ['grade', 'enum', 'mid'], ['size_kg', 'number', 'leaf']]
+    );
+  });
+
+  it('is null for a category that does not exist', async () => {
+    mock.method(ProductCategory, 'findById', () => lean(null));
+    assert.equal(await effectiveAttributes('gone'), null);
+  });
+});
+
+describe('placement', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('derives ancestors and path from the parent', async () => {
+    mock.method(ProductCategory, 'findById', () => lean({ _id: 'veg', categoryName: 'Vegetables', path: 'Produce > Vegetables', ancestors: ['produce'] }));
+
+    assert.deepEqual(await placement('veg'), { ancestors: ['produce', 'veg'], pathPrefix: 'Produce > Vegetables > ', depth: 2 });
+    assert.deepEqual(await placement(null), { ancestors: [], pathPrefix: '', depth: 0 });
+  });
+
+  it('refuses to go deeper than the limit', async () => {
+    const ancestors = Array.from({ length: MAX_DEPTH - 1 }, (_, i) => `c${i}`);
+    mock.method(ProductCategory, 'findById', () => lean({ _id: 'deep', categoryName: 'Deep', ancestors }));
+
+    assert.deepEqual(await placement('deep'), { error: `Categories can be at most ${MAX_DEPTH} levels deep` });
+  });
+});
+
+describe('buildTree', () => {
+  const categories = [
+    { _id: 'veg', categoryName: 'Vegetables', parent: null },
+    { _id: 'tubers', categoryName: 'Tubers', parent: 'veg' },
+    { _id: 'leafy', categoryName: 'Leafy greens', parent: 'veg' },
+    { _id: 'fruit', categoryName: 'Fruit' },
+    { _id: 'yam', categoryName: 'Yam', parent: 'tubers' }
+  ];
+
+  it('nests children under their parents, sorted by name', () => {
+    const tree = buildTree(categories);
+    assert.deepEqual(tree.map(c => c.categoryName), ['Fruit', 'Vegetables']);
+    assert.deepEqual(tree[1].children.map(c => c.categoryName), ['Leafy greens', 'Tubers']);
+    assert.deepEqual(tree[1].children[1].children.map(c => c._id), ['yam']);
+  });
+
+  it('returns just the subtree asked for', () => {
+    const [tubers] = buildTree(categories, 'tubers');
+    assert.equal(tubers._id, 'tubers');
+    assert.deepEqual(tubers.children.map(c => c._id), ['yam']);
+    assert.deepEqual(buildTree(categories, 'gone'), []);
+  });
+
+  it('treats a category whose parent is not in the list as a root', () => {
+    assert.deepEqual(buildTree([{ _id: 'yam', categoryName: 'Yam', parent: 'tubers' }]).map(c => c._id), ['yam']);
+  });
+});
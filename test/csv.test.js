@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const csv = require('../utils/csv');
+
+describe('csv.parse', () => {
+  it('reads quoted cells with commas, quotes and line breaks', () => {
+    assert.deepEqual(
+      csv.parse('sku,description\r\n00123,"Big, ""juicy""\ntomatoes"\r\n'),
+      [['sku', 'description'], ['00123', 'Big, "juicy"\ntomatoes']]
+    );
+  });
+
+  it('drops a BOM and blank lines and keeps empty cells', () => {
+    assert.deepEqual(csv.parse('\uFEFFa,b\n\n , \n1,\n'), [['a', 'b'], ['1', '']]);
+    assert.deepEqual(csv.parse('a,b'), [['a', 'b']]);
+  });
+});
+
+describe('csv.stringify', () => {
+  it('quotes only what needs it and writes dates as ISO', () => {
+    assert.equal(
+      csv.stringify([['a', 'b, c', 'say "hi"', null, 5, new Date('2024-03-01T00:00:00Z')]]),
+      'a,"b, c","say ""hi""",,5,2024-03-01T00:00:00.000Z\r\n'
+    );
+  });
+
+  it('keeps text that would run as a formula from doing so', () => {
+    assert.equal(
+      csv.stringify([['=HYPERLINK("http://x")', '+1', '-2', '@SUM(A1)', '\tx', 'a=b']]),
+      `"'=HYPERLINK(""http://x"")",'+1,'-2,'@SUM(A1),'\tx,a=b\r\n`
+    );
+    // numbers are numbers, even negative ones
+    assert.equal(csv.stringify([[-2]]), '-2\r\n');
+  });
+
+  it('round-trips through parse and restoreFormulaText', () => {
+    const row = ['=1+1', "'quoted", '-5 kg', 'plain'];
+    const [parsed] = csv.parse(csv.stringify([row]));
+    assert.deepEqual(parsed.map(csv.restoreFormulaText), row);
+  });
+});
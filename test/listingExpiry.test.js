@@ -0,0 +1,138 @@
+// emailService refuses to load without SMTP settings
+for (const key of ['SMTP_HOST', 'SMTP_PORT', 'SMTP_USER', 'SMTP_PASS', 'SMTP_FROM']) {
+  process.env[key] = process.env[key] || 'test';
+}
+process.env.LISTING_EXPIRY_WARNING_HOURS = '24';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ProductListing = require('../models/ProductListing');
+const emailService = require('../services/emailService');
+const { bestBeforeFor, freshnessFieldsError, processListingExpiry } = require('../services/listingExpiryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// what each ProductListing.find(...).populate().populate().lean() resolves to, call by call
+function finds(...results) {
+  return mock.method(ProductListing, 'find', () => {
+    const result = results.shift();
+    const q = { populate: () => q, lean: async () => result };
+    return q;
+  });
+}
+
+const listing = (id, fields = {}) => ({
+  _id: id,
+  productItem: { productName: 'Tomatoes' },
+  farmer: { _id: 'farmer-1', email: 'ama@example.com', emailNotification: true },
+  ...fields
+});
+
+describe('bestBeforeFor', () => {
+  it('prefers an explicit best-before date', () => {
+    const bestBefore = new Date('2024-03-10');
+    assert.deepEqual(bestBeforeFor({ harvestDate: '2024-03-01', shelfLifeDays: 3, bestBefore }), bestBefore);
+  });
+
+  it('adds the shelf life to the harvest date', () => {
+    assert.deepEqual(
+      bestBeforeFor({ harvestDate: '2024-03-01T00:00:00Z', shelfLifeDays: 4 }),
+      new Date('2024-03-05T00:00:00Z')
+    );
+    assert.deepEqual(
+      bestBeforeFor({ harvestDate: '2024-03-01T00:00:00Z', shelfLifeDays: 0 }),
+      new Date('2024-03-01T00:00:00Z')
+    );
+  });
+
+  it('has no date without a harvest date and shelf life', () => {
+    assert.equal(bestBeforeFor({ harvestDate: '2024-03-01' }), undefined);
+    assert.equal(bestBeforeFor({ shelfLifeDays: 3 }), undefined);
+  });
+});
+
+describe('freshnessFieldsError', () => {
+  it('accepts sensible dates', () => {
+    const harvestDate = new Date(Date.now() - DAY_MS);
+    assert.equal(freshnessFieldsError({ harvestDate, shelfLifeDays: 5 }), null);
+    assert.equal(freshnessFieldsError({}), null);
+  });
+
+  it('rejects a future harvest, a negative shelf life and an unparseable date', () => {
+    assert.equal(freshnessFieldsError({ harvestDate: new Date(Date.now() + DAY_MS) }), 'harvestDate cannot be in the future');
+    assert.equal(freshnessFieldsError({ shelfLifeDays: -1 }), 'shelfLifeDays must be >= 0');
+    assert.equal(freshnessFieldsError({ shelfLifeDays: 'soon' }), 'shelfLifeDays must be >= 0');
+    assert.equal(freshnessFieldsError({ bestBefore: 'tomorrow' }), 'bestBefore must be a date');
+  });
+
+  it('checks an update against the fields the listing already has', () => {
+    const current = { harvestDate: new Date('2024-03-01') };
+    assert.equal(freshnessFieldsError({ bestBefore: '2024-02-20' }, current), 'bestBefore cannot be before harvestDate');
+    assert.equal(freshnessFieldsError({ bestBefore: '2024-03-20' }, current), null);
+  });
+});
+
+describe('processListingExpiry', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('marks expiring listings warned before mailing their farmers', async () => {
+    const order = [];
+    finds([listing('soon')], []);
+    const update = mock.method(ProductListing, 'updateOne', async () => {
+      order.push('mark');
+      return { modifiedCount: 1 };
+    });
+    const send = mock.method(emailService, 'sendProductListingNotification', async () => order.push('mail'));
+
+    assert.deepEqual(await processListingExpiry(), { warned: 1, expired: 0 });
+
+    assert.deepEqual(order, ['mark', 'mail']);
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: 'soon' });
+    assert.ok(change.$set.expiryWarnedAt instanceof Date);
+    assert.equal(send.mock.calls[0].arguments[0], 'expiring');
+  });
+
+  it('only looks for active listings not yet warned that expire within the warning window', async () => {
+    const find = finds([], []);
+    mock.method(ProductListing, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    await processListingExpiry();
+
+    const [expiring] = find.mock.calls[0].arguments;
+    assert.equal(expiring.isActive, true);
+    assert.equal(expiring.expiryWarnedAt, null);
+    assert.equal(expiring.bestBefore.$lte - expiring.bestBefore.$gt, DAY_MS);
+    const [expired] = find.mock.calls[1].arguments;
+    assert.equal(expired.isActive, true);
+    assert.ok(expired.bestBefore.$lte instanceof Date);
+  });
+
+  it('takes expired listings down and tells the farmer only if this run did it', async () => {
+    finds([], [listing('gone'), listing('raced')]);
+    const update = mock.method(ProductListing, 'updateOne', async filter => ({ modifiedCount: filter._id === 'gone' ? 1 : 0 }));
+    const send = mock.method(emailService, 'sendProductListingNotification', async () => {});
+
+    assert.deepEqual(await processListingExpiry(), { warned: 0, expired: 2 });
+
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: 'gone', isActive: true });
+    assert.equal(change.$set.isActive, false);
+    assert.ok(change.$set.expiredAt instanceof Date);
+    assert.equal(send.mock.callCount(), 1);
+    assert.equal(send.mock.calls[0].arguments[0], 'expired');
+    assert.equal(send.mock.calls[0].arguments[1].title, 'Tomatoes');
+  });
+
+  it('keeps going when a mail fails and skips farmers who opted out', async () => {
+    finds([listing('a'), listing('b', { farmer: { _id: 'farmer-2', emailNotification: false } }), listing('c')], []);
+    mock.method(ProductListing, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const send = mock.method(emailService, 'sendProductListingNotification', async () => {
+      throw new Error('SMTP down');
+    });
+    mock.method(console, 'error', () => {});
+
+    assert.deepEqual(await processListingExpiry(), { warned: 3, expired: 0 });
+    assert.equal(send.mock.callCount(), 2);
+  });
+});
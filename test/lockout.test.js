@@ -0,0 +1,113 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { rejectIfLocked, recordFailedAttempt } = require('../services/lockoutService');
+
+const MINUTE = 60 * 1000;
+
+// what findOneAndUpdate(...).lean() resolves to, call by call
+function updates(...results) {
+  return mock.method(User, 'findOneAndUpdate', () => ({ lean: async () => results.shift() }));
+}
+
+const newUser = () => new User({
+  email: 'farmer@example.com',
+  phoneNumber: '+233200000000',
+  firstName: 'Ama',
+  lastName: 'Mensah',
+  password: 'secret'
+});
+
+describe('User#registerFailedAttempt', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('counts below the limit with a single $inc and no lock', async () => {
+    const user = newUser();
+    const calls = updates({ failedAttempts: 3, lockCount: 0 });
+
+    assert.equal(await user.registerFailedAttempt(), null);
+    assert.equal(calls.mock.callCount(), 1);
+    const [filter, update, options] = calls.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: user._id });
+    assert.deepEqual(update, { $inc: { failedAttempts: 1 } });
+    assert.equal(options.new, true);
+  });
+
+  it('locks on reaching the limit, for longer after each lockout', async () => {
+    const user = newUser();
+    const lock = { lockUntil: new Date(), lockCount: 3 };
+    const calls = updates({ failedAttempts: 5, lockCount: 2 }, lock);
+
+    const before = Date.now();
+    assert.equal(await user.registerFailedAttempt(), lock);
+
+    const [filter, update] = calls.mock.calls[1].arguments;
+    assert.deepEqual(filter, { _id: user._id, failedAttempts: { $gte: 5 } });
+    assert.equal(update.$set.failedAttempts, 0);
+    assert.deepEqual(update.$inc, { lockCount: 1 });
+    assert.deepEqual(update.$unset, { otp: 1, otpExpiry: 1, otpPurpose: 1 });
+    // third lockout: 5 minutes doubled twice
+    const lockMs = update.$set.lockUntil - before;
+    assert.ok(lockMs >= 20 * MINUTE && lockMs < 21 * MINUTE);
+  });
+
+  it('takes the lock length from the counter the update returned, not the loaded document', async () => {
+    const user = newUser();
+    user.lockCount = 0;
+    const calls = updates({ failedAttempts: 5, lockCount: 20 }, { lockUntil: new Date(), lockCount: 21 });
+
+    await user.registerFailedAttempt();
+    const lockMs = calls.mock.calls[1].arguments[1].$set.lockUntil - Date.now();
+    assert.ok(lockMs > 23 * 60 * MINUTE && lockMs <= 24 * 60 * MINUTE);
+  });
+
+  it('lets only one of several attempts reaching the limit together lock', async () => {
+    const user = newUser();
+    // another request already locked and reset the counter
+    updates({ failedAttempts: 6, lockCount: 0 }, null);
+
+    assert.equal(await user.registerFailedAttempt(), null);
+  });
+});
+
+describe('lockoutService', () => {
+  afterEach(() => mock.restoreAll());
+
+  const req = { ip: '127.0.0.1', originalUrl: '/api/auth/login', method: 'POST' };
+
+  it('writes a LOCKOUT audit entry only for the attempt that locked', async () => {
+    const user = newUser();
+    const audit = mock.method(AuditLog, 'create', async () => ({}));
+
+    mock.method(user, 'registerFailedAttempt', async () => null);
+    await recordFailedAttempt(user, req, 'password');
+    assert.equal(audit.mock.callCount(), 0);
+
+    const lockUntil = new Date(Date.now() + 5 * MINUTE);
+    mock.method(user, 'registerFailedAttempt', async () => ({ lockUntil, lockCount: 1 }));
+    await recordFailedAttempt(user, req, 'password');
+    const [entry] = audit.mock.calls[0].arguments;
+    assert.equal(entry.action, 'LOCKOUT');
+    assert.equal(entry.metadata.reason, 'password');
+    assert.equal(entry.metadata.lockUntil, lockUntil);
+  });
+
+  it('answers 429 with Retry-After while the account is locked', () => {
+    const user = newUser();
+    user.lockUntil = new Date(Date.now() + 90 * 1000);
+    const res = {
+      headers: {},
+      set(name, value) { this.headers[name] = value; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; }
+    };
+
+    assert.equal(rejectIfLocked(user, res), true);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['Retry-After'], '90');
+    assert.equal(rejectIfLocked(newUser(), res), false);
+  });
+});
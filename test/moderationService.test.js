@@ -0,0 +1,174 @@
+// emailService refuses to load without SMTP settings
+for (const key of ['SMTP_HOST', 'SMTP_PORT', 'SMTP_USER', 'SMTP_PASS', 'SMTP_FROM']) {
+  process.env[key] = process.env[key] || 'test';
+}
+process.env.LISTING_BANNED_WORDS = 'Mobile Money Advance, ';
+delete process.env.LISTING_PRICE_OUTLIER_FACTOR;
+delete process.env.LISTING_REPORTS_BEFORE_REVIEW;
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ProductListing = require('../models/ProductListing');
+const ListingReport = require('../models/ListingReport');
+const { isListed, bannedWordsIn, screen, reportFiled, REPORTS_BEFORE_REVIEW } = require('../services/moderationService');
+
+// ProductListing.find(...).sort().limit().select().lean() resolving to these prices
+function prices(...values) {
+  return mock.method(ProductListing, 'find', () => {
+    const q = { sort: () => q, limit: () => q, select: () => q, lean: async () => values.map(price => ({ price })) };
+    return q;
+  });
+}
+
+const listing = (fields = {}) => ({
+  _id: 'l1',
+  productItem: 'tomatoes',
+  unit: 'kg',
+  price: 10,
+  description: 'Fresh from the farm',
+  ...fields
+});
+
+describe('isListed', () => {
+  it('lists approved listings and those from before moderation', () => {
+    assert.equal(isListed({ moderationStatus: 'approved' }), true);
+    assert.equal(isListed({}), true);
+    assert.equal(isListed({ moderationStatus: 'pending' }), false);
+    assert.equal(isListed({ moderationStatus: 'taken_down' }), false);
+  });
+});
+
+describe('bannedWordsIn', () => {
+  it('matches whole words and phrases, ignoring case and accents', () => {
+    assert.deepEqual(bannedWordsIn('Pay by WESTERN   Union only'), ['western union']);
+    assert.deepEqual(bannedWordsIn('Bitcoín accepted'), ['bitcoin']);
+    assert.deepEqual(bannedWordsIn('Cryptography lessons'), []);
+  });
+
+  it('includes the words configured in LISTING_BANNED_WORDS', () => {
+    assert.deepEqual(bannedWordsIn('mobile money advance first'), ['mobile money advance']);
+    assert.deepEqual(bannedWordsIn(''), []);
+  });
+});
+
+describe('screen', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('approves a clean new listing when there are too few others to compare prices with', async () => {
+    prices(10, 12, 9, 11);
+    assert.deepEqual(await screen(listing({ price: 1000 }), null), { moderationStatus: 'approved', moderationFlags: [] });
+  });
+
+  it('holds a listing with banned words, also in its unit label and attributes', async () => {
+    prices();
+    const { moderationStatus, moderationFlags } = await screen(listing({
+      unitLabel: 'crate',
+      attributes: new Map([['variety', 'Roma'], ['note', 'gift card ok']])
+    }), null);
+
+    assert.equal(moderationStatus, 'pending');
+    assert.deepEqual(moderationFlags.map(f => [f.kind, f.detail]), [['banned_word', 'gift card']]);
+  });
+
+  it('holds prices far from the median of comparable listings', async () => {
+    const find = prices(8, 10, 10, 12, 30);
+
+    const high = await screen(listing({ price: 51 }), null);
+    assert.equal(high.moderationStatus, 'pending');
+    assert.equal(high.moderationFlags[0].kind, 'price_high');
+    assert.equal(high.moderationFlags[0].detail, '51 per kg, where similar listings ask around 10');
+
+    assert.equal((await screen(listing({ price: 1.9 }), null)).moderationFlags[0].kind, 'price_low');
+    assert.deepEqual((await screen(listing({ price: 40 }), null)).moderationFlags, []);
+
+    const [filter] = find.mock.calls[0].arguments;
+    assert.deepEqual(filter, {
+      productItem: 'tomatoes',
+      unit: 'kg',
+      isActive: true,
+      moderationStatus: { $in: ['approved', null] },
+      _id: { $ne: 'l1' }
+    });
+  });
+
+  it('leaves the review state alone when an edit touches nothing screened', async () => {
+    const find = prices();
+    const current = listing({ moderationStatus: 'approved' });
+    assert.deepEqual(await screen({ ...current, quantity: 4 }, current, ['quantity']), {});
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it('keeps a taken-down listing down whatever is edited', async () => {
+    prices();
+    const current = listing({ moderationStatus: 'taken_down' });
+    assert.deepEqual(await screen({ ...current, description: 'All fine now' }, current, ['description']), {});
+  });
+
+  it('releases a listing held only by screening once the flagged part is fixed', async () => {
+    prices();
+    const current = listing({
+      moderationStatus: 'pending',
+      moderationFlags: [{ kind: 'banned_word', detail: 'bitcoin' }]
+    });
+    assert.deepEqual(
+      await screen({ ...current, description: 'Cash on pickup' }, current, ['description']),
+      { moderationStatus: 'approved', moderationFlags: [] }
+    );
+  });
+
+  it('keeps flags about parts an edit did not touch, and buyers\' reports', async () => {
+    prices();
+    const reported = { kind: 'reported', detail: '3 open reports' };
+    const priceHigh = { kind: 'price_high', detail: '90 per kg' };
+    const current = listing({
+      moderationStatus: 'pending',
+      moderationFlags: [{ kind: 'banned_word', detail: 'bitcoin' }, priceHigh, reported]
+    });
+
+    const result = await screen({ ...current, description: 'Cash on pickup' }, current, ['description']);
+
+    assert.equal(result.moderationStatus, 'pending');
+    assert.deepEqual(result.moderationFlags, [priceHigh, reported]);
+  });
+
+  it('sends an edited rejected listing back to a reviewer', async () => {
+    prices();
+    const current = listing({ moderationStatus: 'rejected' });
+    assert.deepEqual(
+      await screen({ ...current, description: 'Better photos' }, current, ['description']),
+      { moderationStatus: 'pending', moderationFlags: [] }
+    );
+  });
+});
+
+describe('reportFiled', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('holds a listing once enough reports are open, and only once', async () => {
+    assert.equal(REPORTS_BEFORE_REVIEW, 3);
+    mock.method(ListingReport, 'countDocuments', async () => 2);
+    const hold = mock.method(ProductListing, 'findOneAndUpdate', async () => ({ _id: 'l1' }));
+    // notifyFarmer finds nothing to notify
+    const find = mock.method(ProductListing, 'findById', () => {
+      const q = { populate: () => q, lean: async () => null };
+      return q;
+    });
+
+    assert.equal(await reportFiled('l1'), false);
+    assert.equal(hold.mock.callCount(), 0);
+
+    mock.method(ListingReport, 'countDocuments', async () => 3);
+    assert.equal(await reportFiled('l1'), true);
+    const [filter, update] = hold.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: 'l1', moderationStatus: { $in: ['approved', null] } });
+    assert.deepEqual(update.$set, { moderationStatus: 'pending' });
+    assert.deepEqual(update.$push, { moderationFlags: { kind: 'reported', detail: '3 open reports' } });
+    assert.equal(find.mock.callCount(), 1);
+
+    // already held (or taken down): nothing changes and nobody is told again
+    mock.method(ProductListing, 'findOneAndUpdate', async () => null);
+    mock.method(ListingReport, 'countDocuments', async () => 4);
+    assert.equal(await reportFiled('l1'), false);
+    assert.equal(find.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,185 @@
+// emailService refuses to load without SMTP settings
+for (const key of ['SMTP_HOST', 'SMTP_PORT', 'SMTP_USER', 'SMTP_PASS', 'SMTP_FROM']) {
+  process.env[key] = process.env[key] || 'test';
+}
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ProductListing = require('../models/ProductListing');
+const StockMovement = require('../models/StockMovement');
+const inventoryService = require('../services/inventoryService');
+const stockAlertService = require('../services/stockAlertService');
+const orderController = require('../controllers/orderController');
+
+const id = () => new mongoose.Types.ObjectId();
+const admin = { sub: String(id()), role: 'admin' };
+
+describe('inventoryService.move', () => {
+  let create, alert;
+
+  beforeEach(() => {
+    create = mock.method(StockMovement, 'create', async () => []);
+    alert = mock.method(stockAlertService, 'stockChanged', async () => {});
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('takes stock only if there is enough of it, in one update', async () => {
+    const listing = id();
+    const update = mock.method(ProductListing, 'findOneAndUpdate', async () => null);
+
+    assert.equal(await inventoryService.move({ listing, type: 'sale', quantity: -3 }), null);
+
+    const [filter, pipeline] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: listing, quantity: { $gte: 3 } });
+    assert.deepEqual(pipeline, [{ $set: { quantity: { $add: ['$quantity', -3] } } }]);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it('stops counters at zero when stock comes back', async () => {
+    const update = mock.method(ProductListing, 'findOneAndUpdate', async () => ({ _id: id(), farmer: id(), quantity: 5 }));
+
+    await inventoryService.move({ listing: id(), type: 'cancellation_return', quantity: 2, inc: { salesCount: -2 } });
+
+    const [filter, [{ $set }]] = update.mock.calls[0].arguments;
+    assert.equal(filter.quantity, undefined);
+    assert.deepEqual($set.salesCount, { $max: [0, { $add: [{ $ifNull: ['$salesCount', 0] }, -2] }] });
+  });
+
+  it('records the balance, and leaves the alerts to the caller inside a transaction', async () => {
+    const session = {};
+    const updated = { _id: id(), farmer: id(), quantity: 7 };
+    mock.method(ProductListing, 'findOneAndUpdate', async () => updated);
+
+    await inventoryService.move({ listing: updated._id, type: 'restock', quantity: 4, session });
+    const [[movement], options] = create.mock.calls[0].arguments;
+    assert.equal(movement.balance, 7);
+    assert.equal(options.session, session);
+    assert.equal(alert.mock.callCount(), 0);
+
+    await inventoryService.move({ listing: updated._id, type: 'restock', quantity: 4 });
+    assert.deepEqual(alert.mock.calls[0].arguments, [updated, 4]);
+  });
+});
+
+describe('order stock release', () => {
+  let session, moves;
+
+  // a fake session recording what happened to the transaction
+  beforeEach(() => {
+    session = {
+      log: [],
+      startTransaction() { this.log.push('start'); },
+      async commitTransaction() { this.log.push('commit'); },
+      async abortTransaction() { this.log.push('abort'); },
+      inTransaction() { return this.log.at(-1) === 'start'; },
+      endSession() { this.log.push('end'); }
+    };
+    mock.method(mongoose, 'startSession', async () => session);
+    mock.method(stockAlertService, 'stockChanged', async () => {});
+    moves = mock.method(inventoryService, 'move', async ({ listing, quantity }) => ({ _id: listing, quantity: 10 + quantity }));
+  });
+  afterEach(() => mock.restoreAll());
+
+  const item = (fields = {}) => ({ product: id(), qty: 2, priceAtOrder: 5, ...fields });
+
+  const newOrder = subOrders => new Order({
+    buyer: id(),
+    subOrders: subOrders.map(({ status = 'pending', items }) => ({
+      farmer: id(),
+      deliveryMethod: 'pickup',
+      subtotal: 10,
+      status,
+      items
+    }))
+  });
+
+  // Order.findById serves both withAudit's snapshot and the transactional read
+  const serve = order => mock.method(Order, 'findById', () => ({
+    lean: async () => order && order.toObject(),
+    session: async () => order
+  }));
+
+  const call = async (handler, req) => {
+    const res = {
+      locals: {},
+      once() {},
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+      end() { return this; }
+    };
+    let error;
+    await handler(req, res, err => { error = err; });
+    if (error) throw error;
+    return res;
+  };
+
+  it('gives back what a deleted order still held, but not delivered or already returned items', async () => {
+    const open = item();
+    const order = newOrder([
+      { items: [open, item({ itemStatus: 'delivered' }), item({ itemStatus: 'rejected', stockReleasedAt: new Date() })] },
+      { status: 'delivered', items: [item()] }
+    ]);
+    serve(order);
+    const remove = mock.method(order, 'deleteOne', async () => {});
+
+    const res = await call(orderController.deleteOrder, { params: { id: String(order._id) }, user: admin });
+
+    assert.equal(res.statusCode, 204);
+    assert.equal(moves.mock.callCount(), 1);
+    const [move] = moves.mock.calls[0].arguments;
+    assert.equal(move.listing, open.product);
+    assert.equal(move.type, 'cancellation_return');
+    assert.equal(move.quantity, 2);
+    assert.deepEqual(move.inc, { salesCount: -2 });
+    assert.equal(move.session, session);
+    assert.equal(remove.mock.calls[0].arguments[0].session, session);
+    assert.deepEqual(session.log, ['start', 'commit', 'end']);
+  });
+
+  it('answers 404 for an order that is gone, without moving stock', async () => {
+    serve(null);
+
+    const res = await call(orderController.deleteOrder, { params: { id: String(id()) }, user: admin });
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(moves.mock.callCount(), 0);
+    assert.deepEqual(session.log, ['start', 'abort', 'end']);
+  });
+
+  it('aborts the transaction when releasing fails', async () => {
+    const order = newOrder([{ items: [item()] }]);
+    serve(order);
+    const remove = mock.method(order, 'deleteOne', async () => {});
+    mock.method(inventoryService, 'move', async () => { throw new Error('write conflict'); });
+    mock.method(console, 'error', () => {});
+
+    await assert.rejects(call(orderController.deleteOrder, { params: { id: String(order._id) }, user: admin }), /write conflict/);
+
+    assert.equal(remove.mock.callCount(), 0);
+    assert.deepEqual(session.log, ['start', 'abort', 'end']);
+  });
+
+  it('refuses to reopen a rejected sub-order when its stock has been sold since', async () => {
+    const released = item({ itemStatus: 'rejected', stockReleasedAt: new Date() });
+    const order = newOrder([{ status: 'rejected', items: [released] }]);
+    serve(order);
+    const save = mock.method(order, 'save', async () => order);
+    moves = mock.method(inventoryService, 'move', async () => null);
+
+    const res = await call(orderController.updateSubOrderStatus, {
+      params: { orderId: String(order._id), subOrderId: String(order.subOrders[0]._id) },
+      body: { status: 'accepted', setItemsTo: 'accepted' },
+      user: admin
+    });
+
+    assert.equal(res.statusCode, 409);
+    const [move] = moves.mock.calls[0].arguments;
+    assert.equal(move.type, 'sale');
+    assert.equal(move.quantity, -2);
+    assert.equal(save.mock.callCount(), 0);
+    assert.deepEqual(session.log, ['start', 'abort', 'end']);
+  });
+});
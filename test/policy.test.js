@@ -0,0 +1,144 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const policy = require('../utils/policy');
+
+const FARMER = 'f0000000000000000000000a';
+const OTHER_FARMER = 'f0000000000000000000000b';
+const BUYER = 'b0000000000000000000000a';
+const OTHER_BUYER = 'b0000000000000000000000b';
+
+const user = (role, sub, extra = {}) => ({ sub, role, ...extra });
+
+const farmer = user('farmer', FARMER);
+const buyer = user('buyer', BUYER);
+const admin = user('admin', 'a0000000000000000000000a');
+const support = user('support', 'c0000000000000000000000a');
+const logistics = user('logistics', 'd0000000000000000000000a');
+
+const listing = { _id: 'l1', farmer: FARMER };
+const othersListing = { _id: 'l2', farmer: OTHER_FARMER };
+const order = { _id: 'o1', buyer: BUYER, subOrders: [{ farmer: FARMER }] };
+const othersOrder = { _id: 'o2', buyer: OTHER_BUYER, subOrders: [{ farmer: OTHER_FARMER }] };
+
+describe('farmer', () => {
+  it('manages only their own listings', () => {
+    assert.equal(policy.scope(farmer, 'listing:update'), 'own');
+    assert.equal(policy.can(farmer, 'listing:update'), true);
+    assert.equal(policy.can(farmer, 'listing:update', listing), true);
+    assert.equal(policy.can(farmer, 'listing:update', othersListing), false);
+    assert.equal(policy.can(farmer, 'listing:delete', othersListing), false);
+  });
+
+  it('owns orders they have a subOrder in, and may move their subOrders', () => {
+    assert.equal(policy.can(farmer, 'order:read', order), true);
+    assert.equal(policy.can(farmer, 'order:read', othersOrder), false);
+    assert.equal(policy.can(farmer, 'suborder:update-status', { farmer: FARMER }), true);
+    assert.equal(policy.can(farmer, 'suborder:update-status', { farmer: OTHER_FARMER }), false);
+  });
+
+  it('responds to feedback only on their own orders, through the order', () => {
+    assert.equal(policy.can(farmer, 'feedback:respond', order), true);
+    assert.equal(policy.can(farmer, 'feedback:respond', othersOrder), false);
+  });
+
+  it('cannot moderate, manage users or see the audit log', () => {
+    assert.equal(policy.scope(farmer, 'moderation:review'), null);
+    assert.equal(policy.can(farmer, 'user:list'), false);
+    assert.equal(policy.can(farmer, 'auditLog:read'), false);
+  });
+});
+
+describe('buyer', () => {
+  it('browses, favourites and reports listings but cannot create them', () => {
+    assert.equal(policy.scope(buyer, 'listing:list'), 'any');
+    assert.equal(policy.can(buyer, 'listing:favourite'), true);
+    assert.equal(policy.can(buyer, 'listing:report'), true);
+    assert.equal(policy.can(buyer, 'listing:create'), false);
+    assert.equal(policy.can(buyer, 'listing:update', listing), false);
+  });
+
+  it('reads only their own orders', () => {
+    assert.equal(policy.scope(buyer, 'order:read'), 'own');
+    assert.equal(policy.can(buyer, 'order:read', order), true);
+    assert.equal(policy.can(buyer, 'order:read', othersOrder), false);
+  });
+
+  it('resolves message ownership through the order', () => {
+    assert.equal(policy.can(buyer, 'message:create', order), true);
+    assert.equal(policy.can(buyer, 'message:create', othersOrder), false);
+    assert.equal(policy.can(buyer, 'message:read', { sender: OTHER_FARMER, order }), true);
+    // an unpopulated order can't prove ownership
+    assert.equal(policy.can(buyer, 'message:read', { sender: OTHER_FARMER, order: 'o1' }), false);
+    assert.equal(policy.can(buyer, 'message:update', { sender: BUYER }), true);
+    assert.equal(policy.can(buyer, 'message:update', { sender: OTHER_BUYER }), false);
+  });
+
+  it('matches populated owners as well as ids', () => {
+    assert.equal(policy.can(buyer, 'order:read', { ...order, buyer: { _id: BUYER } }), true);
+  });
+
+  it('cannot change subOrder status or delivery', () => {
+    assert.equal(policy.can(buyer, 'suborder:update-status'), false);
+    assert.equal(policy.can(buyer, 'suborder:update-delivery'), false);
+  });
+});
+
+describe('admin', () => {
+  it('holds every permission on every resource', () => {
+    assert.equal(policy.scope(admin, 'listing:update'), 'any');
+    assert.equal(policy.can(admin, 'listing:update', othersListing), true);
+    assert.equal(policy.can(admin, 'order:read', othersOrder), true);
+    assert.equal(policy.can(admin, 'moderation:review'), true);
+    assert.equal(policy.can(admin, 'user:impersonate'), true);
+  });
+
+  it('comes with isAdmin whatever the role', () => {
+    const promoted = user('buyer', BUYER, { isAdmin: true });
+    assert.equal(policy.can(promoted, 'listing:update', othersListing), true);
+  });
+
+  it('is narrowed down by API key scopes', () => {
+    const viaKey = { ...admin, apiKeyScopes: ['listings:read'] };
+    assert.equal(policy.can(viaKey, 'listing:list'), true);
+    assert.equal(policy.can(viaKey, 'listing:update'), false);
+    assert.equal(policy.can(viaKey, 'order:read'), false);
+  });
+});
+
+describe('support', () => {
+  it('reads everything a ticket needs, on any resource', () => {
+    assert.equal(policy.scope(support, 'order:read'), 'any');
+    assert.equal(policy.can(support, 'order:read', othersOrder), true);
+    assert.equal(policy.can(support, 'user:read'), true);
+    assert.equal(policy.can(support, 'moderation:read'), true);
+    assert.equal(policy.can(support, 'verification:read'), true);
+  });
+
+  it('changes nothing', () => {
+    assert.equal(policy.can(support, 'listing:update', othersListing), false);
+    assert.equal(policy.can(support, 'order:update-status'), false);
+    assert.equal(policy.can(support, 'moderation:review'), false);
+    assert.equal(policy.can(support, 'verification:review'), false);
+  });
+});
+
+describe('logistics', () => {
+  it('follows any order and moves deliveries along', () => {
+    assert.equal(policy.can(logistics, 'order:read', othersOrder), true);
+    assert.equal(policy.can(logistics, 'suborder:update-delivery', { farmer: OTHER_FARMER }), true);
+  });
+
+  it('cannot change order status, listings or users', () => {
+    assert.equal(policy.can(logistics, 'suborder:update-status'), false);
+    assert.equal(policy.can(logistics, 'listing:create'), false);
+    assert.equal(policy.can(logistics, 'user:list'), false);
+  });
+});
+
+describe('unknown users', () => {
+  it('get nothing', () => {
+    assert.equal(policy.can(undefined, 'listing:list'), false);
+    assert.equal(policy.scope(user('nobody', 'x'), 'listing:list'), null);
+    assert.deepEqual(policy.permissionsFor(null), []);
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolvePrice, priceTiersError } = require('../utils/pricing');
+
+const listing = {
+  price: 100,
+  priceTiers: [
+    { minQty: 10, price: 90 },
+    { minQty: 50, price: 80 },
+    { minQty: 20, price: 75, buyerGroup: 'wholesaler' },
+    { minQty: 1, price: 95, buyerGroup: 'school' }
+  ]
+};
+
+describe('resolvePrice', () => {
+  it('charges the base price below every tier', () => {
+    assert.deepEqual(resolvePrice(listing, 9), { price: 100, tier: null });
+    assert.deepEqual(resolvePrice({ price: 12 }, 500), { price: 12, tier: null });
+  });
+
+  it('applies the cheapest tier the quantity reaches', () => {
+    assert.equal(resolvePrice(listing, 10).price, 90);
+    assert.equal(resolvePrice(listing, 49).price, 90);
+    assert.deepEqual(resolvePrice(listing, 50), { price: 80, tier: listing.priceTiers[1] });
+  });
+
+  it('gives group tiers only to members of the group', () => {
+    assert.equal(resolvePrice(listing, 20).price, 90);
+    assert.equal(resolvePrice(listing, 20, ['wholesaler']).price, 75);
+    assert.equal(resolvePrice(listing, 60, ['wholesaler']).price, 75);
+    assert.equal(resolvePrice(listing, 1, ['school']).price, 95);
+    assert.equal(resolvePrice(listing, 1, ['restaurant']).price, 100);
+  });
+});
+
+describe('priceTiersError', () => {
+  it('accepts tiers below the base price', () => {
+    assert.equal(priceTiersError(listing.priceTiers, 100), null);
+    assert.equal(priceTiersError([], 100), null);
+    // minQty defaults to 1
+    assert.equal(priceTiersError([{ price: 5, buyerGroup: 'hotel' }], 10), null);
+  });
+
+  it('rejects a tier that is not cheaper than the base price', () => {
+    assert.equal(priceTiersError([{ minQty: 10, price: 100 }], 100), 'Price tier price (100) must be below the base price (100)');
+  });
+
+  it('rejects bad quantities, prices and groups', () => {
+    assert.equal(priceTiersError([{ minQty: 0, price: 5 }], 10), 'Price tier minQty must be > 0');
+    assert.equal(priceTiersError([{ minQty: 'ten', price: 5 }], 10), 'Price tier minQty must be > 0');
+    assert.equal(priceTiersError([{ minQty: 2, price: -1 }], 10), 'Price tier price must be > 0');
+    assert.match(priceTiersError([{ minQty: 2, price: 5, buyerGroup: 'friends' }], 10), /buyerGroup must be one of/);
+    assert.equal(priceTiersError({ minQty: 2, price: 5 }, 10), 'priceTiers must be an array');
+    assert.equal(priceTiersError([null], 10), 'Each price tier must be an object');
+  });
+
+  it('rejects two tiers for the same quantity and group', () => {
+    assert.equal(priceTiersError([{ minQty: 5, price: 8 }, { minQty: 5, price: 7 }], 10), 'Duplicate price tier for minQty 5');
+    assert.equal(
+      priceTiersError([{ minQty: 5, price: 8, buyerGroup: 'school' }, { minQty: 5, price: 7, buyerGroup: 'school' }], 10),
+      'Duplicate price tier for minQty 5 (school)'
+    );
+    assert.equal(priceTiersError([{ minQty: 5, price: 8 }, { minQty: 5, price: 7, buyerGroup: 'school' }], 10), null);
+  });
+
+  it('caps the number of tiers', () => {
+    const tiers = Array.from({ length: 21 }, (_, i) => ({ minQty: i + 1, price: 5 }));
+    assert.equal(priceTiersError(tiers, 10), 'At most 20 price tiers are allowed');
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ProductListing = require('../models/ProductListing');
+const ProductItem = require('../models/ProductItem');
+const ProductCategory = require('../models/ProductCategory');
+const User = require('../models/User');
+const { normalize, expandQuery, searchListings } = require('../services/searchService');
+
+const MAX_CANDIDATES = 500;
+
+// a chainable stand-in for a mongoose query; `result` may read the chain's calls
+function query(result) {
+  const q = {
+    then: (ok, fail) => Promise.resolve(typeof result === 'function' ? result(q) : result).then(ok, fail)
+  };
+  for (const m of ['select', 'lean', 'populate', 'sort', 'skip', 'limit']) {
+    q[m] = arg => {
+      q[m + 'Arg'] = arg;
+      return q;
+    };
+  }
+  return q;
+}
+
+const CATALOGUE = [
+  { _id: 'item-tomato', productName: 'Tomatoes', names: {}, aliases: [] },
+  { _id: 'item-plantain', productName: 'Plantain', names: { tw: 'Brodeɛ' }, aliases: [] }
+];
+
+const listing = (n, fields = {}) => ({
+  _id: `listing-${n}`,
+  productItem: CATALOGUE[0],
+  farmer: { firstName: 'Kofi', lastName: 'Boateng' },
+  description: '',
+  createdAt: new Date(2024, 0, 1 + (n % 28)),
+  ...fields
+});
+
+describe('searchService', () => {
+  before(() => {
+    mock.method(ProductItem, 'find', () => query(CATALOGUE));
+    mock.method(ProductCategory, 'find', () => query([]));
+    mock.method(User, 'find', () => query([]));
+  });
+  after(() => mock.restoreAll());
+
+  describe('normalize', () => {
+    it('folds case, accents and Ghanaian letters and keeps words only', () => {
+      assert.equal(normalize('Brodeɛ, ƆKRO!'), 'brodee okro');
+      assert.equal(normalize('Café  crème'), 'cafe creme');
+    });
+  });
+
+  describe('expandQuery', () => {
+    const termMap = async q => Object.fromEntries((await expandQuery(q)).map(t => [t.term, t.weight]));
+
+    it('adds synonyms of a multi-word name without those of the words in it', async () => {
+      const terms = await termMap('garden egg');
+      assert.equal(terms.eggplant, 0.8);
+      assert.equal(terms.nyaadoa, 0.8);
+      assert.equal(terms.kosua, undefined);
+    });
+
+    it('replaces a likely typo with close catalogue words and their synonyms', async () => {
+      const terms = await termMap('tomatos');
+      assert.equal(terms.tomatos, 1);
+      assert.equal(terms.tomatoes, 0.5);
+      assert.equal(terms.ntoos, 0.5);
+    });
+
+    it('leaves the start of a known word alone', async () => {
+      assert.deepEqual(await termMap('plant'), { plant: 1 });
+    });
+
+    it('drops stop words', async () => {
+      assert.deepEqual(await expandQuery('of the'), []);
+    });
+  });
+
+  describe('searchListings', () => {
+    it('fetches name matches first and excludes what earlier tiers found', async () => {
+      const calls = [];
+      mock.method(ProductListing, 'find', filter => {
+        calls.push(filter);
+        return query(calls.length === 1 ? [listing(1)] : calls.length === 4 ? [listing(2, { productItem: {}, description: 'fresh tomatoes' })] : []);
+      });
+
+      const { items, total, truncated } = await searchListings({ q: 'tomatoes', filter: { isActive: true } });
+
+      assert.equal(calls.length, 4);
+      assert.deepEqual(calls[0].$and[0], { isActive: true });
+      assert.deepEqual(calls[0].$and[1], { productItem: { $in: ['item-tomato', 'item-plantain'] } });
+      assert.ok(calls[3].$and[1].description instanceof RegExp);
+      assert.deepEqual(calls[3].$and[2], { _id: { $nin: ['listing-1'] } });
+      // the product name outweighs the description
+      assert.deepEqual(items.map(i => i._id), ['listing-1', 'listing-2']);
+      assert.equal(total, 2);
+      assert.equal(truncated, false);
+    });
+
+    it('stops at the cap and says the results were truncated', async () => {
+      const calls = [];
+      mock.method(ProductListing, 'find', filter => {
+        calls.push(filter);
+        return query(q => Array.from({ length: q.limitArg }, (_, n) => listing(n)));
+      });
+
+      const { total, truncated } = await searchListings({ q: 'tomatoes' });
+
+      assert.equal(calls.length, 1);
+      assert.equal(truncated, true);
+      assert.equal(total, MAX_CANDIDATES);
+    });
+  });
+});
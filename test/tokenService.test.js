@@ -0,0 +1,74 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Session = require('../models/Session');
+const tokenService = require('../services/tokenService');
+
+const req = { headers: { 'user-agent': 'test' }, ip: '127.0.0.1' };
+const future = () => new Date(Date.now() + 60 * 60 * 1000);
+
+describe('rotateRefreshToken', () => {
+  let updateOne;
+
+  beforeEach(() => {
+    updateOne = mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('swaps the hash only while the presented token is still current', async () => {
+    const hash = tokenService.hashToken('old');
+    const current = new Session({ user: 'a'.repeat(24), refreshTokenHash: hash, expiresAt: future() });
+    mock.method(Session, 'findOne', async () => current);
+    const rotate = mock.method(Session, 'findOneAndUpdate', async () => current);
+
+    const rotated = await tokenService.rotateRefreshToken('old', req);
+
+    assert.ok(rotated);
+    assert.notEqual(rotated.refreshToken, 'old');
+    const [filter, update] = rotate.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: current._id, refreshTokenHash: hash, revokedAt: null });
+    assert.equal(update.$set.refreshTokenHash, tokenService.hashToken(rotated.refreshToken));
+    assert.equal(update.$set.previousTokenHash, hash);
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it('treats losing a race for the same token as reuse and revokes the session', async () => {
+    const current = new Session({ user: 'a'.repeat(24), refreshTokenHash: tokenService.hashToken('old'), expiresAt: future() });
+    mock.method(Session, 'findOne', async () => current);
+    mock.method(Session, 'findOneAndUpdate', async () => null);
+
+    assert.equal(await tokenService.rotateRefreshToken('old', req), null);
+
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: current._id, revokedAt: null });
+    assert.equal(update.$set.revokedReason, 'tokenReuse');
+  });
+
+  it('revokes the session a rotated-away token belonged to', async () => {
+    mock.method(Session, 'findOne', async () => null);
+    const rotate = mock.method(Session, 'findOneAndUpdate', async () => null);
+
+    assert.equal(await tokenService.rotateRefreshToken('stale', req), null);
+
+    assert.equal(rotate.mock.callCount(), 0);
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { previousTokenHash: tokenService.hashToken('stale'), revokedAt: null });
+    assert.equal(update.$set.revokedReason, 'tokenReuse');
+  });
+
+  it('refuses the token of a revoked or expired session without touching it', async () => {
+    const revoked = new Session({
+      user: 'a'.repeat(24),
+      refreshTokenHash: tokenService.hashToken('old'),
+      expiresAt: future(),
+      revokedAt: new Date()
+    });
+    mock.method(Session, 'findOne', async () => revoked);
+    const rotate = mock.method(Session, 'findOneAndUpdate', async () => revoked);
+
+    assert.equal(await tokenService.rotateRefreshToken('old', req), null);
+    assert.equal(rotate.mock.callCount(), 0);
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+});
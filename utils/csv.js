@@ -0,0 +1,86 @@
+// utils/csv.js
+
+/**
+ * Minimal RFC 4180 CSV. Values are kept as strings (no type guessing, so
+ * SKUs like "00123" survive); a leading BOM and CRLF line ends are handled.
+ */
+
+/**
+ * @param {string} text
+ * @returns {string[][]} rows of cells; blank lines are dropped
+ */
+function parse(text) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// text a spreadsheet app would run as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Make text safe to open in a spreadsheet app: text that would start a
+ * formula gets a leading ' so it is shown as text. Numbers are left alone.
+ * @param {any} value
+ * @returns {any}
+ */
+const defuseFormula = value =>
+  (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+/**
+ * Undo defuseFormula on a cell read back from an exported file.
+ * @param {string} text
+ * @returns {string}
+ */
+const restoreFormulaText = text =>
+  (text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+const escapeCell = value => {
+  if (value === undefined || value === null) return '';
+  const s = value instanceof Date ? value.toISOString() : String(defuseFormula(value));
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * @param {Array<Array<any>>} rows – first row is usually the header
+ * @returns {string}
+ */
+function stringify(rows) {
+  return rows.map(r => r.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { parse, stringify, defuseFormula, restoreFormulaText };
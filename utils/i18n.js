@@ -0,0 +1,137 @@
+// utils/i18n.js
+
+/**
+ * Languages catalogue names can be given in. The name fields themselves
+ * (productName, categoryName) are the English names; `names` holds the
+ * others, and a response in another language swaps them in.
+ */
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGES = {
+  en: 'English',
+  tw: 'Twi',
+  ee: 'Ewe',
+  ha: 'Hausa',
+  fr: 'French'
+};
+const TRANSLATED_LANGUAGES = Object.keys(LANGUAGES).filter(l => l !== DEFAULT_LANGUAGE);
+
+// other tags clients send for a language we have ("ak" is Akan, of which Twi is part)
+const LANGUAGE_ALIASES = { ak: 'tw' };
+
+const MAX_NAME_LENGTH = 100;
+const MAX_ALIASES = 20;
+
+const primaryTag = tag => {
+  const code = String(tag || '').trim().toLowerCase().split('-')[0];
+  return LANGUAGE_ALIASES[code] || code;
+};
+
+/**
+ * The language to answer in: ?lang= if we have it, else the best match in
+ * the Accept-Language header, else English.
+ * @param {string} [lang] – the ?lang= value
+ * @param {string} [acceptLanguage] – e.g. "fr-CI,fr;q=0.9,en;q=0.5"
+ * @returns {string}
+ */
+function negotiateLanguage(lang, acceptLanguage) {
+  if (lang && LANGUAGES[primaryTag(lang)]) return primaryTag(lang);
+  const wanted = String(acceptLanguage || '')
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { code: primaryTag(tag), q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(w => w.q > 0 && LANGUAGES[w.code])
+    .sort((a, b) => b.q - a.q);
+  return wanted.length ? wanted[0].code : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Check translated names: { tw: 'Ntoos', fr: 'Tomate' }.
+ * @returns {string|null} error message
+ */
+function namesError(names) {
+  if (names === null) return null;
+  if (typeof names !== 'object' || Array.isArray(names)) return 'names must be an object of language → name';
+  for (const [lang, name] of Object.entries(names)) {
+    if (!TRANSLATED_LANGUAGES.includes(lang)) {
+      return `names: unknown language ${lang} (use ${TRANSLATED_LANGUAGES.join(', ')}; the main name is the ${LANGUAGES[DEFAULT_LANGUAGE]} one)`;
+    }
+    if (name === null || name === undefined || name === '') continue;
+    if (typeof name !== 'string' || name.trim().length > MAX_NAME_LENGTH) {
+      return `names.${lang} must be text of at most ${MAX_NAME_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check aliases: other names people know the entry by, in any language.
+ * @returns {string|null} error message
+ */
+function aliasesError(aliases) {
+  if (!Array.isArray(aliases)) return 'aliases must be an array';
+  if (aliases.length > MAX_ALIASES) return `At most ${MAX_ALIASES} aliases`;
+  if (aliases.some(a => typeof a !== 'string' || !a.trim() || a.trim().length > MAX_NAME_LENGTH)) {
+    return `Each alias must be text of at most ${MAX_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Check the `names` and `aliases` of a catalogue entry's request body,
+ * whichever are given.
+ * @returns {string|null} error message
+ */
+const catalogueNamesError = ({ names, aliases }) =>
+  (names !== undefined && namesError(names)) || (aliases !== undefined && aliasesError(aliases)) || null;
+
+/**
+ * Translated names as stored: trimmed, blanks dropped.
+ */
+const cleanNames = names =>
+  Object.fromEntries(Object.entries(names || {}).filter(([, n]) => n && n.trim()).map(([l, n]) => [l, n.trim()]));
+
+const cleanAliases = aliases => [...new Set((aliases || []).map(a => a.trim()))];
+
+// the fields `names` translates, per kind of entity
+const NAME_FIELDS = ['productName', 'categoryName'];
+
+/**
+ * Swap translated names into a response body, wherever an object carries
+ * `names` next to a name field (populated product items and categories
+ * included). Entries without a translation keep their English name.
+ * @param {any} body – anything res.json accepts
+ * @param {string} lang
+ * @returns {any} a plain copy
+ */
+function localize(body, lang) {
+  if (lang === DEFAULT_LANGUAGE || body === null || typeof body !== 'object') return body;
+  const plain = JSON.parse(JSON.stringify(body));
+  const walk = node => {
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (!node || typeof node !== 'object') return;
+    const translated = node.names && typeof node.names === 'object' && node.names[lang];
+    if (translated) {
+      const field = NAME_FIELDS.find(f => typeof node[f] === 'string');
+      if (field) node[field] = translated;
+    }
+    Object.values(node).forEach(walk);
+  };
+  walk(plain);
+  return plain;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  TRANSLATED_LANGUAGES,
+  negotiateLanguage,
+  namesError,
+  aliasesError,
+  catalogueNamesError,
+  cleanNames,
+  cleanAliases,
+  localize
+};
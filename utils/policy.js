@@ -0,0 +1,187 @@
+// utils/policy.js
+
+/**
+ * Central authorization policy.
+ *
+ * Permissions are `entity:action` strings. A role either holds a permission
+ * outright (applies to any resource) or with an `:own` suffix (applies only
+ * to resources the user owns, as decided by OWNERS below). `*` grants all.
+ * Users with isAdmin get the admin permissions whatever their role.
+ */
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+
+  buyer: [
+    'productItem:read',
+    'listing:list',
+    'listing:favourite',
+    'listing:report',
+    'order:create',
+    'order:list:own',
+    'order:read:own',
+    'message:list:own',
+    'message:read:own',
+    'message:create:own',
+    'message:update:own',
+    'message:delete:own',
+    'feedback:list',
+    'feedback:read',
+    'feedback:create',
+    'feedback:update:own',
+    'feedback:delete:own'
+  ],
+
+  farmer: [
+    'productItem:read',
+    'listing:list',
+    'listing:favourite',
+    'listing:report',
+    'listing:create',
+    'listing:update:own',
+    'listing:delete:own',
+    'order:create',
+    'order:list:own',
+    'order:read:own',
+    'suborder:list:own',
+    'suborder:update-status:own',
+    'message:list:own',
+    'message:read:own',
+    'message:create:own',
+    'message:update:own',
+    'message:delete:own',
+    'feedback:list',
+    'feedback:read',
+    'feedback:respond:own',
+    'verification:submit'
+  ],
+
+  // customer support: sees everything needed to answer a ticket, changes nothing
+  support: [
+    'user:list',
+    'user:read',
+    'productItem:read',
+    'listing:list',
+    'order:list',
+    'order:read',
+    'transaction:list',
+    'transaction:read',
+    'message:list',
+    'message:read',
+    'message:create',
+    'feedback:list',
+    'feedback:read',
+    'verification:read',
+    'moderation:read',
+    'auditLog:read'
+  ],
+
+  // delivery partners: can follow orders and move them through transit only
+  logistics: [
+    'productItem:read',
+    'listing:list',
+    'order:list',
+    'order:read',
+    'suborder:update-delivery'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * What each API key scope unlocks. A key never gets more than its user's
+ * role allows: the scopes only narrow that role down (see permissionsFor).
+ */
+const API_KEY_SCOPES = {
+  'catalog:read': ['productItem:read'],
+  'listings:read': ['listing:list', 'productItem:read'],
+  'listings:write': ['listing:create', 'listing:update', 'listing:delete'],
+  'orders:read': ['order:list', 'order:read', 'suborder:list'],
+  'orders:write': ['order:create', 'order:update-status', 'suborder:update-status', 'suborder:update-delivery'],
+  'transactions:read': ['transaction:list', 'transaction:read'],
+  'messages:read': ['message:list', 'message:read'],
+  'messages:write': ['message:create'],
+  'feedback:read': ['feedback:list', 'feedback:read']
+};
+
+const idOf = ref => (ref && typeof ref === 'object' && ref._id ? ref._id : ref);
+const orderFarmers = order => (order.subOrders || []).map(so => so.farmer);
+
+/**
+ * Who owns a resource, per permission (checked first) or per entity.
+ * Each resolver returns the list of user ids that count as owners.
+ */
+const OWNERS = {
+  user: u => [u._id],
+  listing: l => [l.farmer],
+  order: o => [o.buyer, ...orderFarmers(o)],
+  suborder: so => [so.farmer],
+  message: m => [m.sender],
+  // listing/creating messages is checked against the order they belong to,
+  // reading one against its (populated) order
+  'message:list': o => [o.buyer, ...orderFarmers(o)],
+  'message:create': o => [o.buyer, ...orderFarmers(o)],
+  'message:read': m => (m.order && typeof m.order === 'object' ? [m.order.buyer, ...orderFarmers(m.order)] : []),
+  feedback: f => [f.author],
+  // responding is checked against the order: only its farmers may respond
+  'feedback:respond': o => orderFarmers(o)
+};
+
+/**
+ * All permissions held by a user. For API-key requests (user.apiKeyScopes)
+ * only those also granted by one of the key's scopes are kept.
+ * @param {object} user – req.user
+ * @returns {string[]}
+ */
+function permissionsFor(user) {
+  if (!user) return [];
+  const perms = [...(ROLE_PERMISSIONS[user.role] || [])];
+  if (user.isAdmin) perms.push(...ROLE_PERMISSIONS.admin);
+  if (!user.apiKeyScopes) return perms;
+
+  const allowed = user.apiKeyScopes.flatMap(s => API_KEY_SCOPES[s] || []);
+  if (perms.includes('*')) return allowed;
+  return perms.filter(p => allowed.includes(p.replace(/:own$/, '')));
+}
+
+/**
+ * How far a permission reaches for this user.
+ * @param {object} user
+ * @param {string} permission – e.g. 'order:read'
+ * @returns {'any'|'own'|null}
+ */
+function scope(user, permission) {
+  const perms = permissionsFor(user);
+  if (perms.includes('*') || perms.includes(permission)) return 'any';
+  if (perms.includes(`${permission}:own`)) return 'own';
+  return null;
+}
+
+/**
+ * Does the user own the resource, as far as this permission is concerned?
+ */
+function owns(user, permission, resource) {
+  if (!user || !resource) return false;
+  const [entity] = permission.split(':');
+  const resolve = OWNERS[permission] || OWNERS[entity];
+  if (!resolve) return false;
+  return resolve(resource).some(id => id && String(idOf(id)) === String(user.sub));
+}
+
+/**
+ * can(user, 'order:update-status', order)
+ *  - Without a resource: true if the user holds the permission in any scope
+ *    (use this for route gating, then check the resource in the handler)
+ *  - With a resource: true if the scope is 'any', or 'own' and the user owns it
+ * @param {object} user
+ * @param {string} permission
+ * @param {object} [resource]
+ * @returns {boolean}
+ */
+function can(user, permission, resource) {
+  const s = scope(user, permission);
+  if (!s) return false;
+  if (s === 'any' || resource === undefined) return true;
+  return owns(user, permission, resource);
+}
+
+module.exports = { ROLES, ROLE_PERMISSIONS, API_KEY_SCOPES, permissionsFor, scope, can };
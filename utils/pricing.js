@@ -0,0 +1,60 @@
+// utils/pricing.js
+
+/**
+ * Groups an admin can put buyers in (User.buyerGroups). A listing can offer
+ * a group its own price, e.g. verified wholesalers or schools.
+ */
+const BUYER_GROUPS = ['wholesaler', 'retailer', 'school', 'restaurant', 'hotel'];
+
+const MAX_PRICE_TIERS = 20;
+
+/**
+ * The price a buyer pays per unit for `qty` of a listing: the lowest of its
+ * base price and every tier they qualify for (qty at least the tier's minQty
+ * and, for a group tier, membership of that group).
+ * @param {object} listing – { price, priceTiers }
+ * @param {number} qty
+ * @param {string[]} [buyerGroups]
+ * @returns {{ price: number, tier: object|null }} tier is null when the base price applies
+ */
+function resolvePrice(listing, qty, buyerGroups = []) {
+  let best = { price: Number(listing.price || 0), tier: null };
+  for (const tier of listing.priceTiers || []) {
+    if (qty < tier.minQty) continue;
+    if (tier.buyerGroup && !buyerGroups.includes(tier.buyerGroup)) continue;
+    if (tier.price < best.price) best = { price: tier.price, tier };
+  }
+  return best;
+}
+
+/**
+ * Check a listing's priceTiers against its base price.
+ * @param {Array} tiers
+ * @param {number} basePrice
+ * @returns {string|null} error message
+ */
+function priceTiersError(tiers, basePrice) {
+  if (!Array.isArray(tiers)) return 'priceTiers must be an array';
+  if (tiers.length > MAX_PRICE_TIERS) return `At most ${MAX_PRICE_TIERS} price tiers are allowed`;
+
+  const seen = new Set();
+  for (const t of tiers) {
+    if (!t || typeof t !== 'object') return 'Each price tier must be an object';
+    const minQty = Number(t.minQty === undefined ? 1 : t.minQty);
+    const price = Number(t.price);
+    if (!(minQty > 0)) return 'Price tier minQty must be > 0';
+    if (!(price > 0)) return 'Price tier price must be > 0';
+    if (basePrice !== undefined && price >= Number(basePrice)) {
+      return `Price tier price (${price}) must be below the base price (${basePrice})`;
+    }
+    if (t.buyerGroup && !BUYER_GROUPS.includes(t.buyerGroup)) {
+      return `Price tier buyerGroup must be one of: ${BUYER_GROUPS.join(', ')}`;
+    }
+    const key = `${minQty}:${t.buyerGroup || ''}`;
+    if (seen.has(key)) return `Duplicate price tier for minQty ${minQty}${t.buyerGroup ? ` (${t.buyerGroup})` : ''}`;
+    seen.add(key);
+  }
+  return null;
+}
+
+module.exports = { BUYER_GROUPS, resolvePrice, priceTiersError };
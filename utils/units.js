@@ -0,0 +1,86 @@
+// utils/units.js
+
+/**
+ * Units a listing can be sold in. `divisible` units may be ordered in
+ * fractions (2.5 kg); the rest only in whole numbers. `custom` lets a
+ * farmer name their own (e.g. "olonka"), via ProductListing.unitLabel.
+ */
+const UNITS = {
+  kg: { label: 'kg', divisible: true },
+  g: { label: 'g', divisible: true },
+  litre: { label: 'litre', divisible: true },
+  piece: { label: 'piece', divisible: false },
+  tuber: { label: 'tuber', divisible: false },
+  bunch: { label: 'bunch', divisible: false },
+  crate: { label: 'crate', divisible: false },
+  bag: { label: 'bag', divisible: false },
+  basket: { label: 'basket', divisible: false },
+  dozen: { label: 'dozen', divisible: false },
+  custom: { label: 'unit', divisible: false }
+};
+
+const UNIT_CODES = Object.keys(UNITS);
+
+// floating point slack when checking increments (0.1 + 0.2 …)
+const EPSILON = 1e-9;
+
+/**
+ * Display name of a listing's unit, with its conversion when known,
+ * e.g. "bag (50 kg)".
+ * @param {object} listing – { unit, unitLabel, unitConversion }
+ * @returns {string}
+ */
+function unitName(listing) {
+  if (!listing) return '';
+  const base = (listing.unit === 'custom' && listing.unitLabel) ||
+    (UNITS[listing.unit] || UNITS.piece).label;
+  const conv = listing.unitConversion;
+  return conv && conv.factor && conv.unit ? `${base} (${conv.factor} ${conv.unit})` : base;
+}
+
+/**
+ * Is `qty` an orderable amount of this listing?
+ * @param {number} qty
+ * @param {object} listing – { unit, minOrderQty, orderIncrement }
+ * @returns {string|null} why not, or null if it is fine
+ */
+function checkOrderQuantity(qty, listing) {
+  const unit = UNITS[listing.unit] || UNITS.piece;
+  const name = unitName(listing);
+  const min = listing.minOrderQty || 1;
+  const step = listing.orderIncrement || 1;
+
+  if (!unit.divisible && !Number.isInteger(qty)) {
+    return `Quantity must be a whole number of ${name}`;
+  }
+  if (qty < min - EPSILON) {
+    return `Minimum order is ${min} ${name}`;
+  }
+  const steps = (qty - min) / step;
+  if (Math.abs(steps - Math.round(steps)) > EPSILON) {
+    const series = [0, 1, 2].map(i => +(min + i * step).toFixed(6)).join(', ');
+    return `Quantity must be one of ${series}… ${name}`;
+  }
+  return null;
+}
+
+/**
+ * Check unit, unitLabel, minOrderQty and orderIncrement as they will be
+ * after applying `body` to `current` (empty on create).
+ * @returns {string|null} error message
+ */
+function unitFieldsError(body, current = {}) {
+  const merged = { ...current, ...body };
+  const unit = merged.unit || 'piece';
+  if (!UNITS[unit]) return `unit must be one of: ${UNIT_CODES.join(', ')}`;
+  if (unit === 'custom' && !merged.unitLabel) return 'unitLabel is required for a custom unit';
+  for (const f of ['minOrderQty', 'orderIncrement']) {
+    if (merged[f] === undefined) continue;
+    const v = Number(merged[f]);
+    if (!(v > 0)) return `${f} must be > 0`;
+    if (!UNITS[unit].divisible && !Number.isInteger(v)) return `${f} must be a whole number for unit ${unit}`;
+  }
+  return null;
+}
+
+module.exports = { UNITS, UNIT_CODES, unitName, checkOrderQuantity, unitFieldsError };
@@ -9,8 +9,44 @@ async function record({ userId, action, entity, entityId, before, after, metadat
   await log.save();
 }
 
+/**
+ * Under an impersonation token, who is really acting and as whom.
+ */
+function impersonationMetadata(req) {
+  if (!req.user || !req.user.impersonatedBy) return {};
+  return { impersonatedBy: req.user.impersonatedBy, impersonatedUser: req.user.sub };
+}
+
+/**
+ * Every request made with an impersonation token is audited. Routes wrapped
+ * in withAudit record themselves; this catches the rest (mostly reads).
+ * Called by requireAuth.
+ */
+function auditImpersonatedRequest(req, res) {
+  res.once('finish', async () => {
+    if (res.locals.audited) return;
+    try {
+      await record({
+        userId: req.user.impersonatedBy,
+        action: ['GET', 'HEAD'].includes(req.method) ? 'READ' : 'UPDATE',
+        entity: 'User',
+        entityId: req.user.sub,
+        metadata: {
+          path: req.originalUrl,
+          method: req.method,
+          status: res.statusCode,
+          ...impersonationMetadata(req)
+        }
+      });
+    } catch (err) {
+      console.error('Audit log failed:', err);
+    }
+  });
+}
+
 function withAudit(entity, action, handler) {
   return async function(req, res, next) {
+    res.locals.audited = true;
     let before = null;
     if (['UPDATE','DELETE'].includes(action) && req.params.id) {
       const Model = require(`../models/${entity}`);
@@ -33,6 +69,7 @@ function withAudit(entity, action, handler) {
           after    = res.locals.updated.toObject();
           entityId = req.params.id;
         }
+        entityId = entityId || res.locals.auditEntityId || null;
 
         await record({
           userId,
@@ -41,7 +78,13 @@ function withAudit(entity, action, handler) {
           entityId,
           before:   res.locals.before  || null,
           after:    after              || null,
-          metadata: { path: req.originalUrl, method: req.method }
+          metadata: {
+            path: req.originalUrl,
+            method: req.method,
+            ...impersonationMetadata(req),
+            // handler-supplied details, e.g. what a bulk import touched
+            ...res.locals.auditMetadata
+          }
         });
       } catch (err) {
         console.error('Audit log failed:', err);
@@ -58,3 +101,4 @@ function withAudit(entity, action, handler) {
 }
 
 module.exports = withAudit;
+module.exports.auditImpersonatedRequest = auditImpersonatedRequest;